@@ -40,43 +40,65 @@ class ComponentRegistry {
   }
 
   /**
-   * Initialize components in dependency order
+   * Resolve dependency order - every name comes after its dependencies.
+   * Names are visited in registration order, so unrelated components keep it.
+   * @returns {{ order: string[], cycles: string[][] }} cycles lists each loop as a path, e.g. [a, b, a]
    */
-  async initializeAll() {
-    const initialized = new Set();
-    const initializing = new Set();
+  resolveOrder() {
+    const order = [];
+    const cycles = [];
+    const resolved = new Set();
+    const resolving = [];
+
+    const visit = (name) => {
+      if (resolved.has(name)) return;
 
-    const initialize = async (name) => {
-      if (initialized.has(name)) return;
-      if (initializing.has(name)) {
-        throw new Error(`Circular dependency detected: ${name}`);
+      const index = resolving.indexOf(name);
+      if (index !== -1) {
+        cycles.push([...resolving.slice(index), name]);
+        return;
       }
 
-      initializing.add(name);
-      
-      // Initialize dependencies first
+      resolving.push(name);
+
+      // Resolve dependencies first
       const deps = this.dependencies.get(name) || [];
       for (const dep of deps) {
-        await initialize(dep);
+        visit(dep);
       }
 
-      // Initialize component
+      resolving.pop();
+      resolved.add(name);
+      order.push(name);
+    };
+
+    for (const name of this.components.keys()) {
+      visit(name);
+    }
+
+    return { order, cycles };
+  }
+
+  /**
+   * Initialize components in dependency order
+   */
+  async initializeAll() {
+    const { order, cycles } = this.resolveOrder();
+    if (cycles.length > 0) {
+      throw new Error(`Circular dependency detected: ${cycles[0].join(' -> ')}`);
+    }
+
+    let initialized = 0;
+    for (const name of order) {
       const component = this.components.get(name);
       if (component && typeof component.initialize === 'function') {
         await component.initialize();
         logger.debug(`Component initialized: ${name}`);
       }
-
-      initializing.delete(name);
-      initialized.add(name);
-    };
-
-    // Initialize all components
-    for (const name of this.components.keys()) {
-      await initialize(name);
+      initialized++;
     }
 
-    logger.success(`Initialized ${initialized.size} components`);
+    logger.success(`Initialized ${initialized} components`);
   }
 
   /**
@@ -1,3 +1,5 @@
+import fs from 'fs';
+import path from 'path';
 import mineflayer from 'mineflayer';
 import { plugin as pvp } from 'mineflayer-pvp';
 import { plugin as movement } from 'mineflayer-movement';
@@ -9,42 +11,203 @@ const armorManager = armorManagerPkg.default || armorManagerPkg;
 const toolPlugin = toolPluginPkg.plugin || toolPluginPkg.default || toolPluginPkg;
 const bloodhound = bloodhoundPkg.default || bloodhoundPkg;
 import logger from '../utils/Logger.js';
+import { DATA_DIR } from '../utils/helpers/fileHelpers.js';
 import StateManager from './StateManager.js';
+import StateStore from './StateStore.js';
 import EventManager from './EventManager.js';
 import PluginLoader from './PluginLoader.js';
+import CommandRegistry from './CommandRegistry.js';
+import PermissionManager from './PermissionManager.js';
+import HelpCommand from './HelpCommand.js';
+import LogLevelCommand from './LogLevelCommand.js';
+import ChatQueue from './ChatQueue.js';
+import EventBus from './EventBus.js';
+import ReconnectPolicy from './ReconnectPolicy.js';
+import CoordinationBus from './CoordinationBus.js';
+import MetricsRegistry from './MetricsRegistry.js';
+import MovementArbiter from './MovementArbiter.js';
+import MovementCommand from './MovementCommand.js';
+import { diffConfig, getChangedSections } from '../utils/helpers/configHelpers.js';
 
 /**
  * BotClient - Main class that wraps the Mineflayer instance
- * Implements Singleton pattern to ensure only one bot instance exists
+ * One per account; BotFleet creates them and plugins reach theirs through bot.botClient.
  */
 class BotClient {
-  static instance = null;
-
-  constructor(config) {
-    if (BotClient.instance) {
-      return BotClient.instance;
-    }
-
+  static configSchema = {
+    server: {
+      properties: {
+        host: { type: 'string', minLength: 1, default: 'localhost' },
+        port: { type: 'integer', min: 1, max: 65535, default: 25565 },
+        version: { type: 'string', minLength: 1, required: true },
+        auth: { type: 'string', enum: ['offline', 'microsoft', 'mojang'], default: 'offline' }
+      }
+    },
+    bot: {
+      properties: {
+        username: { type: 'string', minLength: 1, required: true },
+        password: { type: 'string' },
+        hideErrors: { type: 'boolean', default: false },
+        viewDistance: { type: ['string', 'integer'], default: 'tiny' },
+        chatLengthLimit: { type: 'integer', min: 1, default: 100 }
+      }
+    },
+    behavior: {
+      properties: {
+        autoRespawn: { type: 'boolean', default: true },
+        autoReconnect: { type: 'boolean', default: true },
+        reconnectDelay: { type: 'integer', min: 0 },
+        chatCommandPrefix: { type: 'string', minLength: 1, default: '!' }
+      }
+    },
+    // Plugins add their own flags
+    features: { properties: {} },
+    eventBus: {
+      properties: {
+        publishEvents: { type: 'array', default: [], items: { type: 'string' } }
+      }
+    },
+    // From config/physics.json
+    physics: {
+      properties: {
+        pathfinder: {
+          type: 'object',
+          properties: {
+            tickTimeout: { type: 'integer', min: 1 },
+            searchRadius: { type: 'integer', min: 1 },
+            maxDropDown: { type: 'integer', min: 0 },
+            allowFreeMotion: { type: 'boolean' },
+            allowParkour: { type: 'boolean' },
+            allowSprinting: { type: 'boolean' },
+            canDig: { type: 'boolean' },
+            canPlaceBlocks: { type: 'boolean' },
+            infiniteLiquidDropdownDistance: { type: 'boolean' }
+          }
+        },
+        ticks: {
+          type: 'object',
+          properties: {
+            physicsTickRate: { type: 'integer', min: 1 },
+            controlStateTickRate: { type: 'integer', min: 1 }
+          }
+        }
+      }
+    },
+    ...ReconnectPolicy.configSchema,
+    ...StateStore.configSchema,
+    ...PermissionManager.configSchema,
+    ...ChatQueue.configSchema
+  };
+
+  constructor(config, options = {}) {
     this.config = config;
+    this.id = options.id || config.bot?.username || 'bot';
+    this.dataDir = options.dataDir || DATA_DIR;
+    this.fleet = options.fleet || null;
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
     this.bot = null;
     this.stateManager = new StateManager();
+    this.stateStore = new StateStore(this.stateManager, config.persistence, this.dataDir);
+    this.eventBus = new EventBus();
+    this.setupTelemetry();
+    this.metrics = new MetricsRegistry({ bot: this.id });
+    this.setupMetrics();
+    this.permissionManager = new PermissionManager(config.permissions, path.join(this.dataDir, 'permissions.json'));
+    this.permissionManager.load();
+    this.commandRegistry = new CommandRegistry(config.behavior?.chatCommandPrefix || '!', this.permissionManager);
+    this.permissionManager.registerCommands(this.commandRegistry);
+    this.commandRegistry.register(new HelpCommand(this.commandRegistry, {
+      getCategory: (owner) => this.pluginLoader?.getPluginInfo(owner)?.info.category,
+      maxLength: config.bot?.chatLengthLimit || 100
+    }), 'BotClient');
+    this.commandRegistry.register(new LogLevelCommand(), 'BotClient');
+    // Plugins lease movement from here instead of setting pathfinder goals themselves
+    this.movementArbiter = new MovementArbiter(config.physics?.pathfinder || {}, this.eventBus);
+    this.commandRegistry.register(new MovementCommand(this.movementArbiter), 'BotClient');
+    this.chatQueue = new ChatQueue({
+      ...config.chat,
+      maxLength: config.bot?.chatLengthLimit || 100
+    });
     this.eventManager = null;
     this.pluginLoader = null;
     this.isRunning = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
+    this.reconnectPolicy = new ReconnectPolicy({
+      initialDelayMs: config.behavior?.reconnectDelay,
+      ...config.reconnect
+    }, this.eventBus);
+    this.reconnectTimer = null;
+
+    // Fleet bots share one bus; a client created on its own gets a private one
+    this.coordinationBus = options.coordinationBus || new CoordinationBus(config.coordination);
+    this.coordination = this.coordinationBus.createMember(this.id);
+    this.coordination.subscribe('*', (event) => {
+      this.eventBus.publish(`coordination.${event.topic}`, event.data);
+    });
+  }
 
-    BotClient.instance = this;
+  /**
+   * Publish state changes and log records on the event bus
+   */
+  setupTelemetry() {
+    this.stateManager.addListener('*', (value, oldValue, key) => {
+      this.eventBus.publish(`state.${key}`, { key, value, oldValue });
+    });
+
+    // Other fleet bots' records stay on their own bus
+    logger.addListener((record) => {
+      if (record.bot && record.bot !== this.id) return;
+      this.eventBus.publish(`log.${record.level}`, record);
+    });
   }
 
   /**
-   * Get singleton instance
+   * Count what the bot does from the event bus and read other values when metrics are requested
    */
-  static getInstance(config = null) {
-    if (!BotClient.instance && config) {
-      return new BotClient(config);
-    }
-    return BotClient.instance;
+  setupMetrics() {
+    const metrics = this.metrics;
+    const harvested = metrics.counter('harvested_total', 'Crops and sugarcane harvested', ['plugin', 'crop']);
+    const deposits = metrics.counter('deposits_total', 'Chest deposits', ['plugin', 'item']);
+    const deposited = metrics.counter('items_deposited_total', 'Items put into chests', ['plugin', 'item']);
+    const kills = metrics.counter('combat_kills_total', 'Combat targets killed', ['type']);
+    const eaten = metrics.counter('foods_eaten_total', 'Food items eaten', ['item']);
+    const pathFailures = metrics.counter('pathfinding_failures_total', 'Pathfinding goals that timed out or had no path', ['reason']);
+    const reconnects = metrics.counter('reconnects_total', 'Reconnect attempts');
+
+    this.eventBus.subscribe('farm.harvest', ({ data }) => harvested.inc({ plugin: data.plugin, crop: data.crop }));
+    this.eventBus.subscribe('deposit', ({ data }) => {
+      deposits.inc({ plugin: data.plugin, item: data.item });
+      deposited.inc({ plugin: data.plugin, item: data.item }, data.count || 0);
+    });
+    this.eventBus.subscribe('combat.kill', ({ data }) => kills.inc({ type: data.type }));
+    this.eventBus.subscribe('food.eaten', ({ data }) => eaten.inc({ item: data.item }));
+    this.eventBus.subscribe('navigation.failed', ({ data }) => pathFailures.inc({ reason: data.reason }));
+    this.eventBus.subscribe('reconnect.attempt', () => reconnects.inc());
+
+    const deaths = metrics.counter('deaths_total', 'Deaths, kept across restarts');
+    const events = metrics.counter('events_total', 'Bot events handled by the EventManager', ['event']);
+    const connected = metrics.gauge('connected', 'Whether the bot is logged in (1) or not (0)');
+    const connectedSeconds = metrics.gauge('connected_seconds', 'Seconds since the bot logged in');
+    const uptime = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+    const health = metrics.gauge('health', 'Health points (0-20)');
+    const food = metrics.gauge('food', 'Food points (0-20)');
+
+    metrics.addCollector(() => {
+      const isLoggedIn = this.isRunning && this.stateManager.getState('isLoggedIn', false);
+      const loginTime = this.stateManager.getState('loginTime');
+
+      deaths.set({}, this.stateManager.getState('stats.deathCount', 0));
+      connected.set({}, isLoggedIn ? 1 : 0);
+      connectedSeconds.set({}, isLoggedIn && loginTime ? Math.floor((Date.now() - loginTime) / 1000) : 0);
+      uptime.set({}, Math.floor(process.uptime()));
+      health.set({}, this.stateManager.getState('health', 0));
+      food.set({}, this.stateManager.getState('food', 0));
+
+      // Events are counted by the EventManager and restart from zero with it
+      for (const [eventName, count] of this.eventManager?.eventStats || []) {
+        events.set({ event: eventName }, count);
+      }
+    });
   }
 
   /**
@@ -59,18 +222,22 @@ class BotClient {
     try {
       logger.info('Starting bot...');
 
+      // Restore saved counters before anything reads them
+      await this.stateStore.open();
+
       // Create bot instance
       this.createBot();
 
       // Initialize managers
-      this.eventManager = new EventManager(this.bot, this.stateManager);
+      this.eventManager = new EventManager(this.bot, this.stateManager, this.commandRegistry, this.eventBus);
       this.eventManager.initialize();
 
       // Initialize plugin loader
-      this.pluginLoader = new PluginLoader(this.bot);
+      this.createPluginLoader();
 
       // Wait for spawn
       await this.waitForSpawn();
+      this.movementArbiter.setBot(this.bot);
 
       // Load plugins
       if (this.config.features) {
@@ -78,7 +245,7 @@ class BotClient {
       }
 
       this.isRunning = true;
-      this.reconnectAttempts = 0;
+      this.reconnectPolicy.onConnected();
 
       logger.success('Bot started successfully');
     } catch (error) {
@@ -122,8 +289,18 @@ class BotClient {
       logger.error('Failed to load Bloodhound: plugin is not a function', bloodhound);
     }
 
-    // Attach config to bot for plugin access
+    // Attach config and command registry to bot for plugin access
     this.bot.config = this.config;
+    this.bot.commandRegistry = this.commandRegistry;
+    this.bot.eventBus = this.eventBus;
+    this.bot.stateManager = this.stateManager;
+    this.bot.botClient = this;
+    this.bot.dataDir = this.dataDir;
+    this.bot.coordination = this.coordination;
+    this.bot.movementArbiter = this.movementArbiter;
+
+    // Route bot.chat / bot.whisper through the rate-limited queue
+    this.chatQueue.attach(this.bot);
 
     // Setup auto-reconnect
     this.setupAutoReconnect();
@@ -137,32 +314,42 @@ class BotClient {
   setupAutoReconnect() {
     if (!this.config.behavior?.autoReconnect) return;
 
+    this.bot.on('kicked', (reason) => this.reconnectPolicy.recordKick(reason));
     this.bot.on('end', (reason) => {
       if (!this.isRunning) return;
+      this.scheduleReconnect(reason);
+    });
+  }
 
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        logger.error('Max reconnect attempts reached. Stopping bot.');
-        this.isRunning = false;
-        return;
-      }
+  /**
+   * Ask the reconnect policy whether and when to try again
+   */
+  scheduleReconnect(reason) {
+    if (this.reconnectTimer) return;
 
-      const delay = this.config.behavior.reconnectDelay || 5000;
-      this.reconnectAttempts++;
+    const decision = this.reconnectPolicy.onDisconnect(reason);
+    if (decision.action === 'stop') {
+      this.isRunning = false;
+      return;
+    }
 
-      logger.warn(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+    logger.warn(`Reconnecting in ${Math.round(decision.delay / 1000)}s (attempt ${decision.attempt}, ${decision.rule}: ${decision.reason || 'no reason'})...`);
 
-      setTimeout(() => {
-        this.reconnect();
-      }, delay);
-    });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect();
+    }, decision.delay);
   }
 
   /**
    * Reconnect the bot
    */
   async reconnect() {
+    let bot = null;
+
     try {
       logger.info('Attempting to reconnect...');
+      this.reconnectPolicy.onAttempt();
 
       // Clean up old bot
       if (this.bot) {
@@ -171,22 +358,35 @@ class BotClient {
 
       // Create new bot
       this.createBot();
+      bot = this.bot;
 
       // Reinitialize managers
-      this.eventManager = new EventManager(this.bot, this.stateManager);
+      this.eventManager = new EventManager(this.bot, this.stateManager, this.commandRegistry, this.eventBus);
       this.eventManager.initialize();
 
-      this.pluginLoader = new PluginLoader(this.bot);
-
       // Wait for spawn
       await this.waitForSpawn();
+      this.movementArbiter.setBot(this.bot);
 
-      // Reload plugins
-      await this.loadPlugins();
+      // Keep plugin instances and their state, and move them onto the new bot
+      if (this.pluginLoader) {
+        await this.pluginLoader.replaceBot(this.bot);
+      } else {
+        this.createPluginLoader();
+        if (this.config.features) {
+          await this.loadPlugins();
+        }
+      }
 
+      this.reconnectPolicy.onConnected();
       logger.success('Reconnected successfully');
     } catch (error) {
       logger.error('Failed to reconnect', error);
+
+      // The 'end' handler may already have scheduled the next attempt for this bot
+      if (this.isRunning && bot === this.bot) {
+        this.scheduleReconnect(error.message);
+      }
     }
   }
 
@@ -222,6 +422,15 @@ class BotClient {
     });
   }
 
+  /**
+   * Create the plugin loader and register its !plugin command against it
+   */
+  createPluginLoader() {
+    this.pluginLoader = new PluginLoader(this.bot, null, path.join(this.dataDir, 'plugins.json'));
+    this.commandRegistry.unregisterOwner('PluginLoader');
+    this.pluginLoader.registerCommands(this.commandRegistry);
+  }
+
   /**
    * Load plugins based on configuration
    */
@@ -242,8 +451,13 @@ class BotClient {
    * Stop the bot
    */
   async stop() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectPolicy.reset();
+
     if (!this.isRunning) {
       logger.warn('Bot is not running');
+      this.stateStore.close();
       return;
     }
 
@@ -262,6 +476,14 @@ class BotClient {
         this.eventManager.cleanup();
       }
 
+      this.chatQueue.clear();
+
+      // Let the other bots take over our claims right away
+      this.coordination.releaseAll();
+
+      // Final save after plugins had a chance to update their state
+      this.stateStore.close();
+
       // Disconnect bot
       if (this.bot) {
         this.bot.quit();
@@ -274,6 +496,55 @@ class BotClient {
     }
   }
 
+  /**
+   * Switch to reloaded settings and update the plugins that read a changed section
+   * Sections no loaded plugin reads (server, bot, chat, ...) take effect after a restart.
+   * @returns {{changes: Array, plugins: string[], restartRequired: string[]}}
+   */
+  updateConfig(config) {
+    const changes = diffConfig(this.config, config);
+    if (changes.length === 0) {
+      return { changes, plugins: [], restartRequired: [] };
+    }
+
+    this.config = config;
+    if (this.bot) {
+      this.bot.config = config;
+    }
+
+    const sections = getChangedSections(changes);
+    const plugins = this.pluginLoader?.applyConfigChange({ file: 'settings', sections, changes }) || [];
+    const handled = new Set(plugins.flatMap(name =>
+      PluginLoader.getConfigSections(name, this.pluginLoader.getPlugin(name).constructor)
+    ));
+    // The fleet applies the logging section for all bots
+    const restartRequired = sections.filter(section => !handled.has(section) && section !== 'logging');
+
+    // Turning a plugin on or off in features takes a restart (or !plugin enable/disable)
+    for (const { path: settingPath } of changes) {
+      const [section, feature] = settingPath.split('.');
+      const pluginName = feature && feature.charAt(0).toUpperCase() + feature.slice(1);
+      if (section === 'features' && this.pluginLoader?.available.has(pluginName) && !restartRequired.includes(settingPath)) {
+        restartRequired.push(settingPath);
+      }
+    }
+
+    this.eventBus.publish('config.settings', { sections, plugins, restartRequired });
+    return { changes, plugins, restartRequired };
+  }
+
+  /**
+   * Update the plugins that read a changed part of data/waypoints.json
+   * @returns {{changes: Array, plugins: string[], restartRequired: string[]}}
+   */
+  applyWaypointChanges(changes) {
+    const sections = getChangedSections(changes);
+    const plugins = this.pluginLoader?.applyConfigChange({ file: 'waypoints', sections, changes }) || [];
+
+    this.eventBus.publish('config.waypoints', { sections, plugins });
+    return { changes, plugins, restartRequired: [] };
+  }
+
   /**
    * Get bot status
    */
@@ -288,8 +559,16 @@ class BotClient {
         gameMode: this.bot?.game?.gameMode,
         states: this.stateManager.getAllStates(),
         plugins: this.pluginLoader?.getStats(),
-        events: this.eventManager?.getStats()
-      } : { isRunning: this.isRunning }
+        events: this.eventManager?.getStats(),
+        commands: this.commandRegistry.getStats(),
+        permissions: this.permissionManager.getStats(),
+        chat: this.chatQueue.getStats(),
+        eventBus: this.eventBus.getStats(),
+        persistence: this.stateStore.getStats(),
+        reconnect: this.reconnectPolicy.getStatus(),
+        coordination: this.coordinationBus.getStatus(),
+        movement: this.movementArbiter.getStatus()
+      } : { isRunning: this.isRunning, reconnect: this.reconnectPolicy.getStatus() }
     };
   }
 
@@ -307,6 +586,41 @@ class BotClient {
     return this.stateManager;
   }
 
+  /**
+   * Get reconnect policy
+   */
+  getReconnectPolicy() {
+    return this.reconnectPolicy;
+  }
+
+  /**
+   * Get the coordination bus shared with the other fleet bots
+   */
+  getCoordinationBus() {
+    return this.coordinationBus;
+  }
+
+  /**
+   * Get persistent state store
+   */
+  getStateStore() {
+    return this.stateStore;
+  }
+
+  /**
+   * Get the metrics registry
+   */
+  getMetrics() {
+    return this.metrics;
+  }
+
+  /**
+   * Get the arbiter deciding which plugin moves the bot
+   */
+  getMovementArbiter() {
+    return this.movementArbiter;
+  }
+
   /**
    * Get event manager
    */
@@ -314,12 +628,40 @@ class BotClient {
     return this.eventManager;
   }
 
+  /**
+   * Get telemetry event bus
+   */
+  getEventBus() {
+    return this.eventBus;
+  }
+
+  /**
+   * Get outbound chat queue
+   */
+  getChatQueue() {
+    return this.chatQueue;
+  }
+
   /**
    * Get plugin loader
    */
   getPluginLoader() {
     return this.pluginLoader;
   }
+
+  /**
+   * Get command registry
+   */
+  getCommandRegistry() {
+    return this.commandRegistry;
+  }
+
+  /**
+   * Get permission manager
+   */
+  getPermissionManager() {
+    return this.permissionManager;
+  }
 }
 
 export default BotClient;
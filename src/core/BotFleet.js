@@ -0,0 +1,344 @@
+import path from 'path';
+import logger from '../utils/Logger.js';
+import BotClient from './BotClient.js';
+import CoordinationBus from './CoordinationBus.js';
+import ConfigValidator from './ConfigValidator.js';
+import ConfigWatcher from './ConfigWatcher.js';
+import { deepMerge, diffConfig } from '../utils/helpers/configHelpers.js';
+import { sleep } from '../utils/helpers/asyncHelpers.js';
+import { DATA_DIR } from '../utils/helpers/fileHelpers.js';
+
+// Plugin sections that open a server port when enabled
+const SERVER_SECTIONS = ['webViewer', 'webInventory', 'controlApi', 'liveEvents', 'webDashboard'];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * BotFleet - Runs one or more BotClients from a single process
+ * Each entry of settings.json `fleet.bots` is merged over the base settings and
+ * gets its own plugin set and data directory (data/bots/<id> by default).
+ * Without fleet entries a single bot runs with the base settings and data/.
+ */
+class BotFleet {
+  static instance = null;
+
+  static configSchema = {
+    fleet: {
+      properties: {
+        staggerMs: { type: 'integer', min: 0, default: 5000 },
+        bots: {
+          type: 'array',
+          default: [],
+          // Entries are settings overlays, checked against the full schema in validateConfig
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', minLength: 1 },
+              dataDir: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: true
+          }
+        }
+      }
+    },
+    logging: {
+      properties: {
+        level: { type: 'string', enum: LOG_LEVELS },
+        toFile: { type: 'boolean' },
+        format: { type: 'string', enum: ['text', 'json'], default: 'text' },
+        modules: { type: 'object', default: {}, additionalProperties: { type: 'string', enum: LOG_LEVELS } },
+        rotation: {
+          properties: {
+            maxBytes: { type: 'integer', min: 0, default: 10 * 1024 * 1024 },
+            daily: { type: 'boolean', default: true },
+            maxFiles: { type: 'integer', min: 0, default: 10 },
+            maxAgeDays: { type: 'integer', min: 0, default: 14 }
+          }
+        }
+      }
+    },
+    ...CoordinationBus.configSchema,
+    ...ConfigWatcher.configSchema
+  };
+
+  constructor(config) {
+    this.config = config;
+    this.clients = new Map();
+    this.staggerMs = config.fleet?.staggerMs ?? 5000;
+    this.coordinationBus = new CoordinationBus(config.coordination);
+    this.configWatcher = null;
+
+    // One logger serves every bot, so logging is taken from the base settings only
+    logger.configure(config.logging);
+
+    for (const entry of BotFleet.getEntries(config)) {
+      this.addClient(entry);
+    }
+
+    // Only prefix log lines with the bot id when there is more than one
+    logger.showBotTags = this.clients.size > 1;
+    this.checkPorts();
+
+    BotFleet.instance = this;
+  }
+
+  /**
+   * Get the running fleet
+   */
+  static getInstance() {
+    return BotFleet.instance;
+  }
+
+  /**
+   * Check settings against the schemas of the core classes and every plugin
+   * Problems are logged with the path of the setting; fleet entries are checked as overlays.
+   * @returns {Promise<Object>} The settings with defaults filled in
+   * @throws {Error} When a setting is invalid
+   */
+  static async validateConfig(config) {
+    const validator = new ConfigValidator();
+    validator.addSchemas('BotFleet', BotFleet.configSchema);
+    validator.addSchemas('BotClient', BotClient.configSchema);
+    await validator.addPluginSchemas();
+
+    const { config: validated, errors, warnings } = validator.validate(config);
+
+    for (const [index, entry] of (validated.fleet?.bots || []).entries()) {
+      const overlay = { ...entry };
+      delete overlay.id;
+      delete overlay.dataDir;
+
+      const result = validator.validate(overlay, { partial: true, path: `fleet.bots[${index}]` });
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+
+    for (const { path: settingPath, message } of warnings) {
+      logger.warn(`Config: ${settingPath} ${message}`);
+    }
+    if (errors.length > 0) {
+      for (const { path: settingPath, message } of errors) {
+        logger.error(`Config: ${settingPath} ${message}`);
+      }
+      throw new Error(`Invalid configuration: ${errors.length} setting${errors.length === 1 ? '' : 's'} to fix (see above)`);
+    }
+
+    return validated;
+  }
+
+  /**
+   * Find the BotClient that owns a Mineflayer bot
+   * Falls back to the only client when called without a bot in single-bot mode.
+   */
+  static getClient(bot = null) {
+    if (bot?.botClient) return bot.botClient;
+
+    const clients = BotFleet.instance?.getClients() || [];
+    if (clients.length === 1) return clients[0];
+
+    if (clients.length > 1) {
+      logger.warn('getBotClient() called without a bot while several bots are running');
+    }
+    return null;
+  }
+
+  /**
+   * Read the bot entries from settings.json, with one implicit entry in single-bot mode
+   */
+  static getEntries(config) {
+    const entries = config.fleet?.bots || [];
+    if (entries.length === 0) {
+      return [{ id: config.bot?.username || 'bot', dataDir: DATA_DIR }];
+    }
+    return entries;
+  }
+
+  /**
+   * Create a client from a fleet entry: { id, dataDir, ...settings overlay }
+   */
+  addClient(entry) {
+    const config = this.buildClientConfig(entry);
+    const id = entry.id || config.bot?.username;
+
+    if (!id) {
+      throw new Error('Every fleet bot needs an id or bot.username');
+    }
+    if (this.clients.has(id)) {
+      throw new Error(`Duplicate fleet bot id: ${id}`);
+    }
+
+    const client = new BotClient(config, {
+      id,
+      dataDir: entry.dataDir ? path.resolve(entry.dataDir) : path.join(DATA_DIR, 'bots', id),
+      fleet: this,
+      coordinationBus: this.coordinationBus
+    });
+    this.clients.set(id, client);
+    return client;
+  }
+
+  /**
+   * Settings of one fleet entry: the base settings with the entry merged over them
+   */
+  buildClientConfig(entry) {
+    const overlay = { ...entry };
+    delete overlay.id;
+    delete overlay.dataDir;
+
+    const base = { ...this.config };
+    delete base.fleet;
+    return deepMerge(base, overlay);
+  }
+
+  /**
+   * Reload settings.json, the profile and data/waypoints.json when they are edited
+   * @param {Function} loadConfig - Async function returning the validated settings
+   * @param {Object} options - { profilePath } of the selected profile
+   */
+  watchConfig(loadConfig, options = {}) {
+    this.configWatcher = new ConfigWatcher(this, loadConfig, this.config.configReload, options);
+    this.configWatcher.start();
+  }
+
+  /**
+   * Hand reloaded settings to every bot
+   * Adding or removing fleet bots needs a restart.
+   * @returns {Array<{id, changes, plugins, restartRequired}>} What each bot did with them
+   */
+  applyConfig(config) {
+    // Levels changed with !loglevel stay until the logging section itself is edited
+    if (diffConfig(this.config.logging, config.logging).length > 0) {
+      logger.configure(config.logging);
+    }
+    this.config = config;
+    const entries = BotFleet.getEntries(config);
+    const results = [];
+
+    for (const [id, client] of this.clients) {
+      const entry = entries.find(candidate => (candidate.id || candidate.bot?.username || config.bot?.username) === id) ||
+        (entries.length === 1 && this.clients.size === 1 ? entries[0] : null);
+
+      if (!entry) {
+        logger.warn(`Fleet bot ${id} is no longer in settings.json and keeps running until a restart`);
+        results.push({ id, changes: [], plugins: [], restartRequired: ['fleet'] });
+        continue;
+      }
+
+      const result = logger.runWithBot(id, () => client.updateConfig(this.buildClientConfig(entry)));
+      results.push({ id, ...result });
+    }
+
+    if (entries.length > this.clients.size) {
+      logger.warn('New fleet bots start after a restart');
+    }
+    return results;
+  }
+
+  /**
+   * Hand changes to data/waypoints.json to every bot
+   */
+  applyWaypointChanges(changes) {
+    return Array.from(this.clients).map(([id, client]) => ({
+      id,
+      ...logger.runWithBot(id, () => client.applyWaypointChanges(changes))
+    }));
+  }
+
+  /**
+   * Warn about two bots opening the same server port
+   */
+  checkPorts() {
+    const used = new Map();
+    for (const [id, client] of this.clients) {
+      for (const section of SERVER_SECTIONS) {
+        const settings = client.config[section];
+        const enabled = settings?.enabled ?? client.config.features?.[section];
+        if (!enabled || !settings?.port) continue;
+
+        const other = used.get(settings.port);
+        if (other) {
+          logger.warn(`${other} and ${id}.${section} both use port ${settings.port}; give each bot its own port in its fleet entry`);
+        } else {
+          used.set(settings.port, `${id}.${section}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start every bot, one after the other so the server does not throttle the logins
+   * A bot that fails to start is logged and the others keep running.
+   */
+  async start() {
+    const failed = [];
+    let index = 0;
+
+    for (const [id, client] of this.clients) {
+      if (index++ > 0 && this.staggerMs > 0) {
+        await sleep(this.staggerMs);
+      }
+
+      try {
+        // Everything the bot logs from here on, including its timers and events, is tagged with its id
+        await logger.runWithBot(id, () => client.start());
+      } catch (error) {
+        logger.error(`Fleet bot ${id} failed to start`, error);
+        failed.push(id);
+      }
+    }
+
+    if (failed.length === this.clients.size) {
+      throw new Error('No bot could be started');
+    }
+    if (this.clients.size > 1) {
+      logger.success(`Fleet started: ${this.clients.size - failed.length}/${this.clients.size} bots running`);
+    }
+  }
+
+  /**
+   * Stop every bot
+   */
+  async stop() {
+    this.configWatcher?.stop();
+
+    for (const [id, client] of this.clients) {
+      try {
+        await logger.runWithBot(id, () => client.stop());
+      } catch (error) {
+        logger.error(`Fleet bot ${id} failed to stop cleanly`, error);
+      }
+    }
+    this.coordinationBus.close();
+  }
+
+  getClient(id) {
+    return this.clients.get(id) || null;
+  }
+
+  getClients() {
+    return Array.from(this.clients.values());
+  }
+
+  /**
+   * Shared log view across all bots, optionally filtered to one bot
+   */
+  getLogs(options = {}) {
+    return logger.getHistory(options);
+  }
+
+  getStatus() {
+    return {
+      bots: this.getClients().map(client => ({
+        id: client.id,
+        username: client.bot?.username || client.config.bot?.username,
+        isRunning: client.isRunning,
+        dataDir: path.relative(process.cwd(), client.dataDir) || '.',
+        plugins: client.pluginLoader?.getLoadedPlugins() || []
+      })),
+      coordination: this.coordinationBus.getStatus(),
+      configReload: this.configWatcher?.getStatus() || null
+    };
+  }
+}
+
+export default BotFleet;
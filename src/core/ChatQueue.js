@@ -0,0 +1,216 @@
+import logger from '../utils/Logger.js';
+import ChatParser from '../utils/ChatParser.js';
+
+/**
+ * Message priorities, lower values are sent first
+ */
+export const PRIORITY = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+/**
+ * ChatQueue - Rate-limited outbound chat that replaces bot.chat and bot.whisper
+ * Messages are split to the chat length limit, identical consecutive messages are
+ * dropped, and queued lines go out by priority within a messages-per-second budget.
+ */
+class ChatQueue {
+  static configSchema = {
+    chat: {
+      properties: {
+        messagesPerSecond: { type: 'number', min: 0.05, default: 1 },
+        burst: { type: 'integer', min: 1, default: 3 },
+        dedupeWindowMs: { type: 'integer', min: 0, default: 5000 },
+        maxQueueSize: { type: 'integer', min: 1, default: 50 }
+      }
+    }
+  };
+
+  constructor(options = {}) {
+    this.messagesPerSecond = options.messagesPerSecond || 1;
+    this.burst = options.burst || 3;
+    this.dedupeWindow = options.dedupeWindowMs ?? 5000;
+    this.maxQueueSize = options.maxQueueSize || 50;
+    this.maxLength = options.maxLength || 100;
+
+    this.bot = null;
+    this.rawChat = null;
+    this.rawWhisper = null;
+    this.queue = [];
+    this.sequence = 0;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.lastMessage = null; // { key, time }
+    this.timer = null;
+    this.stats = {
+      sent: 0,
+      deduped: 0,
+      dropped: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Route a bot's chat and whisper through the queue
+   * Anything still queued for a previous bot is discarded.
+   */
+  attach(bot) {
+    this.clear();
+
+    this.bot = bot;
+    this.rawChat = bot.chat.bind(bot);
+    this.rawWhisper = bot.whisper.bind(bot);
+
+    bot.chat = (message, options = {}) => this.send(message, options);
+    bot.whisper = (username, message, options = {}) => this.send(message, { ...options, whisperTo: username });
+    bot.chatQueue = this;
+  }
+
+  /**
+   * Queue a message
+   * @param {string} message - Text to send
+   * @param {Object} options
+   * @param {string} options.priority - 'high', 'normal' or 'low'
+   * @param {string} options.whisperTo - Send as a whisper to this player
+   * @returns {boolean} False if the message was deduplicated or dropped
+   */
+  send(message, options = {}) {
+    const text = String(message ?? '').trim();
+    if (!text) return false;
+
+    const priority = PRIORITY[options.priority] ?? PRIORITY.normal;
+    const whisperTo = options.whisperTo || null;
+
+    // Drop repeats of the message that was just queued to the same target
+    const key = `${whisperTo || ''}|${text}`;
+    const now = Date.now();
+    if (this.lastMessage && this.lastMessage.key === key && now - this.lastMessage.time < this.dedupeWindow) {
+      this.stats.deduped++;
+      return false;
+    }
+    this.lastMessage = { key, time: now };
+
+    // Whispers go out as "/tell <player> <message>", so leave room for the header
+    const limit = whisperTo ? this.maxLength - `/tell ${whisperTo} `.length : this.maxLength;
+    const chunks = ChatParser.splitMessage(text, Math.max(limit, 20));
+
+    let queued = true;
+    for (const chunk of chunks) {
+      if (!this.enqueue({ text: chunk, whisperTo, priority, sequence: this.sequence++ })) {
+        queued = false;
+        break;
+      }
+    }
+
+    // Chunks queued before a full queue stopped the rest still go out
+    this.schedule();
+    return queued;
+  }
+
+  /**
+   * Insert an entry behind everything of equal or higher priority
+   */
+  enqueue(entry) {
+    if (this.queue.length >= this.maxQueueSize) {
+      const last = this.queue[this.queue.length - 1];
+      if (last.priority <= entry.priority) {
+        this.stats.dropped++;
+        logger.warn(`Chat queue full, dropping message: ${entry.text}`);
+        return false;
+      }
+      // Make room by dropping the newest lower-priority line
+      this.queue.pop();
+      this.stats.dropped++;
+      logger.warn(`Chat queue full, dropping message: ${last.text}`);
+    }
+
+    const index = this.queue.findIndex(queued => queued.priority > entry.priority);
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
+    }
+    return true;
+  }
+
+  /**
+   * Top up the token bucket based on elapsed time
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.messagesPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Make sure the queue is being drained
+   */
+  schedule() {
+    if (!this.timer) {
+      this.process();
+    }
+  }
+
+  /**
+   * Send as many queued lines as the budget allows, then wait for the next token
+   */
+  process() {
+    this.timer = null;
+    this.refill();
+
+    while (this.tokens >= 1 && this.queue.length > 0) {
+      this.tokens -= 1;
+      this.transmit(this.queue.shift());
+    }
+
+    if (this.queue.length > 0) {
+      const wait = Math.ceil(((1 - this.tokens) / this.messagesPerSecond) * 1000);
+      this.timer = setTimeout(() => this.process(), wait);
+    }
+  }
+
+  /**
+   * Hand a line to the underlying bot
+   */
+  transmit(entry) {
+    try {
+      if (entry.whisperTo) {
+        this.rawWhisper(entry.whisperTo, entry.text);
+      } else {
+        this.rawChat(entry.text);
+      }
+      this.stats.sent++;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error('Failed to send chat message', error);
+    }
+  }
+
+  /**
+   * Discard everything that has not been sent yet
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.stats.dropped += this.queue.length;
+    this.queue = [];
+    this.lastMessage = null;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.queue.length,
+      messagesPerSecond: this.messagesPerSecond
+    };
+  }
+}
+
+export default ChatQueue;
@@ -0,0 +1,226 @@
+import logger from '../utils/Logger.js';
+import ChatParser from '../utils/ChatParser.js';
+import ICommand from '../interfaces/ICommand.js';
+
+/**
+ * CommandRegistry - Parses chat once and routes commands to registered ICommand instances
+ */
+class CommandRegistry {
+  constructor(prefix = '!', permissionManager = null) {
+    this.prefix = prefix;
+    this.permissionManager = permissionManager;
+    this.commands = new Map(); // name -> { command, owner }
+    this.aliases = new Map(); // alias -> name
+    this.stats = {
+      executed: 0,
+      failed: 0,
+      rejected: 0,
+      denied: 0,
+      unknown: 0
+    };
+  }
+
+  /**
+   * Register a command
+   * @param {ICommand} command - Command instance
+   * @param {string|null} owner - Name of the plugin that owns the command
+   */
+  register(command, owner = null) {
+    if (!(command instanceof ICommand)) {
+      throw new Error('Command must extend ICommand');
+    }
+
+    const name = command.name.toLowerCase();
+    if (this.commands.has(name) || this.aliases.has(name)) {
+      throw new Error(`Command ${name} is already registered`);
+    }
+
+    this.commands.set(name, { command, owner });
+
+    for (const alias of command.aliases) {
+      const key = alias.toLowerCase();
+      if (this.commands.has(key) || this.aliases.has(key)) {
+        logger.warn(`Alias ${key} for command ${name} is already taken, skipping`);
+        continue;
+      }
+      this.aliases.set(key, name);
+    }
+
+    logger.debug(`Command registered: ${this.prefix}${name}${owner ? ` (${owner})` : ''}`);
+    return command;
+  }
+
+  /**
+   * Unregister a command and its aliases
+   */
+  unregister(name) {
+    const key = name.toLowerCase();
+    if (!this.commands.has(key)) return false;
+
+    this.commands.delete(key);
+    for (const [alias, target] of this.aliases) {
+      if (target === key) {
+        this.aliases.delete(alias);
+      }
+    }
+
+    logger.debug(`Command unregistered: ${this.prefix}${key}`);
+    return true;
+  }
+
+  /**
+   * Unregister every command owned by a plugin
+   */
+  unregisterOwner(owner) {
+    let removed = 0;
+    for (const [name, entry] of this.commands) {
+      if (entry.owner === owner && this.unregister(name)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get a command by name or alias
+   */
+  get(name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    const resolved = this.aliases.get(key) || key;
+    return this.commands.get(resolved)?.command || null;
+  }
+
+  /**
+   * Check if a command or alias is registered
+   */
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * Get the plugin that owns a command
+   */
+  getOwner(name) {
+    const command = this.get(name);
+    return command ? this.commands.get(command.name.toLowerCase()).owner : null;
+  }
+
+  /**
+   * Get all registered commands
+   */
+  getCommands() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Build the invocation context handed to commands
+   * Replies go back on the channel the command arrived on
+   * @param {string} channel - 'chat' or 'whisper'
+   */
+  createContext(bot, username, channel = 'chat') {
+    const reply = channel === 'whisper'
+      ? message => bot.whisper(username, message)
+      : message => bot.chat(message);
+
+    return { bot, username, channel, reply };
+  }
+
+  /**
+   * Parse a chat line and dispatch it to the matching command
+   * @param {string} channel - Channel the message arrived on ('chat' or 'whisper')
+   * @returns {Promise<boolean>} True if a command was executed
+   */
+  async dispatch(bot, username, message, channel = 'chat') {
+    if (username === bot.username) return false;
+
+    const parsed = ChatParser.parseCommand(message, this.prefix);
+    if (!parsed || !parsed.command) return false;
+
+    const command = this.get(parsed.command);
+    if (!command) {
+      this.stats.unknown++;
+      logger.debug(`Unknown command from ${username}: ${parsed.command}`);
+      return false;
+    }
+
+    const context = this.createContext(bot, username, channel);
+    return this.execute(command, bot, username, parsed.args, parsed.rawArgs, context);
+  }
+
+  /**
+   * Run a command through permission, cooldown, validation and lifecycle hooks
+   */
+  async execute(command, bot, username, args, rawArgs = '', context = this.createContext(bot, username)) {
+    const { reply } = context;
+
+    // Callers authenticated outside of chat (e.g. the control API) skip role checks;
+    // context.role replaces the player's role for commands run on someone else's behalf
+    if (this.permissionManager && !context.authorized) {
+      const { allowed, role, required } = this.permissionManager.check(username, command, args, context.role);
+      if (!allowed) {
+        this.stats.denied++;
+        logger.warn(`Permission denied: ${username} (${role}) tried ${this.prefix}${command.name} ${args.join(' ')} (requires ${required})`);
+        // Stay silent towards blocked players so they cannot use the bot to spam
+        if (role !== 'blocked') {
+          reply(`You need the ${required} role to use ${this.prefix}${command.name}`);
+        }
+        return false;
+      }
+    }
+
+    if (command.isOnCooldown(username)) {
+      this.stats.rejected++;
+      reply(`Please wait ${command.getRemainingCooldown(username)}s before using ${this.prefix}${command.name} again`);
+      return false;
+    }
+
+    const validation = command.validate(args) || { valid: true };
+    if (!validation.valid) {
+      this.stats.rejected++;
+      reply(validation.message || `Usage: ${this.prefix}${validation.usage || command.usage}`);
+      return false;
+    }
+
+    logger.debug(`Executing command ${command.name} for ${username} via ${context.channel}: ${args.join(' ')}`);
+
+    try {
+      await command.beforeExecute(bot, username, args);
+      command.updateCooldown(username);
+      const result = await command.execute(bot, username, args, rawArgs, context);
+      await command.afterExecute(bot, username, args, result);
+      this.stats.executed++;
+      return true;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error(`Error executing command ${command.name}`, error);
+      try {
+        command.onError(error, bot, username, context);
+      } catch (handlerError) {
+        logger.error(`Error in onError handler for ${command.name}`, handlerError);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Remove all commands
+   */
+  clear() {
+    this.commands.clear();
+    this.aliases.clear();
+  }
+
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      totalCommands: this.commands.size,
+      totalAliases: this.aliases.size
+    };
+  }
+}
+
+export default CommandRegistry;
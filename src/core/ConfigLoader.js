@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { deepMerge, isPlainObject, redactSecrets } from '../utils/helpers/configHelpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Prefix of generic overrides: BOT__combat__autoRetaliate=false sets combat.autoRetaliate
+const ENV_PREFIX = 'BOT__';
+
+// Older variables kept working; a BOT__ override of the same setting wins
+const LEGACY_ENV = [
+  ['MC_HOST', 'server.host'],
+  ['MC_PORT', 'server.port', value => parseInt(value)],
+  ['MC_USERNAME', 'bot.username'],
+  ['MC_PASSWORD', 'bot.password'],
+  ['MC_VERSION', 'server.version'],
+  ['MC_AUTH', 'server.auth'],
+  ['WEB_VIEWER_ENABLED', 'features.webViewer', value => value === 'true' || undefined],
+  ['WEB_VIEWER_PORT', 'webViewer.port', value => parseInt(value)],
+  ['LOG_LEVEL', 'logging.level'],
+  ['LOG_TO_FILE', 'logging.toFile', value => value !== 'false'],
+  // The control API token is kept out of settings.json and shared by the live event stream
+  ['CONTROL_API_TOKEN', 'controlApi.token'],
+  ['CONTROL_API_TOKEN', 'liveEvents.token']
+];
+
+/**
+ * ConfigLoader - Builds the settings from layered sources
+ * Later layers win:
+ *   1. config/settings.json (with config/physics.json as `physics`)
+ *   2. config/profiles/<name>.json, selected by --profile <name> or BOT_PROFILE
+ *   3. Environment variables: BOT__section__key=value and the MC_* variables
+ *   4. Command line flags: --section.key=value or --section.key value
+ * Override values are parsed as JSON when possible (false, 25565, ["a"]) and kept as text otherwise.
+ * The source of every value is recorded for --print-config.
+ */
+class ConfigLoader {
+  /**
+   * @param {Object} options - { configDir, argv, env }; defaults to config/, process.argv and process.env
+   */
+  constructor(options = {}) {
+    this.configDir = options.configDir || path.join(__dirname, '../../config');
+    this.env = options.env || process.env;
+
+    const { profile, printConfig, flags } = ConfigLoader.parseArgs(options.argv || process.argv.slice(2));
+    this.profile = profile || this.env.BOT_PROFILE || null;
+    this.printConfig = printConfig;
+    this.flags = flags;
+    this.sources = {};
+  }
+
+  /**
+   * Split command line arguments into the loader's own flags and setting overrides
+   * @param {string[]} argv - Arguments after the script name
+   * @returns {{profile: string|null, printConfig: boolean, flags: Array<{path, value, name}>}}
+   */
+  static parseArgs(argv) {
+    const result = { profile: null, printConfig: false, flags: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+      const arg = argv[index];
+      if (!arg.startsWith('--') || arg.length === 2) {
+        throw new Error(`Unexpected argument "${arg}"; settings are given as --section.key=value`);
+      }
+
+      if (arg === '--print-config') {
+        result.printConfig = true;
+        continue;
+      }
+
+      let [name, value] = arg.slice(2).split(/=(.*)/s);
+      if (value === undefined) {
+        // "--key value", or a bare "--key" meaning true
+        const next = argv[index + 1];
+        value = next !== undefined && !next.startsWith('--') ? argv[++index] : 'true';
+      }
+
+      if (name === 'profile') {
+        result.profile = value;
+      } else {
+        result.flags.push({ path: name.split('.'), value: ConfigLoader.parseValue(value), name: `--${name}` });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse an override value: JSON when it is valid JSON, the text itself otherwise
+   */
+  static parseValue(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Path of the selected profile file, or null without a profile
+   */
+  getProfilePath() {
+    return this.profile ? path.join(this.configDir, 'profiles', `${this.profile}.json`) : null;
+  }
+
+  /**
+   * Read every layer and merge them
+   * @returns {Object} The merged settings (not validated)
+   * @throws {Error} When a file cannot be read or the profile does not exist
+   */
+  load() {
+    this.config = {};
+    this.sources = {};
+
+    this.apply(ConfigLoader.readJson(path.join(this.configDir, 'settings.json')), 'settings.json');
+    this.apply({ physics: ConfigLoader.readJson(path.join(this.configDir, 'physics.json')) }, 'physics.json');
+
+    const profilePath = this.getProfilePath();
+    if (profilePath) {
+      if (!fs.existsSync(profilePath)) {
+        throw new Error(`Profile "${this.profile}" not found: ${path.relative(process.cwd(), profilePath)}`);
+      }
+      this.apply(ConfigLoader.readJson(profilePath), `profiles/${this.profile}.json`);
+    }
+
+    for (const [name, settingPath, parse] of LEGACY_ENV) {
+      if (!this.env[name]) continue;
+      const value = parse ? parse(this.env[name]) : this.env[name];
+      if (value !== undefined) {
+        this.set(settingPath.split('.'), value, `env ${name}`);
+      }
+    }
+
+    for (const [name, value] of Object.entries(this.env)) {
+      if (!name.startsWith(ENV_PREFIX)) continue;
+      const segments = name.slice(ENV_PREFIX.length).split('__').filter(Boolean);
+      if (segments.length > 0) {
+        this.set(segments, ConfigLoader.parseValue(value), `env ${name}`);
+      }
+    }
+
+    for (const { path: segments, value, name } of this.flags) {
+      this.set(segments, value, `flag ${name}`);
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Set one setting; each segment matches an existing key regardless of case
+   * (environment variables are often upper case)
+   */
+  set(segments, value, source) {
+    const resolved = [];
+    let current = this.config;
+    for (const segment of segments) {
+      const key = isPlainObject(current)
+        ? Object.keys(current).find(candidate => candidate.toLowerCase() === segment.toLowerCase()) ?? segment
+        : segment;
+      resolved.push(key);
+      current = current?.[key];
+    }
+
+    const overlay = resolved.reduceRight((inner, key) => ({ [key]: inner }), value);
+    this.apply(overlay, source);
+  }
+
+  /**
+   * Merge a layer and record where its values came from
+   */
+  apply(overlay, source) {
+    this.config = deepMerge(this.config, overlay);
+    this.record(overlay, source, '');
+  }
+
+  record(value, source, prefix) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      for (const [key, item] of Object.entries(value)) {
+        this.record(item, source, prefix ? `${prefix}.${key}` : key);
+      }
+      return;
+    }
+
+    // A value that replaces a whole section also replaces the sources below it
+    for (const key of Object.keys(this.sources)) {
+      if (key.startsWith(`${prefix}.`)) delete this.sources[key];
+    }
+    this.sources[prefix] = source;
+  }
+
+  /**
+   * Describe settings one per line with their source; values not set by any layer are defaults
+   * @param {Object} config - Settings to describe (usually validated, with defaults filled in)
+   * @returns {string} Text for --print-config, with secrets masked
+   */
+  describe(config) {
+    const lines = [];
+    const visit = (value, prefix) => {
+      if (isPlainObject(value) && Object.keys(value).length > 0) {
+        for (const [key, item] of Object.entries(value)) {
+          visit(item, prefix ? `${prefix}.${key}` : key);
+        }
+        return;
+      }
+      lines.push([prefix, JSON.stringify(redactSecrets(prefix, value)), this.sources[prefix] || 'default']);
+    };
+    visit(config, '');
+
+    const width = Math.min(60, Math.max(...lines.map(([settingPath, value]) => settingPath.length + value.length + 3)));
+    const header = `# Profile: ${this.profile || 'none'}`;
+    return [header, ...lines.map(([settingPath, value, source]) => `${`${settingPath} = ${value}`.padEnd(width)}  # ${source}`)].join('\n');
+  }
+
+  /**
+   * Parse a JSON config file, naming the file in the error
+   */
+  static readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+    }
+  }
+}
+
+export default ConfigLoader;
@@ -0,0 +1,234 @@
+import logger from '../utils/Logger.js';
+import PluginLoader from './PluginLoader.js';
+import { isPlainObject } from '../utils/helpers/configHelpers.js';
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => isPlainObject(value),
+  array: value => Array.isArray(value),
+  any: () => true
+};
+
+/**
+ * ConfigValidator - Checks settings against the schemas declared by core classes and plugins
+ * A class declares `static configSchema = { section: schema }`, where a schema is a plain object:
+ *   type                  'string', 'number', 'integer', 'boolean', 'object', 'array', 'any' or a list of them
+ *   default               Filled in when the key is missing
+ *   required              A missing value is an error (not enforced for disabled plugins)
+ *   enum / min / max / minLength
+ *   properties            Schemas of an object's keys
+ *   additionalProperties  Schema for any other key, or true to allow anything; otherwise other keys are warned about
+ *   items                 Schema of array elements
+ * Several classes may add keys to the same section (e.g. features).
+ */
+class ConfigValidator {
+  constructor() {
+    this.sections = new Map(); // section -> { schema, owners, plugins }
+  }
+
+  /**
+   * Add the sections a class declares
+   * @param {string} owner - Class name, for messages
+   * @param {Object} schemas - { section: schema }
+   * @param {string} feature - Feature name when the owner is a plugin
+   */
+  addSchemas(owner, schemas = {}, feature = null) {
+    for (const [section, schema] of Object.entries(schemas)) {
+      const existing = this.sections.get(section);
+      if (existing) {
+        existing.schema = {
+          ...existing.schema,
+          ...schema,
+          properties: { ...existing.schema.properties, ...schema.properties }
+        };
+        existing.owners.push(owner);
+      } else {
+        this.sections.set(section, { schema: { type: 'object', ...schema }, owners: [owner], plugins: [] });
+      }
+
+      if (feature) {
+        this.sections.get(section).plugins.push(feature);
+      }
+    }
+  }
+
+  /**
+   * Import every plugin and add its schema, its feature flag and its own section
+   */
+  async addPluginSchemas(pluginsDir = null) {
+    const loader = new PluginLoader(null, pluginsDir);
+
+    for (const pluginInfo of await loader.discoverPlugins()) {
+      const feature = pluginInfo.name.charAt(0).toLowerCase() + pluginInfo.name.slice(1);
+      this.addSchemas(pluginInfo.name, { features: { properties: { [feature]: { type: 'boolean' } } } });
+
+      let PluginClass = null;
+      try {
+        PluginClass = await loader.importPlugin(pluginInfo);
+      } catch (error) {
+        // The loader reports it again when the plugin is loaded
+        logger.warn(`Could not read the config schema of ${pluginInfo.name}: ${error.message}`);
+      }
+
+      // Plugins without a schema for their own section accept anything in it
+      const schemas = { ...PluginClass?.configSchema };
+      schemas[feature] = schemas[feature] || { additionalProperties: true };
+      this.addSchemas(pluginInfo.name, schemas, feature);
+    }
+  }
+
+  /**
+   * Validate a config and fill in defaults
+   * @param {Object} config - Settings to check (not modified)
+   * @param {Object} options - { partial: skip required keys and defaults (fleet overlays), path: prefix for messages }
+   * @returns {{config: Object, errors: Array<{path, message}>, warnings: Array<{path, message}>}}
+   */
+  validate(config, options = {}) {
+    const context = { errors: [], warnings: [], partial: Boolean(options.partial) };
+    const schema = { type: 'object', properties: {} };
+
+    for (const [section, { schema: sectionSchema, owners, plugins }] of this.sections) {
+      // Required keys only matter while one of the plugins that reads the section is enabled
+      const pluginOnly = plugins.length === owners.length;
+      const enabled = plugins.some(feature => config.features?.[feature] !== false);
+      schema.properties[section] = pluginOnly && !enabled ? { ...sectionSchema, lenient: true } : sectionSchema;
+    }
+
+    const validated = ConfigValidator.check(config, schema, options.path || '', context);
+    return { config: validated, errors: context.errors, warnings: context.warnings };
+  }
+
+  /**
+   * Check one value against its schema
+   * @returns {*} The value with defaults filled in
+   */
+  static check(value, schema, path, context) {
+    const lenient = context.lenient || schema.lenient;
+
+    if (value === undefined) {
+      if (context.partial) return undefined;
+      if (schema.default !== undefined) return structuredClone(schema.default);
+      if (schema.required && !lenient) {
+        context.errors.push({ path, message: 'is required' });
+        return undefined;
+      }
+      // Missing sections still get their defaults
+      if (schema.properties && [].concat(schema.type || 'object').includes('object')) {
+        value = {};
+      } else {
+        return undefined;
+      }
+    }
+
+    const types = [].concat(schema.type || 'any');
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      context.errors.push({ path, message: `should be ${types.join(' or ')}, got ${ConfigValidator.describe(value)}` });
+      return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      context.errors.push({ path, message: `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${ConfigValidator.describe(value)}` });
+    }
+    if (typeof value === 'number') {
+      if (schema.min !== undefined && value < schema.min) {
+        context.errors.push({ path, message: `should be at least ${schema.min}, got ${value}` });
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        context.errors.push({ path, message: `should be at most ${schema.max}, got ${value}` });
+      }
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      context.errors.push({ path, message: schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters` });
+    }
+
+    const nested = lenient === context.lenient ? context : { ...context, lenient };
+
+    if (Array.isArray(value) && schema.items) {
+      return value.map((item, index) => ConfigValidator.check(item, schema.items, `${path}[${index}]`, nested));
+    }
+
+    if (isPlainObject(value) && (schema.properties || schema.additionalProperties)) {
+      return ConfigValidator.checkObject(value, schema, path, nested);
+    }
+
+    return value;
+  }
+
+  static checkObject(value, schema, path, context) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      const checked = ConfigValidator.check(value[key], propertySchema, ConfigValidator.join(path, key), context);
+      if (checked !== undefined) result[key] = checked;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) continue;
+
+      if (isPlainObject(schema.additionalProperties)) {
+        result[key] = ConfigValidator.check(item, schema.additionalProperties, ConfigValidator.join(path, key), context);
+        continue;
+      }
+
+      if (schema.additionalProperties !== true) {
+        const suggestion = ConfigValidator.suggest(key, Object.keys(properties));
+        context.warnings.push({
+          path: ConfigValidator.join(path, key),
+          message: `is not a known setting${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      }
+      result[key] = item;
+    }
+
+    return result;
+  }
+
+  static join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  static describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value)}`;
+  }
+
+  /**
+   * Closest known key to a misspelled one, within two edits
+   */
+  static suggest(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+      const distance = ConfigValidator.editDistance(key.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+export default ConfigValidator;
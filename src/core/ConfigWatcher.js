@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/Logger.js';
+import { DATA_DIR, readJsonFile } from '../utils/helpers/fileHelpers.js';
+import { diffConfig, redactSecrets } from '../utils/helpers/configHelpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * ConfigWatcher - Applies edits to config/settings.json and data/waypoints.json while running
+ * The selected profile file is watched along with settings.json. Settings are loaded
+ * with all their layers and validated as at startup; a file that does not validate is
+ * rejected and the running settings stay. The changed values are handed to the
+ * plugins that read them (see PluginLoader.applyConfigChange) and every reload is
+ * appended to data/config-audit.jsonl.
+ */
+class ConfigWatcher {
+  static configSchema = {
+    configReload: {
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        intervalMs: { type: 'integer', min: 100, default: 1000 },
+        debounceMs: { type: 'integer', min: 0, default: 500 }
+      }
+    }
+  };
+
+  /**
+   * @param {BotFleet} fleet - Receives the new settings and waypoint changes
+   * @param {Function} loadConfig - Async function returning the validated settings
+   * @param {Object} config - The configReload section
+   * @param {Object} options - File paths: settingsPath, profilePath, waypointsPath, auditPath
+   */
+  constructor(fleet, loadConfig, config = {}, options = {}) {
+    this.fleet = fleet;
+    this.loadConfig = loadConfig;
+    this.enabled = config.enabled !== false;
+    this.intervalMs = config.intervalMs ?? 1000;
+    this.debounceMs = config.debounceMs ?? 500;
+    this.files = {
+      settings: options.settingsPath || path.join(__dirname, '../../config/settings.json'),
+      waypoints: options.waypointsPath || path.join(DATA_DIR, 'waypoints.json')
+    };
+    if (options.profilePath) {
+      // Reloading the profile reloads the settings with every layer
+      this.files.profile = options.profilePath;
+    }
+    this.auditPath = options.auditPath || path.join(DATA_DIR, 'config-audit.jsonl');
+
+    this.waypoints = null;
+    this.timers = {};
+    this.queue = Promise.resolve();
+    this.watching = false;
+    this.reloadCount = 0;
+    this.lastReload = null;
+  }
+
+  /**
+   * Start polling both files for changes
+   */
+  start() {
+    if (!this.enabled || this.watching) return;
+
+    this.waypoints = this.readWaypoints() || {};
+    for (const [file, filePath] of Object.entries(this.files)) {
+      // Polling survives editors that save by replacing the file
+      fs.watchFile(filePath, { interval: this.intervalMs, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+          this.schedule(file);
+        }
+      });
+    }
+
+    this.watching = true;
+    logger.info(`Watching ${Object.values(this.files).map(filePath => path.relative(process.cwd(), filePath)).join(', ')} for changes`);
+  }
+
+  stop() {
+    for (const filePath of Object.values(this.files)) {
+      fs.unwatchFile(filePath);
+    }
+    for (const timer of Object.values(this.timers)) {
+      clearTimeout(timer);
+    }
+    this.timers = {};
+    this.watching = false;
+  }
+
+  /**
+   * Reload a file once writes to it have settled; reloads run one at a time
+   */
+  schedule(file) {
+    clearTimeout(this.timers[file]);
+    this.timers[file] = setTimeout(() => {
+      delete this.timers[file];
+      this.queue = this.queue
+        .then(() => this.reload(file))
+        .catch(error => logger.error(`Failed to reload ${file}`, error));
+    }, this.debounceMs);
+  }
+
+  /**
+   * Reload one file now
+   * @param {string} file - 'settings', 'profile' or 'waypoints'
+   * @returns {Promise<Object|null>} The audit entry, or null when nothing changed
+   */
+  async reload(file) {
+    return file === 'waypoints' ? this.reloadWaypoints() : this.reloadSettings();
+  }
+
+  async reloadSettings() {
+    let config;
+    try {
+      config = await this.loadConfig();
+    } catch (error) {
+      logger.error(`Settings not reloaded, the running settings stay: ${error.message}`);
+      return this.audit({ file: 'settings', status: 'rejected', error: error.message });
+    }
+
+    return this.report('settings', this.fleet.applyConfig(config));
+  }
+
+  async reloadWaypoints() {
+    let data;
+    try {
+      data = this.readWaypoints() || {};
+    } catch (error) {
+      logger.error(`waypoints.json not reloaded, the loaded waypoints stay: ${error.message}`);
+      return this.audit({ file: 'waypoints', status: 'rejected', error: error.message });
+    }
+
+    const changes = diffConfig(this.waypoints, data);
+    this.waypoints = data;
+    if (changes.length === 0) return null;
+
+    return this.report('waypoints', this.fleet.applyWaypointChanges(changes));
+  }
+
+  readWaypoints() {
+    return readJsonFile(this.files.waypoints, null);
+  }
+
+  /**
+   * Log what each bot did with a reload and add it to the audit log
+   * @param {Array<{id, changes, plugins, restartRequired}>} bots - Result per bot
+   */
+  report(file, bots) {
+    const changed = bots.filter(bot => bot.changes.length > 0 || bot.restartRequired.length > 0);
+    if (changed.length === 0) {
+      logger.debug(`${file}.json saved without changes`);
+      return null;
+    }
+
+    for (const { id, changes, plugins, restartRequired } of changed) {
+      const prefix = bots.length > 1 ? `[${id}] ` : '';
+      if (changes.length > 0) {
+        logger.info(`${prefix}Reloaded ${file}.json: ${changes.map(change => change.path).join(', ')}${plugins.length > 0 ? ` (applied by ${plugins.join(', ')})` : ''}`);
+      }
+      if (restartRequired.length > 0) {
+        logger.warn(`${prefix}Restart to apply the changes to ${restartRequired.join(', ')}`);
+      }
+    }
+
+    return this.audit({
+      file,
+      status: 'applied',
+      bots: changed.map(({ id, changes, plugins, restartRequired }) => ({
+        id,
+        changes: changes.map(change => ({
+          path: change.path,
+          from: redactSecrets(change.path, change.from),
+          to: redactSecrets(change.path, change.to)
+        })),
+        plugins,
+        restartRequired
+      }))
+    });
+  }
+
+  audit(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    this.reloadCount++;
+    this.lastReload = record;
+
+    try {
+      fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+      fs.appendFileSync(this.auditPath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      logger.error('Failed to write the config audit log', error);
+    }
+    return record;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      watching: this.watching,
+      reloads: this.reloadCount,
+      lastReload: this.lastReload
+    };
+  }
+}
+
+export default ConfigWatcher;
@@ -0,0 +1,371 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/Logger.js';
+import EventBus from './EventBus.js';
+import { DATA_DIR } from '../utils/helpers/fileHelpers.js';
+
+/**
+ * FileTransport - Shares bus messages between processes through an append-only file
+ * Every process appends its messages as JSON lines and replays the lines of the others,
+ * so all of them apply the same messages in the same order. A stand-in for a real
+ * broker: fine for a few processes on one host, not for a network. The file is
+ * rotated to .old past maxBytes; a reader that sleeps through two rotations misses
+ * the messages in between.
+ */
+class FileTransport {
+  constructor(filePath, maxBytes = 1024 * 1024) {
+    this.filePath = filePath;
+    this.oldPath = `${filePath}.old`;
+    this.maxBytes = maxBytes;
+    this.offset = 0;
+    this.ino = null;
+    this.partial = '';
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  append(message) {
+    try {
+      if (fs.statSync(this.filePath).size > this.maxBytes) {
+        fs.renameSync(this.filePath, this.oldPath);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Lines this short are written in one piece with O_APPEND
+    fs.appendFileSync(this.filePath, `${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Read the lines appended since the last call
+   */
+  read() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const lines = [];
+    if (this.ino === null) {
+      // First read: claims made before the last rotation are still in .old
+      try {
+        lines.push(...this.readFrom(this.oldPath, 0));
+        this.partial = '';
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    } else if (stat.ino !== this.ino) {
+      // Another process rotated the file; finish the part of it we had not read
+      try {
+        if (fs.statSync(this.oldPath).ino === this.ino) {
+          lines.push(...this.readFrom(this.oldPath, this.offset));
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.offset = 0;
+      this.partial = '';
+    }
+    this.ino = stat.ino;
+
+    if (stat.size < this.offset) {
+      this.offset = 0;
+      this.partial = '';
+    }
+    if (stat.size > this.offset) {
+      lines.push(...this.readFrom(this.filePath, this.offset, stat.size));
+      this.offset = stat.size;
+    }
+
+    const messages = [];
+    for (const line of lines) {
+      try {
+        messages.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping malformed coordination message: ${line.slice(0, 80)}`);
+      }
+    }
+    return messages;
+  }
+
+  readFrom(filePath, start, end = null) {
+    const size = end ?? fs.statSync(filePath).size;
+    if (size <= start) return [];
+
+    const buffer = Buffer.alloc(size - start);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const text = this.partial + buffer.toString('utf8');
+    const lines = text.split('\n');
+    this.partial = lines.pop();
+    return lines.filter(Boolean);
+  }
+}
+
+/**
+ * CoordinationBus - Lets fleet bots share work without getting in each other's way
+ * Bots claim leases on positions ("pos:x,y,z"), chests ("chest:x,y,z") or named
+ * areas, share which chests are full and ask each other for help. All state is
+ * derived from messages applied in order, so with the file transport several
+ * processes agree on who holds a lease.
+ */
+class CoordinationBus {
+  static configSchema = {
+    coordination: {
+      properties: {
+        transport: { type: 'string', enum: ['memory', 'file'], default: 'memory' },
+        file: { type: 'string', minLength: 1 },
+        pollMs: { type: 'integer', min: 50, default: 1000 },
+        leaseMs: { type: 'integer', min: 1000, default: 30000 },
+        fullChestMs: { type: 'integer', min: 0, default: 300000 },
+        helpMs: { type: 'integer', min: 1000, default: 60000 },
+        maxFileBytes: { type: 'integer', min: 1024, default: 1024 * 1024 }
+      }
+    }
+  };
+
+  constructor(config = {}) {
+    this.leaseMs = config.leaseMs ?? 30000;
+    this.fullChestMs = config.fullChestMs ?? 300000;
+    this.helpMs = config.helpMs ?? 60000;
+    this.pollMs = config.pollMs ?? 1000;
+    this.transport = config.transport === 'file'
+      ? new FileTransport(path.resolve(config.file || path.join(DATA_DIR, 'coordination.jsonl')), config.maxFileBytes)
+      : null;
+
+    this.leases = new Map(); // key -> { key, owner, expiresAt, area }
+    this.fullChests = new Map(); // key -> { from, expiresAt }
+    this.helpRequests = new Map(); // id -> { id, from, kind, target, position, expiresAt, responders }
+    this.events = new EventBus(50);
+    this.messageCount = 0;
+
+    this.pollInterval = setInterval(() => this.sync(), this.pollMs);
+    this.pollInterval.unref?.();
+    this.sync();
+  }
+
+  /**
+   * Key for a block position
+   */
+  static positionKey(position) {
+    return `${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+  }
+
+  /**
+   * Send a message to every bot, including the sender
+   */
+  send(type, from, data = {}) {
+    const message = { id: crypto.randomUUID(), type, from, ts: Date.now(), ...data };
+
+    if (this.transport) {
+      this.transport.append(message);
+      this.sync();
+    } else {
+      this.apply(message);
+    }
+    return message;
+  }
+
+  /**
+   * Apply messages from other processes and drop expired entries
+   */
+  sync() {
+    if (this.transport) {
+      try {
+        for (const message of this.transport.read()) {
+          this.apply(message);
+        }
+      } catch (error) {
+        logger.error('Failed to read coordination messages', error);
+      }
+    }
+    this.prune();
+  }
+
+  /**
+   * Update shared state from a message
+   * Decisions use the message timestamp rather than the local clock so every
+   * process reaches the same result.
+   */
+  apply(message) {
+    const { type, from, ts } = message;
+    this.messageCount++;
+
+    switch (type) {
+    case 'lease.claim': {
+      const current = this.leases.get(message.key);
+      if (current && current.owner !== from && current.expiresAt > ts) return;
+      this.leases.set(message.key, { key: message.key, owner: from, expiresAt: ts + message.ttlMs, area: message.area || null });
+      break;
+    }
+    case 'lease.release':
+      if (this.leases.get(message.key)?.owner === from) {
+        this.leases.delete(message.key);
+      }
+      break;
+    case 'lease.releaseAll':
+      for (const [key, lease] of this.leases) {
+        if (lease.owner === from) this.leases.delete(key);
+      }
+      break;
+    case 'chest.full':
+      this.fullChests.set(message.key, { from, expiresAt: ts + message.ttlMs });
+      break;
+    case 'chest.available':
+      this.fullChests.delete(message.key);
+      break;
+    case 'help.request':
+      this.helpRequests.set(message.id, {
+        id: message.id,
+        from,
+        kind: message.kind,
+        target: message.target || null,
+        position: message.position || null,
+        expiresAt: ts + message.ttlMs,
+        responders: []
+      });
+      break;
+    case 'help.respond': {
+      const request = this.helpRequests.get(message.requestId);
+      if (request && !request.responders.includes(from)) {
+        request.responders.push(from);
+      }
+      break;
+    }
+    case 'help.resolve':
+      this.helpRequests.delete(message.requestId);
+      break;
+    default:
+      logger.debug(`Ignoring unknown coordination message type: ${type}`);
+      return;
+    }
+
+    this.events.publish(type, message);
+  }
+
+  prune(now = Date.now()) {
+    for (const map of [this.leases, this.fullChests, this.helpRequests]) {
+      for (const [key, entry] of map) {
+        if (entry.expiresAt <= now) map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the lease on a key if it has not expired
+   */
+  getLease(key) {
+    const lease = this.leases.get(key);
+    return lease && lease.expiresAt > Date.now() ? lease : null;
+  }
+
+  /**
+   * Find a lease by another bot on a position, directly or through an area lease
+   */
+  findPositionLease(position, except = null) {
+    const direct = this.getLease(`pos:${CoordinationBus.positionKey(position)}`);
+    if (direct && direct.owner !== except) return direct;
+
+    const now = Date.now();
+    for (const lease of this.leases.values()) {
+      if (!lease.area || lease.owner === except || lease.expiresAt <= now) continue;
+      const { min, max } = lease.area;
+      if (position.x >= min.x && position.x <= max.x &&
+          position.y >= min.y && position.y <= max.y &&
+          position.z >= min.z && position.z <= max.z) {
+        return lease;
+      }
+    }
+    return null;
+  }
+
+  isChestFull(key) {
+    const entry = this.fullChests.get(key);
+    return Boolean(entry && entry.expiresAt > Date.now());
+  }
+
+  /**
+   * Subscribe to bus messages by type pattern (e.g. 'help', 'lease.claim', '*')
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(patterns, callback) {
+    return this.events.subscribe(patterns, callback);
+  }
+
+  /**
+   * Create the handle a bot uses, with its id filled in as sender and owner
+   */
+  createMember(id) {
+    return {
+      id,
+      claim: (key, ttlMs = this.leaseMs) => {
+        this.send('lease.claim', id, { key, ttlMs });
+        return this.getLease(key)?.owner === id;
+      },
+      claimPosition: (position, ttlMs = this.leaseMs) => {
+        const key = `pos:${CoordinationBus.positionKey(position)}`;
+        if (this.findPositionLease(position, id)) return false;
+        this.send('lease.claim', id, { key, ttlMs });
+        return this.getLease(key)?.owner === id;
+      },
+      claimArea: (name, corner1, corner2, ttlMs = this.leaseMs) => {
+        const key = `area:${name}`;
+        const area = {
+          min: { x: Math.min(corner1.x, corner2.x), y: Math.min(corner1.y, corner2.y), z: Math.min(corner1.z, corner2.z) },
+          max: { x: Math.max(corner1.x, corner2.x), y: Math.max(corner1.y, corner2.y), z: Math.max(corner1.z, corner2.z) }
+        };
+        this.send('lease.claim', id, { key, ttlMs, area });
+        return this.getLease(key)?.owner === id;
+      },
+      release: (key) => this.send('lease.release', id, { key }),
+      releasePosition: (position) => this.send('lease.release', id, { key: `pos:${CoordinationBus.positionKey(position)}` }),
+      releaseAll: () => this.send('lease.releaseAll', id),
+      isClaimedByOther: (key) => {
+        const lease = this.getLease(key);
+        return Boolean(lease && lease.owner !== id);
+      },
+      isPositionClaimed: (position) => this.findPositionLease(position, id) !== null,
+      markChestFull: (key, ttlMs = this.fullChestMs) => this.send('chest.full', id, { key, ttlMs }),
+      markChestAvailable: (key) => this.send('chest.available', id, { key }),
+      isChestFull: (key) => this.isChestFull(key),
+      requestHelp: ({ kind, target = null, position = null }, ttlMs = this.helpMs) => {
+        const pos = position ? { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) } : null;
+        return this.helpRequests.get(this.send('help.request', id, { kind, target, position: pos, ttlMs }).id);
+      },
+      respondToHelp: (requestId) => this.send('help.respond', id, { requestId }),
+      resolveHelp: (requestId) => this.send('help.resolve', id, { requestId }),
+      // Help requests from the other bots
+      onHelpRequest: (callback) => this.subscribe('help.request', (event) => {
+        if (event.data.from !== id) callback(this.helpRequests.get(event.data.id) || event.data);
+      }),
+      subscribe: (patterns, callback) => this.subscribe(patterns, callback)
+    };
+  }
+
+  close() {
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+
+  getStatus() {
+    this.prune();
+    return {
+      transport: this.transport ? 'file' : 'memory',
+      messages: this.messageCount,
+      leases: Array.from(this.leases.values()),
+      fullChests: Array.from(this.fullChests.entries()).map(([key, entry]) => ({ key, ...entry })),
+      helpRequests: Array.from(this.helpRequests.values())
+    };
+  }
+}
+
+export default CoordinationBus;
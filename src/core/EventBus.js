@@ -0,0 +1,88 @@
+import logger from '../utils/Logger.js';
+
+/**
+ * EventBus - Topic based publish/subscribe for bot telemetry
+ * Topics are dot separated (e.g. "state.health", "combat.start"). A subscription to
+ * "state" receives "state" and every "state.*" topic, "*" receives everything.
+ */
+class EventBus {
+  constructor(historySize = 100) {
+    this.subscribers = new Set(); // { patterns, callback }
+    this.history = [];
+    this.historySize = historySize;
+    this.published = 0;
+  }
+
+  /**
+   * Check if a topic matches a subscription pattern
+   */
+  static matches(pattern, topic) {
+    if (pattern === '*' || pattern === topic) return true;
+    if (pattern.endsWith('.*')) {
+      return topic.startsWith(pattern.slice(0, -1));
+    }
+    return topic.startsWith(`${pattern}.`);
+  }
+
+  /**
+   * Publish an event to every matching subscriber
+   */
+  publish(topic, data = null) {
+    const event = { topic, data, timestamp: Date.now() };
+
+    this.published++;
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.patterns.some(pattern => EventBus.matches(pattern, topic))) continue;
+
+      try {
+        subscriber.callback(event);
+      } catch (error) {
+        // Log records are published too, so never log from inside a log subscriber
+        if (!topic.startsWith('log.')) {
+          logger.error(`Error in event subscriber for ${topic}`, error);
+        }
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to one or more topic patterns
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(patterns, callback) {
+    const subscriber = {
+      patterns: Array.isArray(patterns) ? patterns : [patterns],
+      callback
+    };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Get recent events matching the given patterns
+   */
+  getHistory(patterns = ['*'], limit = 50) {
+    return this.history
+      .filter(event => patterns.some(pattern => EventBus.matches(pattern, event.topic)))
+      .slice(-limit);
+  }
+
+  /**
+   * Get bus statistics
+   */
+  getStats() {
+    return {
+      published: this.published,
+      subscribers: this.subscribers.size
+    };
+  }
+}
+
+export default EventBus;
@@ -5,9 +5,12 @@ import ChatParser from '../utils/ChatParser.js';
  * EventManager - Central hub that routes Minecraft events to specific handlers
  */
 class EventManager {
-  constructor(bot, stateManager) {
+  constructor(bot, stateManager, commandRegistry = null, eventBus = null) {
     this.bot = bot;
     this.stateManager = stateManager;
+    this.stats = stateManager.createNamespace('stats', { persist: true });
+    this.commandRegistry = commandRegistry;
+    this.eventBus = eventBus;
     this.handlers = new Map();
     this.eventStats = new Map();
   }
@@ -50,6 +53,23 @@ class EventManager {
 
     // Time event
     this.on('time', this.onTime.bind(this));
+
+    // Telemetry published on the event bus
+    this.publish('chat', 'chat.public', (username, message) => ({ username, message }));
+    this.publish('whisper', 'chat.whisper', (username, message) => ({ username, message }));
+    this.publish('stateTransition', 'statemachine.transition');
+    this.publish('combatStart', 'combat.start');
+    this.publish('combatStop', 'combat.stop');
+    this.publish('combatKill', 'combat.kill');
+    this.publish('harvest', 'farm.harvest');
+    this.publish('deposit', 'deposit');
+    this.publish('foodEaten', 'food.eaten');
+    this.publish('pathfindingFailed', 'navigation.failed');
+
+    // Extra bot or plugin events listed in settings.json
+    for (const eventName of this.bot.config?.eventBus?.publishEvents || []) {
+      this.publish(eventName, `bot.${eventName}`);
+    }
   }
 
   /**
@@ -70,6 +90,23 @@ class EventManager {
     this.handlers.get(eventName).sort((a, b) => b.priority - a.priority);
   }
 
+  /**
+   * Publish a bot event on the event bus through the handler pipeline
+   * Plugins can emit their own events on the bot and have them published this way
+   * @param {string} eventName - Bot event to forward
+   * @param {string} topic - Event bus topic
+   * @param {Function} transform - Maps the event arguments to the published payload
+   */
+  publish(eventName, topic = eventName, transform = (data = null) => data) {
+    if (!this.eventBus) return;
+
+    // Lowest priority so core handlers have updated state first
+    this.on(eventName, (...args) => {
+      if (eventName === 'chat' && args[0] === this.bot.username) return;
+      this.eventBus.publish(topic, transform(...args));
+    }, -100);
+  }
+
   /**
    * Remove an event handler
    */
@@ -134,15 +171,29 @@ class EventManager {
     logger.error('Bot error occurred', error);
   }
 
-  onChat(username, message) {
+  async onChat(username, message) {
     if (username === this.bot.username) return;
     
     logger.chat(username, message);
-    this.stateManager.incrementState('chatMessagesReceived');
+    this.stats.incrementState('chatMessagesReceived');
+
+    // Not awaited: later chat handlers (e.g. telemetry) must not wait for a long command
+    if (this.commandRegistry) {
+      this.commandRegistry.dispatch(this.bot, username, message)
+        .catch(error => logger.error(`Command from ${username} failed`, error));
+    }
   }
 
-  onWhisper(username, message) {
+  async onWhisper(username, message) {
+    if (username === this.bot.username) return;
+
     logger.info(`[WHISPER] ${username}: ${message}`);
+    this.stats.incrementState('whispersReceived');
+
+    if (this.commandRegistry) {
+      this.commandRegistry.dispatch(this.bot, username, message, 'whisper')
+        .catch(error => logger.error(`Whispered command from ${username} failed`, error));
+    }
   }
 
   onMessage(jsonMsg, position) {
@@ -176,7 +227,7 @@ class EventManager {
   onDeath() {
     logger.error('Bot died!');
     this.stateManager.setState('isDead', true);
-    this.stateManager.incrementState('deathCount');
+    this.stats.incrementState('deathCount');
   }
 
   onPlayerJoined(player) {
@@ -0,0 +1,152 @@
+import ICommand from '../interfaces/ICommand.js';
+import ChatParser from '../utils/ChatParser.js';
+
+/**
+ * HelpCommand - Builds !help output from the commands in a CommandRegistry
+ * `!help [page]` lists commands grouped by plugin category,
+ * `!help <command> [subcommand]` shows usage, aliases, cooldown and required role.
+ */
+class HelpCommand extends ICommand {
+  /**
+   * @param {CommandRegistry} registry - Registry to describe
+   * @param {Object} options
+   * @param {Function} options.getCategory - Maps a command owner to its plugin category
+   * @param {number} options.maxLength - Maximum length of a single chat line
+   * @param {number} options.linesPerPage - Chat lines sent per page
+   */
+  constructor(registry, options = {}) {
+    super('help', 'List commands or show how to use one', 'help [page] | help <command> [subcommand]', 'guest');
+
+    this.registry = registry;
+    this.getCategory = options.getCategory || (() => 'core');
+    this.maxLength = options.maxLength || 100;
+    this.linesPerPage = options.linesPerPage || 4;
+    this.addAlias('commands');
+    this.cooldown = 2000;
+  }
+
+  async execute(bot, username, args, rawArgs, context) {
+    const reply = context?.reply || (message => bot.chat(message));
+    const maxLength = this.getLineLength(username, context?.channel);
+
+    if (args.length > 0 && isNaN(parseInt(args[0]))) {
+      this.showCommand(args[0], args[1], maxLength, reply);
+      return;
+    }
+
+    this.showIndex(parseInt(args[0]) || 1, maxLength, reply);
+  }
+
+  /**
+   * Whispers are sent as "/tell <player> <message>", which eats into the chat limit
+   */
+  getLineLength(username, channel) {
+    if (channel !== 'whisper') return this.maxLength;
+    return Math.max(20, this.maxLength - `/tell ${username} `.length);
+  }
+
+  /**
+   * Group registered commands by the category of the plugin that owns them
+   */
+  getCategories() {
+    const categories = new Map();
+
+    for (const { command, owner } of this.registry.getCommands()) {
+      const category = (owner && this.getCategory(owner)) || 'core';
+      if (!categories.has(category)) {
+        categories.set(category, []);
+      }
+      categories.get(category).push(command.name);
+    }
+
+    return new Map([...categories.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, names]) => [category, names.sort()]));
+  }
+
+  /**
+   * Send one page of the command index
+   */
+  showIndex(page, maxLength, reply) {
+    const lines = [];
+    for (const [category, names] of this.getCategories()) {
+      lines.push(...ChatParser.splitMessage(`${category}: ${names.join(', ')}`, maxLength));
+    }
+
+    const totalPages = Math.max(1, Math.ceil(lines.length / this.linesPerPage));
+    const current = Math.min(Math.max(page, 1), totalPages);
+    const start = (current - 1) * this.linesPerPage;
+
+    lines.slice(start, start + this.linesPerPage).forEach(line => reply(line));
+
+    const prefix = this.registry.prefix;
+    const footer = current < totalPages
+      ? `Page ${current}/${totalPages} - ${prefix}help ${current + 1} for more, ${prefix}help <command> for details`
+      : `Page ${current}/${totalPages} - ${prefix}help <command> for details`;
+    ChatParser.splitMessage(footer, maxLength).forEach(line => reply(line));
+  }
+
+  /**
+   * Send the help page for a single command (or one of its subcommands)
+   */
+  showCommand(name, subName, maxLength, reply) {
+    const prefix = this.registry.prefix;
+    const command = this.registry.get(name.startsWith(prefix) ? name.slice(prefix.length) : name);
+    if (!command) {
+      reply(`Unknown command: ${name}. Use ${prefix}help for a list`);
+      return;
+    }
+
+    const lines = this.describe(command, subName ? [subName] : []);
+    for (const line of lines) {
+      ChatParser.splitMessage(line, maxLength).forEach(chunk => reply(chunk));
+    }
+  }
+
+  /**
+   * Build help lines for a command
+   */
+  describe(command, args = []) {
+    const prefix = this.registry.prefix;
+    const sub = args.length > 0 && typeof command.getSubcommand === 'function'
+      ? command.getSubcommand(args)
+      : null;
+
+    const lines = [];
+    if (sub) {
+      lines.push(`${prefix}${command.name} ${sub.usage}${sub.description ? ` - ${sub.description}` : ''}`);
+    } else {
+      lines.push(`${prefix}${command.name} - ${command.description || 'No description'}`);
+      lines.push(`Usage: ${prefix}${command.usage}`);
+    }
+
+    const details = [`Requires: ${this.getRequiredRole(command, args)}`];
+    if (command.aliases.length > 0) {
+      details.push(`Aliases: ${command.aliases.map(alias => prefix + alias).join(', ')}`);
+    }
+    if (command.cooldown > 0) {
+      details.push(`Cooldown: ${command.cooldown / 1000}s`);
+    }
+    lines.push(details.join(' | '));
+
+    if (!sub && command.subcommands) {
+      const subs = Array.from(command.subcommands.keys())
+        .map(key => `${command.name} ${command.subcommands.get(key).usage}`);
+      lines.push(`Subcommands: ${subs.join(', ')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Role needed to run a command, as enforced by the registry
+   */
+  getRequiredRole(command, args) {
+    if (this.registry.permissionManager) {
+      return this.registry.permissionManager.getRequiredRole(command, args);
+    }
+    return command.getPermission(args) || 'anyone';
+  }
+}
+
+export default HelpCommand;
@@ -0,0 +1,55 @@
+import ICommand from '../interfaces/ICommand.js';
+import logger from '../utils/Logger.js';
+
+/**
+ * LogLevelCommand - Changes log levels while the bot runs
+ * `!loglevel` shows the levels, `!loglevel <level>` sets the global level and
+ * `!loglevel <plugin> <level|reset>` sets or removes the level of one plugin.
+ * The logger is shared by the whole fleet and changes last until the logging
+ * section of settings.json is edited or the process restarts.
+ */
+class LogLevelCommand extends ICommand {
+  constructor() {
+    super('loglevel', 'Show or change log levels', 'loglevel [level] | loglevel <plugin> <level|reset>', 'owner');
+  }
+
+  async execute(bot, username, args, rawArgs, context) {
+    const reply = context?.reply || (message => bot.chat(message));
+
+    try {
+      if (args.length === 0) {
+        const { level, modules } = logger.getLevels();
+        const overrides = Object.entries(modules).map(([name, moduleLevel]) => `${name}=${moduleLevel}`);
+        reply(`Log level: ${level}${overrides.length > 0 ? `, ${overrides.join(', ')}` : ''}`);
+        return;
+      }
+
+      if (args.length === 1) {
+        logger.setLevel(args[0].toLowerCase());
+        reply(`Log level set to ${args[0].toLowerCase()}`);
+        return;
+      }
+
+      const [name, level] = args;
+      if (level.toLowerCase() === 'reset') {
+        reply(logger.setModuleLevel(name, null) ? `${name} uses the global log level again` : `${name} has no log level of its own`);
+        return;
+      }
+
+      // A typo would otherwise be stored as a level nothing ever logs under
+      const plugins = bot.botClient?.getPluginLoader()?.getLoadedPlugins() || [];
+      const plugin = plugins.find(pluginName => pluginName.toLowerCase() === name.toLowerCase());
+      if (!plugin) {
+        reply(`Unknown plugin '${name}'`);
+        return;
+      }
+
+      logger.setModuleLevel(plugin, level.toLowerCase());
+      reply(`${plugin} log level set to ${level.toLowerCase()}`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+}
+
+export default LogLevelCommand;
@@ -0,0 +1,171 @@
+import logger from '../utils/Logger.js';
+
+/**
+ * Metric - A named counter or gauge with one value per label set
+ */
+class Metric {
+  constructor(name, type, help, labelNames = []) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> { labels, value }
+  }
+
+  static key(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (this.type === 'counter' && amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    const entry = this.entry(labels);
+    entry.value += amount;
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  get(labels = {}) {
+    return this.values.get(Metric.key(labels))?.value ?? 0;
+  }
+
+  entry(labels) {
+    const key = Metric.key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: { ...labels }, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+/**
+ * MetricsRegistry - Counters and gauges collected from across a bot
+ * Counters are increased as things happen; values that already live elsewhere
+ * (event counts, health, saved stats) are read by collectors when the metrics are
+ * requested. Exposed in Prometheus text format and as JSON by the ControlApi.
+ */
+class MetricsRegistry {
+  /**
+   * @param {Object} defaultLabels - Labels added to every value, e.g. { bot: 'farmer1' }
+   * @param {string} prefix - Prepended to every metric name
+   */
+  constructor(defaultLabels = {}, prefix = 'mcbot_') {
+    this.defaultLabels = defaultLabels;
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Get or create a counter (a value that only goes up)
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(name, 'counter', help, labelNames);
+  }
+
+  /**
+   * Get or create a gauge (a value that goes up and down)
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(name, 'gauge', help, labelNames);
+  }
+
+  register(name, type, help, labelNames) {
+    const fullName = `${this.prefix}${name}`;
+    const existing = this.metrics.get(fullName);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new Metric(fullName, type, help, labelNames);
+    if (labelNames.length === 0) {
+      // Without labels the series exists from the start, so it reads 0 rather than missing
+      metric.entry({});
+    }
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+
+  /**
+   * Add a function that updates metrics right before they are read
+   * @returns {Function} Function removing the collector
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+    return () => {
+      this.collectors = this.collectors.filter(entry => entry !== collector);
+    };
+  }
+
+  collect() {
+    for (const collector of this.collectors) {
+      try {
+        collector(this);
+      } catch (error) {
+        // A failing collector must not break the endpoint; its metrics keep their last value
+        logger.error('Metrics collector failed', error);
+      }
+    }
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   */
+  toPrometheus() {
+    this.collect();
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value } of metric.values.values()) {
+        lines.push(`${metric.name}${MetricsRegistry.formatLabels({ ...this.defaultLabels, ...labels })} ${MetricsRegistry.formatValue(value)}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Get every metric as plain data
+   */
+  toJSON() {
+    this.collect();
+    return {
+      labels: this.defaultLabels,
+      metrics: Array.from(this.metrics.values()).map(metric => ({
+        name: metric.name,
+        type: metric.type,
+        help: metric.help,
+        values: Array.from(metric.values.values()).map(({ labels, value }) => ({ labels, value }))
+      }))
+    };
+  }
+
+  static formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+  }
+
+  static formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+  }
+}
+
+export default MetricsRegistry;
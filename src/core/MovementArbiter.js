@@ -0,0 +1,262 @@
+import logger from '../utils/Logger.js';
+import PathfinderUtil, { PathfindingError } from '../utils/Pathfinder.js';
+
+/**
+ * MovementLease - One requester's claim on the bot's movement
+ * Movements started through a lease wait until it holds control. One cut short by a
+ * higher priority lease is started again once control comes back, so the requester
+ * only sees its promise settle when the movement really ends.
+ */
+export class MovementLease {
+  constructor(arbiter, { id, owner, priority, label, onSuspend, onResume }) {
+    this.arbiter = arbiter;
+    this.id = id;
+    this.owner = owner;
+    this.priority = priority;
+    this.label = label;
+    this.onSuspend = onSuspend || null;
+    this.onResume = onResume || null;
+    this.state = 'waiting'; // waiting | active | suspended | released
+    this.since = Date.now();
+    this.token = null; // cancels the movement being run
+    this.waiters = [];
+  }
+
+  get isActive() {
+    return this.state === 'active';
+  }
+
+  get isReleased() {
+    return this.state === 'released';
+  }
+
+  /**
+   * Resolve once the lease holds control
+   * @throws {PathfindingError} 'cancelled' when the lease is released first
+   */
+  whenActive() {
+    if (this.state === 'active') return Promise.resolve();
+    if (this.state === 'released') {
+      return Promise.reject(new PathfindingError('Movement lease released', 'cancelled'));
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Run a movement while holding control
+   * @param {Function} move - (pathfinder, token) => Promise; called again after a preemption
+   */
+  async run(move) {
+    for (;;) {
+      await this.whenActive();
+      const token = this.arbiter.pathfinder.createToken();
+      this.token = token;
+      try {
+        return await move(this.arbiter.pathfinder, token);
+      } catch (error) {
+        if (this.state !== 'suspended') throw error;
+        logger.debug(`Movement of ${this.owner} (${this.label}) preempted, resuming later`);
+      } finally {
+        if (this.token === token) this.token = null;
+      }
+    }
+  }
+
+  /**
+   * Go to coordinates (see PathfinderUtil.goto)
+   */
+  goto(x, y, z, range = 1, options = {}) {
+    return this.run((pathfinder, token) => pathfinder.goto(x, y, z, range, { ...options, token }));
+  }
+
+  /**
+   * Go to a player, wherever they are when the movement (re)starts
+   */
+  gotoPlayer(username, range = 3, options = {}) {
+    return this.run((pathfinder, token) => pathfinder.gotoPlayer(username, range, { ...options, token }));
+  }
+
+  /**
+   * Stay within range of an entity until it is gone or the lease is released
+   */
+  follow(entity, range = 3, options = {}) {
+    return this.run((pathfinder, token) => pathfinder.keepDistance(entity, 0, range, { ...options, token }));
+  }
+
+  /**
+   * Give up the lease; a movement still running through it is cancelled
+   */
+  release() {
+    this.arbiter.release(this);
+  }
+
+  activate() {
+    const wasSuspended = this.state === 'suspended';
+    this.state = 'active';
+    this.since = Date.now();
+    for (const { resolve } of this.waiters.splice(0)) {
+      resolve();
+    }
+    if (wasSuspended) this.onResume?.();
+  }
+
+  suspend(by) {
+    this.state = 'suspended';
+    this.since = Date.now();
+    this.token?.cancel(`Preempted by ${by.owner}`);
+    this.onSuspend?.(by);
+  }
+
+  close() {
+    this.state = 'released';
+    this.token?.cancel('Movement lease released');
+    const error = new PathfindingError('Movement lease released', 'cancelled');
+    for (const { reject } of this.waiters.splice(0)) {
+      reject(error);
+    }
+  }
+
+  toJSON() {
+    return { owner: this.owner, label: this.label, priority: this.priority, state: this.state, since: this.since };
+  }
+}
+
+/**
+ * MovementArbiter - Decides which plugin moves the bot
+ * Plugins ask for a lease with a priority instead of setting pathfinder goals. The
+ * highest priority lease holds control (the oldest one on a tie); a higher priority
+ * request suspends the holder, whose movement resumes when control comes back.
+ * One per BotClient, reachable as bot.movementArbiter; it owns the bot's PathfinderUtil.
+ */
+class MovementArbiter {
+  static PRIORITIES = {
+    patrol: 10,
+    farming: 20,
+    task: 30,
+    command: 40,
+    eating: 50,
+    combat: 60
+  };
+
+  /**
+   * @param {Object} config - Pathfinder settings (physics.pathfinder)
+   * @param {EventBus} eventBus - Receives movement.owner when control changes hands
+   */
+  constructor(config = {}, eventBus = null) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.pathfinder = null;
+    this.leases = []; // in request order, which breaks priority ties
+    this.current = null;
+    this.nextId = 1;
+  }
+
+  /**
+   * Attach to a spawned bot; after a reconnect the pathfinder moves to the new bot
+   * and leases are kept
+   */
+  setBot(bot) {
+    if (this.pathfinder) {
+      this.pathfinder.setBot(bot);
+    } else {
+      this.pathfinder = new PathfinderUtil(bot, this.config);
+      this.pathfinder.initialize();
+    }
+  }
+
+  /**
+   * Ask for control of the bot's movement
+   * @param {string} owner - Plugin name, reported as the movement owner
+   * @param {Object} options
+   * @param {string|number} options.priority - A name from PRIORITIES or a number (default 'task')
+   * @param {string} options.label - What the lease is for, e.g. 'depositing sugarcane'
+   * @param {Function} options.onSuspend - (lease) => void, called when a higher priority takes over
+   * @param {Function} options.onResume - Called when control comes back after a suspension
+   * @returns {MovementLease} Active right away unless a lease of equal or higher priority holds control
+   */
+  acquire(owner, options = {}) {
+    const lease = new MovementLease(this, {
+      id: this.nextId++,
+      owner,
+      priority: MovementArbiter.resolvePriority(options.priority ?? 'task'),
+      label: options.label || owner,
+      onSuspend: options.onSuspend,
+      onResume: options.onResume
+    });
+    this.leases.push(lease);
+    this.arbitrate();
+    return lease;
+  }
+
+  static resolvePriority(priority) {
+    if (typeof priority === 'number') return priority;
+
+    const value = MovementArbiter.PRIORITIES[priority];
+    if (value === undefined) {
+      throw new Error(`Unknown movement priority '${priority}' (${Object.keys(MovementArbiter.PRIORITIES).join(', ')})`);
+    }
+    return value;
+  }
+
+  release(lease) {
+    const index = this.leases.indexOf(lease);
+    if (index === -1) return;
+
+    this.leases.splice(index, 1);
+    lease.close();
+    this.arbitrate();
+  }
+
+  /**
+   * Release every lease of an owner (e.g. an unloaded plugin)
+   * @returns {number} Number of leases released
+   */
+  releaseOwner(owner) {
+    const leases = this.leases.filter(lease => lease.owner === owner);
+    for (const lease of leases) {
+      this.release(lease);
+    }
+    return leases.length;
+  }
+
+  /**
+   * Hand control to the highest priority lease
+   */
+  arbitrate() {
+    const next = this.leases.reduce((best, lease) => (!best || lease.priority > best.priority ? lease : best), null);
+    if (next === this.current) return;
+
+    const previous = this.current;
+    const preempted = previous && !previous.isReleased;
+    this.current = next;
+    if (preempted) previous.suspend(next);
+    if (next) next.activate();
+
+    if (next) {
+      logger.info(`Movement: ${next.owner} (${next.label})${preempted ? ` took over from ${previous.owner}` : ''}`);
+    }
+    this.eventBus?.publish('movement.owner', {
+      owner: next?.owner || null,
+      label: next?.label || null,
+      priority: next?.priority ?? null,
+      previous: previous?.owner || null
+    });
+  }
+
+  /**
+   * Get the name of the plugin that currently owns movement
+   */
+  getOwner() {
+    return this.current?.owner || null;
+  }
+
+  getStatus() {
+    return {
+      owner: this.getOwner(),
+      current: this.current?.toJSON() || null,
+      waiting: this.leases.filter(lease => lease !== this.current).map(lease => lease.toJSON())
+    };
+  }
+}
+
+export default MovementArbiter;
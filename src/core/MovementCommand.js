@@ -0,0 +1,32 @@
+import ICommand from '../interfaces/ICommand.js';
+
+/**
+ * MovementCommand - Shows which plugin controls the bot's movement
+ * `!movement` names the lease holding control and the ones waiting for it.
+ */
+class MovementCommand extends ICommand {
+  /**
+   * @param {MovementArbiter} arbiter - Arbiter to describe
+   */
+  constructor(arbiter) {
+    super('movement', 'Show which plugin controls movement', 'movement', 'guest');
+    this.arbiter = arbiter;
+  }
+
+  async execute(bot, username, args, rawArgs, context) {
+    const reply = context?.reply || (message => bot.chat(message));
+    const { current, waiting } = this.arbiter.getStatus();
+
+    if (!current) {
+      reply('Movement is free');
+      return;
+    }
+
+    reply(`Movement: ${current.owner} (${current.label}, priority ${current.priority})`);
+    if (waiting.length > 0) {
+      reply(`Waiting: ${waiting.map(lease => `${lease.owner} (${lease.label}, ${lease.state})`).join(', ')}`);
+    }
+  }
+}
+
+export default MovementCommand;
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/Logger.js';
+import PluginCommand from './PluginCommand.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Roles in ascending order of trust
+ */
+export const ROLES = ['blocked', 'guest', 'trusted', 'owner'];
+
+/**
+ * PermissionManager - Player roles and command access checks
+ * Roles come from the `permissions` section of settings.json, with in-game
+ * grants persisted to data/permissions.json on top of them.
+ */
+class PermissionManager {
+  static configSchema = {
+    permissions: {
+      properties: {
+        defaultRole: { type: 'string', enum: ROLES, default: 'guest' },
+        defaultCommandRole: { type: 'string', enum: ROLES, default: 'trusted' },
+        players: { type: 'object', default: {}, additionalProperties: { type: 'string', enum: ROLES } }
+      }
+    }
+  };
+
+  constructor(config = {}, storePath = null) {
+    this.defaultRole = ROLES.includes(config.defaultRole) ? config.defaultRole : 'guest';
+    this.defaultCommandRole = ROLES.includes(config.defaultCommandRole) ? config.defaultCommandRole : 'trusted';
+    this.configPlayers = PermissionManager.normalizePlayers(config.players);
+    this.grantedPlayers = {};
+    this.storePath = storePath || path.join(__dirname, '../../data/permissions.json');
+    this.denials = 0;
+  }
+
+  /**
+   * Lower-case player names and drop unknown roles
+   */
+  static normalizePlayers(players = {}) {
+    const normalized = {};
+    for (const [username, role] of Object.entries(players || {})) {
+      if (!ROLES.includes(role)) {
+        logger.warn(`Ignoring unknown role '${role}' for ${username}`);
+        continue;
+      }
+      normalized[username.toLowerCase()] = role;
+    }
+    return normalized;
+  }
+
+  /**
+   * Load persisted grants from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        this.grantedPlayers = PermissionManager.normalizePlayers(data.players);
+      }
+    } catch (error) {
+      logger.error('Failed to load permissions.json', error);
+      this.grantedPlayers = {};
+    }
+
+    const owners = this.listPlayers().filter(entry => entry.role === 'owner');
+    if (owners.length === 0) {
+      logger.warn('No owner configured in settings.json permissions.players - nobody can grant roles in game');
+    }
+    logger.info(`Loaded permissions for ${Object.keys(this.getAllPlayers()).length} players`);
+  }
+
+  /**
+   * Persist in-game grants to disk
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.storePath, JSON.stringify({ players: this.grantedPlayers }, null, 2));
+    } catch (error) {
+      logger.error('Failed to save permissions.json', error);
+    }
+  }
+
+  /**
+   * Get the merged player -> role map
+   */
+  getAllPlayers() {
+    return { ...this.configPlayers, ...this.grantedPlayers };
+  }
+
+  /**
+   * Get a player's role
+   */
+  getRole(username) {
+    if (!username) return this.defaultRole;
+    return this.getAllPlayers()[username.toLowerCase()] || this.defaultRole;
+  }
+
+  /**
+   * Compare a role against a required role
+   */
+  static roleAtLeast(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Check if a player has at least the given role
+   */
+  hasRole(username, required) {
+    return PermissionManager.roleAtLeast(this.getRole(username), required);
+  }
+
+  /**
+   * Check if a player is blocked
+   */
+  isBlocked(username) {
+    return this.getRole(username) === 'blocked';
+  }
+
+  /**
+   * Get the role a command requires for the given arguments
+   */
+  getRequiredRole(command, args = []) {
+    const permission = command.getPermission(args);
+    return ROLES.includes(permission) ? permission : this.defaultCommandRole;
+  }
+
+  /**
+   * Check whether a player may run a command
+   * @param {string} role - Role to check instead of the player's own, for commands run on
+   *   someone else's behalf (e.g. patrol actions)
+   * @returns {{allowed: boolean, role: string, required: string}}
+   */
+  check(username, command, args = [], role = this.getRole(username)) {
+    const required = this.getRequiredRole(command, args);
+    const allowed = role !== 'blocked' && PermissionManager.roleAtLeast(role, required);
+
+    if (!allowed) {
+      this.denials++;
+    }
+
+    return { allowed, role, required };
+  }
+
+  /**
+   * Grant a role to a player and persist it
+   */
+  grant(username, role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}. Roles: ${ROLES.join(', ')}`);
+    }
+    this.grantedPlayers[username.toLowerCase()] = role;
+    this.save();
+    logger.info(`Permission granted: ${username} is now ${role}`);
+  }
+
+  /**
+   * Remove a persisted grant (settings.json roles still apply)
+   */
+  revoke(username) {
+    const key = username.toLowerCase();
+    if (!(key in this.grantedPlayers)) return false;
+
+    delete this.grantedPlayers[key];
+    this.save();
+    logger.info(`Permission revoked: ${username} is now ${this.getRole(username)}`);
+    return true;
+  }
+
+  /**
+   * List players with explicit roles
+   */
+  listPlayers() {
+    return Object.entries(this.getAllPlayers()).map(([username, role]) => ({ username, role }));
+  }
+
+  /**
+   * Register the !perm command
+   */
+  registerCommands(registry) {
+    registry.register(new PluginCommand({
+      name: 'perm',
+      description: 'Manage player roles',
+      permission: 'owner',
+      subcommands: {
+        grant: {
+          usage: 'grant <player> <role>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => {
+            const [target, role] = args;
+            if (target.toLowerCase() === username.toLowerCase()) {
+              reply('You cannot change your own role');
+              return;
+            }
+            this.grant(target, role.toLowerCase());
+            reply(`${target} is now ${role.toLowerCase()}`);
+          }
+        },
+        revoke: {
+          usage: 'revoke <player>',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply }) => {
+            const [target] = args;
+            if (!this.revoke(target)) {
+              reply(`${target} has no in-game grant`);
+              return;
+            }
+            reply(`${target} is now ${this.getRole(target)}`);
+          }
+        },
+        list: (username, args, rawArgs, { reply }) => {
+          const entries = this.listPlayers().map(entry => `${entry.username}=${entry.role}`);
+          reply(entries.length > 0 ? `Roles: ${entries.join(', ')}` : 'No player roles configured');
+        },
+        check: {
+          usage: 'check [player]',
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            const target = args[0] || username;
+            reply(`${target}: ${this.getRole(target)}`);
+          }
+        }
+      }
+    }, this), 'PermissionManager');
+  }
+
+  /**
+   * Get permission statistics
+   */
+  getStats() {
+    return {
+      defaultRole: this.defaultRole,
+      defaultCommandRole: this.defaultCommandRole,
+      players: this.listPlayers(),
+      denials: this.denials
+    };
+  }
+}
+
+export default PermissionManager;
@@ -0,0 +1,123 @@
+import ICommand from '../interfaces/ICommand.js';
+
+/**
+ * PluginCommand - ICommand built from a declarative plugin command definition
+ *
+ * Definition fields:
+ * - name, description, usage, permission, aliases, cooldown (ms)
+ * - minArgs: minimum number of arguments
+ * - handler(username, args, rawArgs, context): called with the owning plugin as `this`,
+ *   where context is { bot, username, channel, reply } and reply() answers on the
+ *   channel the command arrived on
+ * - subcommands: { name: handler | { handler, description, usage, minArgs, permission } }
+ * - validate(args): optional custom validation returning { valid, message, usage }
+ */
+class PluginCommand extends ICommand {
+  constructor(definition, plugin = null) {
+    const {
+      name,
+      description = '',
+      usage = null,
+      permission = null,
+      aliases = [],
+      cooldown = 0,
+      minArgs = 0,
+      handler = null,
+      subcommands = null,
+      validate = null
+    } = definition;
+
+    if (!name) {
+      throw new Error('Command definition requires a name');
+    }
+    if (!handler && !subcommands) {
+      throw new Error(`Command ${name} requires a handler or subcommands`);
+    }
+
+    super(name.toLowerCase(), description, usage || PluginCommand.buildUsage(name, subcommands), permission);
+
+    this.plugin = plugin;
+    this.handler = handler;
+    this.minArgs = minArgs;
+    this.subcommands = PluginCommand.normalizeSubcommands(subcommands);
+    this.customValidate = validate;
+    this.cooldown = cooldown;
+    aliases.forEach(alias => this.addAlias(alias.toLowerCase()));
+  }
+
+  /**
+   * Normalize subcommand definitions to { handler, description, usage, minArgs }
+   */
+  static normalizeSubcommands(subcommands) {
+    if (!subcommands) return null;
+
+    const normalized = new Map();
+    for (const [name, entry] of Object.entries(subcommands)) {
+      const definition = typeof entry === 'function' ? { handler: entry } : entry;
+      normalized.set(name.toLowerCase(), {
+        handler: definition.handler,
+        description: definition.description || '',
+        usage: definition.usage || name,
+        minArgs: definition.minArgs || 0,
+        permission: definition.permission || null
+      });
+    }
+    return normalized;
+  }
+
+  /**
+   * Build a default usage string (without prefix)
+   */
+  static buildUsage(name, subcommands) {
+    if (!subcommands) return name;
+    return `${name} <${Object.keys(subcommands).join('|')}>`;
+  }
+
+  /**
+   * Resolve the subcommand entry for the given arguments
+   */
+  getSubcommand(args) {
+    if (!this.subcommands || args.length === 0) return null;
+    return this.subcommands.get(args[0].toLowerCase()) || null;
+  }
+
+  /**
+   * Subcommands may require a different role than the command itself
+   */
+  getPermission(args = []) {
+    return this.getSubcommand(args)?.permission || this.permission;
+  }
+
+  validate(args) {
+    if (args.length < this.minArgs) {
+      return { valid: false };
+    }
+
+    if (this.subcommands) {
+      const sub = this.getSubcommand(args);
+      if (!sub && !this.handler) {
+        return { valid: false };
+      }
+      if (sub && args.length - 1 < sub.minArgs) {
+        return { valid: false, usage: `${this.name} ${sub.usage}` };
+      }
+    }
+
+    if (this.customValidate) {
+      return this.customValidate.call(this.plugin, args) || { valid: true };
+    }
+
+    return { valid: true };
+  }
+
+  async execute(bot, username, args, rawArgs, context = { bot, reply: message => bot.chat(message) }) {
+    const sub = this.getSubcommand(args);
+    if (sub) {
+      const subRawArgs = rawArgs.slice(args[0].length).trim();
+      return sub.handler.call(this.plugin, username, args.slice(1), subRawArgs, context);
+    }
+    return this.handler.call(this.plugin, username, args, rawArgs, context);
+  }
+}
+
+export default PluginCommand;
@@ -3,19 +3,64 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/Logger.js';
 import IPlugin from '../interfaces/IPlugin.js'; // Import IPlugin
+import ComponentRegistry from '../components/ComponentRegistry.js';
+import PluginCommand from './PluginCommand.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * PluginLoader - Dynamically loads modules from plugins folder
+ * Plugins enabled or disabled at runtime are remembered in data/plugins.json,
+ * which takes precedence over the `features` section of settings.json.
  */
 class PluginLoader {
-  constructor(bot, pluginsDir = null) {
+  constructor(bot, pluginsDir = null, statePath = null) {
     this.bot = bot;
     this.pluginsDir = pluginsDir || path.join(__dirname, '../plugins');
+    this.statePath = statePath || path.join(__dirname, '../../data/plugins.json');
     this.plugins = new Map();
     this.loadedPlugins = [];
+    this.available = new Map(); // name -> pluginInfo from the last discovery
+    this.suspended = new Set(); // unloaded because a required dependency went away
+    this.filter = null;
+    this.enabledState = this.loadEnabledState();
+  }
+
+  /**
+   * Load persisted enabled/disabled overrides
+   */
+  loadEnabledState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        return JSON.parse(fs.readFileSync(this.statePath, 'utf8')).plugins || {};
+      }
+    } catch (error) {
+      logger.error('Failed to load plugins.json', error);
+    }
+    return {};
+  }
+
+  /**
+   * Persist the enabled state of a plugin
+   */
+  setEnabled(pluginName, enabled) {
+    this.enabledState[pluginName] = enabled;
+    try {
+      fs.writeFileSync(this.statePath, JSON.stringify({ plugins: this.enabledState }, null, 2));
+    } catch (error) {
+      logger.error('Failed to save plugins.json', error);
+    }
+  }
+
+  /**
+   * Check whether a plugin should be loaded - persisted state first, then the feature filter
+   */
+  isEnabled(pluginInfo) {
+    if (pluginInfo.name in this.enabledState) {
+      return this.enabledState[pluginInfo.name];
+    }
+    return this.filter ? Boolean(this.filter(pluginInfo)) : true;
   }
 
   /**
@@ -52,6 +97,7 @@ class PluginLoader {
         }
       }
 
+      this.available = new Map(discovered.map(info => [info.name, info]));
       logger.info(`Discovered ${discovered.length} plugins`);
       return discovered;
     } catch (error) {
@@ -60,16 +106,51 @@ class PluginLoader {
     }
   }
 
+  /**
+   * Import a plugin module without instantiating it
+   * Node caches modules by URL, so `fresh` adds a query string to force a new copy of
+   * the plugin file. Modules it imports (helpers, utils) stay cached until restart.
+   */
+  async importPlugin(pluginInfo, fresh = false) {
+    const query = fresh ? `?reload=${Date.now()}` : '';
+    const pluginModule = await import(`file://${pluginInfo.path}${query}`);
+    const PluginClass = pluginModule.default;
+
+    if (!PluginClass) {
+      throw new Error(`Plugin ${pluginInfo.name} does not export a default class`);
+    }
+
+    return PluginClass;
+  }
+
+  /**
+   * Copy the static dependency metadata declared on a plugin class into its info
+   */
+  readDependencies(pluginInfo, PluginClass) {
+    pluginInfo.dependencies = [...(PluginClass.dependencies || [])];
+    pluginInfo.optionalDependencies = [...(PluginClass.optionalDependencies || [])];
+    return pluginInfo;
+  }
+
+  /**
+   * Get the required dependencies of a plugin that are not loaded
+   */
+  getMissingDependencies(pluginInfo) {
+    return (pluginInfo.dependencies || []).filter(dep => !this.plugins.has(dep));
+  }
+
   /**
    * Load a single plugin
+   * @param {Object} options - { fresh: re-import the module instead of using the cached copy }
    */
-  async loadPlugin(pluginInfo) {
+  async loadPlugin(pluginInfo, { fresh = false } = {}) {
     try {
-      const pluginModule = await import(`file://${pluginInfo.path}`);
-      const PluginClass = pluginModule.default;
+      const PluginClass = await this.importPlugin(pluginInfo, fresh);
+      this.readDependencies(pluginInfo, PluginClass);
 
-      if (!PluginClass) {
-        throw new Error(`Plugin ${pluginInfo.name} does not export a default class`);
+      const missing = this.getMissingDependencies(pluginInfo);
+      if (missing.length > 0) {
+        throw new Error(`Plugin ${pluginInfo.name} requires ${missing.join(', ')}, which is not loaded`);
       }
 
       // Get plugin-specific config from bot's config
@@ -126,8 +207,9 @@ class PluginLoader {
    * Load all discovered plugins
    */
   async loadAll(filter = null) {
+    this.filter = filter;
     const discovered = await this.discoverPlugins();
-    const toLoad = filter ? discovered.filter(filter) : discovered;
+    const toLoad = discovered.filter(info => this.isEnabled(info));
 
     // Define plugin loading priority order
     const priorityOrder = {
@@ -139,7 +221,7 @@ class PluginLoader {
       'external': 6
     };
 
-    // Sort plugins by category priority
+    // Sort plugins by category priority; dependencies may still pull a plugin earlier
     toLoad.sort((a, b) => {
       const priorityA = priorityOrder[a.category] || 999;
       const priorityB = priorityOrder[b.category] || 999;
@@ -150,30 +232,136 @@ class PluginLoader {
 
     const results = {
       success: [],
-      failed: []
+      failed: [],
+      skipped: []
     };
 
+    // Read dependency metadata; a module that fails to import cannot be loaded
+    const candidates = new Map();
     for (const pluginInfo of toLoad) {
+      try {
+        const PluginClass = await this.importPlugin(pluginInfo);
+        candidates.set(pluginInfo.name, this.readDependencies(pluginInfo, PluginClass));
+      } catch (error) {
+        logger.error(`Failed to load plugin: ${pluginInfo.name}`, error);
+        results.failed.push({ name: pluginInfo.name, error: error.message });
+      }
+    }
+
+    const { order, cycles } = this.resolveLoadOrder(candidates);
+
+    const cyclic = new Map();
+    for (const cycle of cycles) {
+      for (const name of cycle) {
+        cyclic.set(name, `Circular dependency: ${cycle.join(' -> ')}`);
+      }
+    }
+
+    for (const name of order) {
+      const pluginInfo = candidates.get(name);
+
+      if (cyclic.has(name)) {
+        logger.error(`Failed to load plugin: ${name} - ${cyclic.get(name)}`);
+        results.failed.push({ name, error: cyclic.get(name) });
+        continue;
+      }
+
+      const missing = this.getMissingDependencies(pluginInfo);
+      if (missing.length > 0) {
+        const reason = missing
+          .map(dep => `requires ${dep}, which ${this.describeUnavailable(dep, discovered, candidates, results)}`)
+          .join('; ');
+        logger.warn(`Skipping plugin ${name}: ${reason}`);
+        results.skipped.push({ name, reason });
+        continue;
+      }
+
+      const unavailable = pluginInfo.optionalDependencies.filter(dep => !this.plugins.has(dep));
+      if (unavailable.length > 0) {
+        logger.debug(`${name}: optional dependencies not loaded: ${unavailable.join(', ')}`);
+      }
+
       try {
         await this.loadPlugin(pluginInfo);
-        results.success.push(pluginInfo.name);
+        results.success.push(name);
       } catch (error) {
         results.failed.push({
-          name: pluginInfo.name,
+          name,
           error: error.message
         });
       }
     }
 
-    logger.info(`Plugin loading complete: ${results.success.length} succeeded, ${results.failed.length} failed`);
+    logger.info(`Plugin loading complete: ${results.success.length} succeeded, ${results.failed.length} failed, ${results.skipped.length} skipped`);
     
     if (results.failed.length > 0) {
       logger.warn('Failed plugins:', results.failed);
     }
 
+    if (results.skipped.length > 0) {
+      logger.warn('Skipped plugins:', results.skipped);
+    }
+
     return results;
   }
 
+  /**
+   * Order plugins so each one loads after its dependencies.
+   * Optional dependencies only affect the order when they are being loaded too,
+   * and are ignored where they would close a cycle.
+   */
+  resolveLoadOrder(candidates) {
+    const deps = new Map();
+    for (const [name, pluginInfo] of candidates) {
+      deps.set(name, {
+        required: pluginInfo.dependencies.filter(dep => candidates.has(dep)),
+        optional: pluginInfo.optionalDependencies.filter(dep => candidates.has(dep))
+      });
+    }
+
+    for (;;) {
+      const registry = new ComponentRegistry();
+      for (const [name, pluginInfo] of candidates) {
+        const { required, optional } = deps.get(name);
+        registry.register(name, pluginInfo, [...required, ...optional]);
+      }
+
+      const result = registry.resolveOrder();
+      // Every pass drops an edge, so this ends with only cycles of required dependencies left
+      if (!result.cycles.some(cycle => this.dropOptionalEdge(cycle, deps))) {
+        return result;
+      }
+    }
+  }
+
+  /**
+   * Remove the first optional dependency along a cycle path ([a, b, a])
+   * @returns {boolean} False when the cycle is made of required dependencies only
+   */
+  dropOptionalEdge(cycle, deps) {
+    for (let i = 0; i < cycle.length - 1; i++) {
+      const [from, to] = [cycle[i], cycle[i + 1]];
+      const entry = deps.get(from);
+      if (entry.optional.includes(to) && !entry.required.includes(to)) {
+        entry.optional = entry.optional.filter(dep => dep !== to);
+        logger.warn(`Ignoring optional dependency ${from} -> ${to} for the load order, it closes a cycle: ${cycle.join(' -> ')}`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Explain why a dependency is not available, for skip messages
+   */
+  describeUnavailable(name, discovered, candidates, results) {
+    if (results.failed.some(entry => entry.name === name)) return 'failed to load';
+    if (results.skipped.some(entry => entry.name === name)) return 'was skipped';
+    if (candidates.has(name)) return 'is not loaded';
+    if (discovered.some(info => info.name === name)) return 'is disabled';
+    return 'is not installed';
+  }
+
   /**
    * Unload a plugin
    */
@@ -189,6 +377,10 @@ class PluginLoader {
         await instance.unload();
       }
 
+      // Drop any chat commands the plugin registered, and give up its movement
+      instance.unregisterAllCommands();
+      this.bot.movementArbiter?.releaseOwner(pluginName);
+
       this.plugins.delete(pluginName);
       
       const index = this.loadedPlugins.indexOf(pluginName);
@@ -209,7 +401,8 @@ class PluginLoader {
   async unloadAll() {
     logger.info('Unloading all plugins...');
 
-    const pluginNames = Array.from(this.plugins.keys());
+    // Reverse load order so dependents unload before their dependencies
+    const pluginNames = Array.from(this.plugins.keys()).reverse();
     
     for (const name of pluginNames) {
       try {
@@ -223,12 +416,300 @@ class PluginLoader {
   }
 
   /**
-   * Reload a plugin
-   * @deprecated Hot reload is not supported in ES Modules without full restart
+   * Hand every loaded plugin the new bot after a reconnect, in load order, so
+   * dependencies are rebound before their dependents.
+   * A plugin whose hook fails is reloaded from scratch against the new bot.
+   */
+  async replaceBot(newBot) {
+    this.bot = newBot;
+
+    const results = {
+      rebound: [],
+      reloaded: [],
+      failed: []
+    };
+
+    for (const [name, { instance, info }] of Array.from(this.plugins)) {
+      try {
+        await instance.onBotReplaced(newBot);
+        results.rebound.push(name);
+      } catch (error) {
+        logger.error(`Failed to move plugin ${name} to the new bot, reloading it`, error);
+        try {
+          await this.unloadPlugin(name);
+        } catch (unloadError) {
+          // Drop the broken instance anyway so a fresh one can take its place
+          instance.unregisterAllCommands();
+          this.plugins.delete(name);
+          this.loadedPlugins = this.loadedPlugins.filter(entry => entry !== name);
+        }
+
+        try {
+          await this.loadPlugin(info);
+          this.notifyDependents(name);
+          results.reloaded.push(name);
+        } catch (reloadError) {
+          results.failed.push({ name, error: reloadError.message });
+        }
+      }
+    }
+
+    logger.info(`Plugins moved to new bot: ${results.rebound.length} rebound, ${results.reloaded.length} reloaded, ${results.failed.length} failed`);
+    return results;
+  }
+
+  /**
+   * Get the sections of a file a plugin reads
+   * Settings: its own section plus those in `static configSchema`.
+   * Waypoints: the top-level keys listed in `static waypointSections`.
+   */
+  static getConfigSections(pluginName, PluginClass, file = 'settings') {
+    if (file === 'waypoints') {
+      return PluginClass.waypointSections || [];
+    }
+    const ownSection = pluginName.charAt(0).toLowerCase() + pluginName.slice(1);
+    return [ownSection, ...Object.keys(PluginClass.configSchema || {})];
+  }
+
+  /**
+   * Pass a reloaded file to the plugins that read one of its changed sections
+   * @param {Object} change - { file: 'settings'|'waypoints', sections, changes: [{ path, from, to }] }
+   * @returns {string[]} Names of the plugins that were updated
+   */
+  applyConfigChange(change) {
+    const updated = [];
+
+    for (const [name, { instance }] of this.plugins) {
+      const sections = PluginLoader.getConfigSections(name, instance.constructor, change.file);
+      if (!sections.some(section => change.sections.includes(section))) continue;
+
+      try {
+        instance.updateConfig(this.getPluginConfig(name), change);
+        updated.push(name);
+      } catch (error) {
+        logger.error(`${name} failed to apply the new ${change.file} configuration`, error);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Find a plugin by name, case-insensitively, rediscovering to pick up new files
+   */
+  async findPlugin(pluginName) {
+    const match = () => Array.from(this.available.values())
+      .find(info => info.name.toLowerCase() === pluginName.toLowerCase());
+
+    let pluginInfo = match();
+    if (!pluginInfo) {
+      await this.discoverPlugins();
+      pluginInfo = match();
+    }
+    if (!pluginInfo) {
+      throw new Error(`Plugin ${pluginName} not found`);
+    }
+    return pluginInfo;
+  }
+
+  /**
+   * Get loaded plugins that depend on a plugin
+   * @param {boolean} includeOptional - Also include plugins with it as an optional dependency
+   */
+  getDependents(pluginName, includeOptional = true) {
+    const dependents = [];
+    for (const [name, { info }] of this.plugins) {
+      const required = (info.dependencies || []).includes(pluginName);
+      const optional = (info.optionalDependencies || []).includes(pluginName);
+      if (required || (includeOptional && optional)) {
+        dependents.push(name);
+      }
+    }
+    return dependents;
+  }
+
+  /**
+   * Tell loaded dependents that a plugin was loaded, reloaded or unloaded
+   */
+  notifyDependents(pluginName) {
+    const instance = this.getPlugin(pluginName);
+    for (const name of this.getDependents(pluginName)) {
+      try {
+        this.getPlugin(name).onDependencyChanged(pluginName, instance);
+      } catch (error) {
+        logger.error(`${name} failed to handle ${pluginName} change`, error);
+      }
+    }
+  }
+
+  /**
+   * Unload plugins that require a plugin, dependents first, and remember them for later
+   */
+  async suspendDependents(pluginName) {
+    const suspended = [];
+    for (const name of this.getDependents(pluginName, false)) {
+      if (!this.plugins.has(name)) continue;
+      suspended.push(...await this.suspendDependents(name));
+      await this.unloadPlugin(name);
+      this.suspended.add(name);
+      suspended.push(name);
+      logger.warn(`Suspended plugin ${name}: requires ${pluginName}`);
+    }
+    return suspended;
+  }
+
+  /**
+   * Load suspended plugins whose required dependencies are back
+   */
+  async resumeSuspended() {
+    const resumed = [];
+    let progress = true;
+
+    // Repeat so chains of suspended plugins come back in dependency order
+    while (progress) {
+      progress = false;
+      for (const name of this.suspended) {
+        const pluginInfo = this.available.get(name);
+        if (!pluginInfo || this.getMissingDependencies(pluginInfo).length > 0) continue;
+
+        this.suspended.delete(name);
+        try {
+          await this.loadPlugin(pluginInfo);
+          this.notifyDependents(name);
+          resumed.push(name);
+          progress = true;
+        } catch (error) {
+          logger.warn(`Could not resume plugin ${name}: ${error.message}`);
+        }
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Load a plugin at runtime and remember it as enabled
+   * @returns {{ name: string, resumed: string[] }}
+   */
+  async enablePlugin(pluginName) {
+    const pluginInfo = await this.findPlugin(pluginName);
+    const { name } = pluginInfo;
+    if (this.plugins.has(name)) {
+      throw new Error(`Plugin ${name} is already loaded`);
+    }
+
+    this.suspended.delete(name);
+    await this.loadPlugin(pluginInfo);
+    this.setEnabled(name, true);
+    this.notifyDependents(name);
+
+    return { name, resumed: await this.resumeSuspended() };
+  }
+
+  /**
+   * Unload a plugin at runtime and remember it as disabled
+   * Plugins that require it are suspended until it is enabled again.
+   * @returns {{ name: string, suspended: string[] }}
+   */
+  async disablePlugin(pluginName) {
+    const { name } = await this.findPlugin(pluginName);
+    if (this.suspended.delete(name)) {
+      this.setEnabled(name, false);
+      return { name, suspended: [] };
+    }
+    if (!this.plugins.has(name)) {
+      throw new Error(`Plugin ${name} is not loaded`);
+    }
+
+    const suspended = await this.suspendDependents(name);
+    await this.unloadPlugin(name);
+    this.setEnabled(name, false);
+    this.notifyDependents(name);
+
+    return { name, suspended };
+  }
+
+  /**
+   * Reload a plugin from disk with a fresh module import
+   * Dependents keep running and are handed the new instance via onDependencyChanged.
+   * If the new version fails to load, plugins that require it are suspended.
+   * @returns {{ name: string, suspended: string[] }}
    */
   async reloadPlugin(pluginName) {
-    logger.warn('Hot reload is not supported in ES Modules. Please restart the bot.');
-    return false;
+    const { name } = await this.findPlugin(pluginName);
+    const entry = this.plugins.get(name);
+    if (!entry) {
+      throw new Error(`Plugin ${name} is not loaded`);
+    }
+
+    await this.unloadPlugin(name);
+
+    try {
+      await this.loadPlugin(entry.info, { fresh: true });
+    } catch (error) {
+      const suspended = await this.suspendDependents(name);
+      this.notifyDependents(name);
+      if (suspended.length > 0) {
+        error.message += ` (suspended ${suspended.join(', ')})`;
+      }
+      throw error;
+    }
+
+    this.notifyDependents(name);
+    await this.resumeSuspended();
+    return { name, suspended: [] };
+  }
+
+  /**
+   * Describe every discovered plugin and whether it is loaded
+   */
+  listPlugins() {
+    return Array.from(this.available.values()).map(info => ({
+      name: info.name,
+      category: info.category,
+      loaded: this.plugins.has(info.name),
+      enabled: this.isEnabled(info),
+      suspended: this.suspended.has(info.name),
+      dependencies: this.plugins.get(info.name)?.info.dependencies || info.dependencies || []
+    }));
+  }
+
+  /**
+   * Register the !plugin command
+   */
+  registerCommands(registry) {
+    const run = (action, done) => async (username, args, rawArgs, { reply }) => {
+      try {
+        const result = await action.call(this, args[0]);
+        const extra = result.suspended?.length > 0
+          ? `, suspended ${result.suspended.join(', ')}`
+          : result.resumed?.length > 0 ? `, resumed ${result.resumed.join(', ')}` : '';
+        reply(`${result.name} ${done}${extra}`);
+      } catch (error) {
+        reply(error.message);
+      }
+    };
+
+    registry.register(new PluginCommand({
+      name: 'plugin',
+      description: 'List, enable, disable or reload plugins',
+      aliases: ['plugins'],
+      permission: 'owner',
+      subcommands: {
+        list: {
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            const entries = this.listPlugins().map(entry => {
+              const state = entry.loaded ? 'on' : entry.suspended ? 'suspended' : 'off';
+              return `${entry.name}=${state}`;
+            });
+            reply(entries.length > 0 ? `Plugins: ${entries.join(', ')}` : 'No plugins discovered');
+          }
+        },
+        enable: { usage: 'enable <name>', minArgs: 1, handler: run(this.enablePlugin, 'enabled') },
+        disable: { usage: 'disable <name>', minArgs: 1, handler: run(this.disablePlugin, 'disabled') },
+        reload: { usage: 'reload <name>', minArgs: 1, handler: run(this.reloadPlugin, 'reloaded') }
+      }
+    }, this), 'PluginLoader');
   }
 
   /**
@@ -272,6 +753,7 @@ class PluginLoader {
       stats.plugins.push({
         name,
         category: data.info.category,
+        dependencies: data.info.dependencies || [],
         loadedAt: new Date(data.loadedAt).toISOString(),
         status: data.instance.getStatus ? data.instance.getStatus() : 'unknown'
       });
@@ -0,0 +1,267 @@
+import logger from '../utils/Logger.js';
+import ChatParser from '../utils/ChatParser.js';
+
+export const ACTIONS = ['retry', 'slow', 'stop'];
+
+/**
+ * Built-in kick/end reason rules, checked after the ones from settings.json
+ * Matched against the plain text and the vanilla translation key of the reason.
+ */
+const DEFAULT_RULES = [
+  { name: 'banned', match: /banned|blacklisted/i, action: 'stop' },
+  { name: 'duplicate-login', match: /logged in from another location|duplicate_login|already (?:online|connected|playing)/i, action: 'stop' },
+  { name: 'whitelist', match: /whitelist/i, action: 'stop' },
+  { name: 'version', match: /outdated (?:client|server)|outdated_(?:client|server)|incompatible|unsupported protocol/i, action: 'stop' },
+  { name: 'throttled', match: /throttl|too fast|too many (?:connections|logins)|wait before reconnecting/i, action: 'slow' },
+  { name: 'server-restart', match: /restart|server_shutdown|server closed|shutting down/i, action: 'retry' }
+];
+
+/**
+ * ReconnectPolicy - Decides whether and when to reconnect after a disconnect
+ * Delays grow exponentially with jitter. Repeated short sessions open a circuit
+ * breaker that spaces attempts out until a session lasts stableSessionMs.
+ * Decisions are published on the event bus under reconnect.*.
+ */
+class ReconnectPolicy {
+  // initialDelayMs has no default so the older behavior.reconnectDelay still applies
+  static configSchema = {
+    reconnect: {
+      properties: {
+        initialDelayMs: { type: 'integer', min: 0 },
+        maxDelayMs: { type: 'integer', min: 0, default: 300000 },
+        multiplier: { type: 'number', min: 1, default: 2 },
+        jitter: { type: 'number', min: 0, max: 1, default: 0.25 },
+        slowDelayMs: { type: 'integer', min: 0, default: 60000 },
+        maxAttempts: { type: 'integer', min: 0, default: 0 },
+        stableSessionMs: { type: 'integer', min: 0, default: 120000 },
+        breakerThreshold: { type: 'integer', min: 1, default: 5 },
+        breakerCooldownMs: { type: 'integer', min: 0, default: 900000 },
+        rules: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              match: { type: 'string', required: true, minLength: 1 },
+              action: { type: 'string', required: true, enum: ACTIONS }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  constructor(config = {}, eventBus = null) {
+    this.initialDelayMs = config.initialDelayMs ?? 5000;
+    this.maxDelayMs = config.maxDelayMs ?? 300000;
+    this.multiplier = config.multiplier ?? 2;
+    this.jitter = Math.min(Math.max(config.jitter ?? 0.25, 0), 1);
+    this.slowDelayMs = config.slowDelayMs ?? 60000;
+    this.maxAttempts = config.maxAttempts ?? 0;
+    this.stableSessionMs = config.stableSessionMs ?? 120000;
+    this.breakerThreshold = config.breakerThreshold ?? 5;
+    this.breakerCooldownMs = config.breakerCooldownMs ?? 900000;
+    this.rules = [...ReconnectPolicy.compileRules(config.rules), ...DEFAULT_RULES];
+    this.eventBus = eventBus;
+
+    this.attempts = 0;
+    this.breaker = 'closed'; // closed | open | half-open
+    this.kickReason = null;
+    this.sessionStart = null;
+    this.stableTimer = null;
+    this.lastDecision = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * Turn { match: 'regex', action } entries from settings.json into rules
+   */
+  static compileRules(rules = []) {
+    const compiled = [];
+    for (const [index, rule] of (rules || []).entries()) {
+      if (!ACTIONS.includes(rule?.action)) {
+        logger.warn(`Ignoring reconnect rule ${index}: action must be one of ${ACTIONS.join(', ')}`);
+        continue;
+      }
+      try {
+        compiled.push({ name: rule.name || `rule-${index}`, match: new RegExp(rule.match, 'i'), action: rule.action });
+      } catch (error) {
+        logger.warn(`Ignoring reconnect rule ${index}: ${error.message}`);
+      }
+    }
+    return compiled;
+  }
+
+  /**
+   * Turn a kick reason (string, JSON text or chat component) into plain text
+   */
+  static describeReason(reason) {
+    if (reason === null || reason === undefined) return '';
+
+    let component = reason;
+    if (typeof reason === 'string') {
+      try {
+        component = JSON.parse(reason);
+      } catch (error) {
+        return reason;
+      }
+    }
+
+    if (typeof component !== 'object') return String(component);
+
+    const text = ChatParser.jsonToText(component);
+    return component.translate ? `${text} ${component.translate}`.trim() : text;
+  }
+
+  /**
+   * Find the rule matching a reason; unknown reasons are retried
+   */
+  classify(reason) {
+    const text = ReconnectPolicy.describeReason(reason);
+    const rule = this.rules.find(r => r.match.test(text));
+    return {
+      reason: text,
+      rule: rule?.name || 'default',
+      action: rule?.action || 'retry'
+    };
+  }
+
+  /**
+   * Remember why the server kicked us; 'end' follows and carries no useful reason
+   */
+  recordKick(reason) {
+    this.kickReason = reason;
+  }
+
+  /**
+   * A reconnect attempt is starting
+   */
+  onAttempt() {
+    this.nextAttemptAt = null;
+    if (this.breaker === 'open') {
+      this.setBreaker('half-open');
+    }
+    this.publish('attempt', { attempt: this.attempts });
+  }
+
+  /**
+   * The bot spawned; the session counts as stable after stableSessionMs
+   */
+  onConnected() {
+    this.sessionStart = Date.now();
+    this.clearStableTimer();
+    this.stableTimer = setTimeout(() => this.markStable(), this.stableSessionMs);
+    this.stableTimer.unref?.();
+    this.publish('connected', { attempt: this.attempts });
+  }
+
+  markStable() {
+    this.stableTimer = null;
+    if (this.attempts > 0) {
+      logger.info(`Session stable, reconnect backoff reset after ${this.attempts} attempts`);
+    }
+    this.attempts = 0;
+    if (this.breaker !== 'closed') {
+      this.setBreaker('closed');
+    }
+    this.publish('stable', { sessionStart: this.sessionStart });
+  }
+
+  /**
+   * Decide what to do after the connection ended
+   * @returns {{action: string, delay: number|null, attempt: number, reason: string, rule: string}}
+   */
+  onDisconnect(endReason) {
+    this.clearStableTimer();
+
+    // A kick is more specific than the socket end reason that follows it
+    const { reason, rule, action } = this.classify(this.kickReason ?? endReason);
+    this.kickReason = null;
+    this.sessionStart = null;
+    this.attempts++;
+
+    let decision = { action, reason, rule, attempt: this.attempts, delay: null };
+
+    if (action === 'stop') {
+      decision = this.giveUp(decision, `${rule} (${reason || 'no reason'})`);
+    } else if (this.maxAttempts > 0 && this.attempts > this.maxAttempts) {
+      decision = this.giveUp({ ...decision, action: 'stop' }, `${this.maxAttempts} attempts failed`);
+    } else {
+      if (this.breaker === 'half-open' || (this.breaker === 'closed' && this.attempts >= this.breakerThreshold)) {
+        this.setBreaker('open');
+      }
+      decision.delay = this.getDelay(action);
+      this.nextAttemptAt = Date.now() + decision.delay;
+      this.publish('scheduled', decision);
+    }
+
+    this.lastDecision = { ...decision, timestamp: Date.now() };
+    return decision;
+  }
+
+  giveUp(decision, why) {
+    this.nextAttemptAt = null;
+    logger.error(`Not reconnecting: ${why}`);
+    this.publish('giveup', { ...decision, why });
+    return decision;
+  }
+
+  /**
+   * Delay before the next attempt, with +/- jitter so several bots do not reconnect in lockstep
+   */
+  getDelay(action) {
+    let delay = this.initialDelayMs * Math.pow(this.multiplier, Math.max(this.attempts - 1, 0));
+    delay = Math.min(delay, this.maxDelayMs);
+    if (action === 'slow') {
+      delay = Math.max(delay, this.slowDelayMs);
+    }
+    if (this.breaker === 'open') {
+      delay = Math.max(delay, this.breakerCooldownMs);
+    }
+
+    const spread = delay * this.jitter;
+    return Math.round(delay - spread + Math.random() * spread * 2);
+  }
+
+  setBreaker(state) {
+    this.breaker = state;
+    if (state === 'open') {
+      logger.warn(`Reconnect circuit breaker open after ${this.attempts} failed sessions, waiting ${Math.round(this.breakerCooldownMs / 1000)}s between attempts`);
+    }
+    this.publish('breaker', { state, attempts: this.attempts });
+  }
+
+  clearStableTimer() {
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
+    }
+  }
+
+  /**
+   * Stop timers when the bot shuts down
+   */
+  reset() {
+    this.clearStableTimer();
+    this.nextAttemptAt = null;
+    this.kickReason = null;
+  }
+
+  publish(event, data) {
+    this.eventBus?.publish(`reconnect.${event}`, data);
+  }
+
+  getStatus() {
+    return {
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      breaker: this.breaker,
+      sessionStart: this.sessionStart,
+      nextAttemptAt: this.nextAttemptAt,
+      lastDecision: this.lastDecision
+    };
+  }
+}
+
+export default ReconnectPolicy;
@@ -7,6 +7,7 @@ class StateManager {
   constructor() {
     this.states = new Map();
     this.listeners = new Map();
+    this.persistentNamespaces = new Set();
   }
 
   /**
@@ -84,6 +85,7 @@ class StateManager {
 
   /**
    * Add a state change listener
+   * Use '*' as the key to be notified of every change
    */
   addListener(key, callback) {
     if (!this.listeners.has(key)) {
@@ -109,9 +111,11 @@ class StateManager {
    * Notify all listeners of a state change
    */
   notifyListeners(key, newValue, oldValue) {
-    if (!this.listeners.has(key)) return;
-    
-    const callbacks = this.listeners.get(key);
+    const callbacks = [
+      ...(this.listeners.get(key) || []),
+      ...(this.listeners.get('*') || [])
+    ];
+
     for (const callback of callbacks) {
       try {
         callback(newValue, oldValue, key);
@@ -123,9 +127,16 @@ class StateManager {
 
   /**
    * Create a namespaced state manager
+   * With { persist: true } the namespace is saved and restored by the StateStore.
    */
-  createNamespace(namespace) {
+  createNamespace(namespace, options = {}) {
+    if (options.persist) {
+      this.persistentNamespaces.add(namespace);
+    }
+
     return {
+      namespace,
+      getAll: () => this.getNamespaceStates(namespace),
       setState: (key, value) => this.setState(`${namespace}.${key}`, value),
       getState: (key, defaultValue) => this.getState(`${namespace}.${key}`, defaultValue),
       hasState: (key) => this.hasState(`${namespace}.${key}`),
@@ -135,6 +146,51 @@ class StateManager {
     };
   }
 
+  /**
+   * Get the states of a namespace without the prefix
+   */
+  getNamespaceStates(namespace) {
+    const prefix = `${namespace}.`;
+    const states = {};
+    for (const [key, value] of this.states) {
+      if (key.startsWith(prefix)) {
+        states[key.slice(prefix.length)] = value;
+      }
+    }
+    return states;
+  }
+
+  /**
+   * Export every persistent namespace as { namespace: { key: value } }
+   */
+  exportNamespaces() {
+    const data = {};
+    for (const namespace of this.persistentNamespaces) {
+      const states = this.getNamespaceStates(namespace);
+      if (Object.keys(states).length > 0) {
+        data[namespace] = states;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Restore namespaces produced by exportNamespaces()
+   * Restored namespaces stay persistent even if nothing creates them this run,
+   * so the saved state of a disabled plugin is not dropped.
+   */
+  importNamespaces(data = {}) {
+    let count = 0;
+    for (const [namespace, states] of Object.entries(data)) {
+      this.persistentNamespaces.add(namespace);
+      for (const [key, value] of Object.entries(states || {})) {
+        this.setState(`${namespace}.${key}`, value);
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * Serialize states to JSON
    */
@@ -164,6 +220,7 @@ class StateManager {
     return {
       totalStates: this.states.size,
       totalListeners: Array.from(this.listeners.values()).reduce((sum, arr) => sum + arr.length, 0),
+      persistentNamespaces: Array.from(this.persistentNamespaces),
       states: this.getAllStates()
     };
   }
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/Logger.js';
+import { writeFileAtomic, readJsonFile } from '../utils/helpers/fileHelpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BACKENDS = ['json', 'sqlite'];
+const DEFAULT_FILES = { json: 'state.json', sqlite: 'state.db' };
+
+/**
+ * StateStore - Saves persistent StateManager namespaces to disk
+ * Namespaces created with { persist: true } are written to data/state.json
+ * (or an SQLite file) on an interval and at shutdown, and restored at startup.
+ */
+class StateStore {
+  static configSchema = {
+    persistence: {
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        backend: { type: 'string', enum: BACKENDS, default: 'json' },
+        file: { type: 'string', minLength: 1 },
+        autosaveMs: { type: 'integer', min: 0, default: 60000 }
+      }
+    }
+  };
+
+  constructor(stateManager, config = {}, dataDir = null) {
+    this.stateManager = stateManager;
+    this.enabled = config.enabled !== false;
+    this.backend = BACKENDS.includes(config.backend) ? config.backend : 'json';
+    this.dataDir = dataDir || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.dataDir, config.file || DEFAULT_FILES[this.backend]);
+    this.autosaveMs = config.autosaveMs ?? 60000;
+    this.db = null;
+    this.autosaveInterval = null;
+    this.lastSnapshot = null;
+    this.lastSavedAt = null;
+    this.saveCount = 0;
+    this.isOpen = false;
+  }
+
+  /**
+   * Open the backend, restore saved state and start autosaving
+   */
+  async open() {
+    if (!this.enabled || this.isOpen) return;
+
+    if (this.backend === 'sqlite') {
+      await this.openSqlite();
+    }
+
+    this.isOpen = true;
+    this.restore();
+    this.startAutosave();
+    logger.info(`State store ready (${this.backend}: ${path.relative(process.cwd(), this.filePath)})`);
+  }
+
+  /**
+   * Open the SQLite database, falling back to JSON if better-sqlite3 is missing
+   */
+  async openSqlite() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      logger.warn('better-sqlite3 not installed, falling back to the JSON state store');
+      logger.info('Install with: npm install better-sqlite3');
+      this.backend = 'json';
+      this.filePath = path.join(this.dataDir, DEFAULT_FILES.json);
+      return;
+    }
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS state (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )`);
+  }
+
+  /**
+   * Load saved namespaces into the state manager
+   */
+  restore() {
+    try {
+      const data = this.db ? this.readSqlite() : readJsonFile(this.filePath, {}).namespaces;
+      const count = this.stateManager.importNamespaces(data || {});
+      this.lastSnapshot = JSON.stringify(this.stateManager.exportNamespaces());
+      if (count > 0) {
+        logger.info(`Restored ${count} saved states`);
+      }
+      return count;
+    } catch (error) {
+      logger.error(`Failed to restore state from ${path.basename(this.filePath)}`, error);
+      return 0;
+    }
+  }
+
+  readSqlite() {
+    const data = {};
+    for (const row of this.db.prepare('SELECT namespace, key, value FROM state').all()) {
+      data[row.namespace] = data[row.namespace] || {};
+      data[row.namespace][row.key] = JSON.parse(row.value);
+    }
+    return data;
+  }
+
+  /**
+   * Write persistent namespaces to disk
+   * Skipped when nothing changed since the last save unless force is set.
+   */
+  save(force = false) {
+    if (!this.isOpen) return false;
+
+    const data = this.stateManager.exportNamespaces();
+    const snapshot = JSON.stringify(data);
+    if (!force && snapshot === this.lastSnapshot) return false;
+
+    try {
+      if (this.db) {
+        this.writeSqlite(data);
+      } else {
+        writeFileAtomic(this.filePath, JSON.stringify({ version: 1, savedAt: Date.now(), namespaces: data }, null, 2));
+      }
+
+      this.lastSnapshot = snapshot;
+      this.lastSavedAt = Date.now();
+      this.saveCount++;
+      logger.debug(`Saved ${Object.keys(data).length} state namespaces`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save state to ${path.basename(this.filePath)}`, error);
+      return false;
+    }
+  }
+
+  writeSqlite(data) {
+    const clear = this.db.prepare('DELETE FROM state');
+    const insert = this.db.prepare('INSERT INTO state (namespace, key, value) VALUES (?, ?, ?)');
+
+    // One transaction, so a crash leaves the previous save intact
+    this.db.transaction(() => {
+      clear.run();
+      for (const [namespace, states] of Object.entries(data)) {
+        for (const [key, value] of Object.entries(states)) {
+          insert.run(namespace, key, JSON.stringify(value));
+        }
+      }
+    })();
+  }
+
+  startAutosave() {
+    this.stopAutosave();
+    if (this.autosaveMs <= 0) return;
+
+    this.autosaveInterval = setInterval(() => this.save(), this.autosaveMs);
+    this.autosaveInterval.unref?.();
+  }
+
+  stopAutosave() {
+    if (this.autosaveInterval) {
+      clearInterval(this.autosaveInterval);
+      this.autosaveInterval = null;
+    }
+  }
+
+  /**
+   * Stop autosaving, write a final save and close the backend
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.stopAutosave();
+    this.save();
+
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+
+    this.isOpen = false;
+    logger.info('State store closed');
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      backend: this.backend,
+      file: path.basename(this.filePath),
+      autosaveMs: this.autosaveMs,
+      namespaces: Array.from(this.stateManager.persistentNamespaces),
+      saveCount: this.saveCount,
+      lastSavedAt: this.lastSavedAt
+    };
+  }
+}
+
+export default StateStore;
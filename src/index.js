@@ -1,58 +1,38 @@
 import dotenv from 'dotenv';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import BotClient from './core/BotClient.js';
+import BotFleet from './core/BotFleet.js';
+import ConfigLoader from './core/ConfigLoader.js';
 import logger from './utils/Logger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 /**
  * Load environment variables
  */
 dotenv.config();
 
 /**
- * Load configuration files
+ * Load settings.json, the selected profile, environment and command line overrides,
+ * and check the result against the core and plugin schemas
  */
-function loadConfig() {
-  const configDir = path.join(__dirname, '../config');
-  
-  try {
-    const settings = JSON.parse(fs.readFileSync(path.join(configDir, 'settings.json'), 'utf8'));
-    const physics = JSON.parse(fs.readFileSync(path.join(configDir, 'physics.json'), 'utf8'));
-    
-    // Override with environment variables if present
-    if (process.env.MC_HOST) settings.server.host = process.env.MC_HOST;
-    if (process.env.MC_PORT) settings.server.port = parseInt(process.env.MC_PORT);
-    if (process.env.MC_USERNAME) settings.bot.username = process.env.MC_USERNAME;
-    if (process.env.MC_PASSWORD) settings.bot.password = process.env.MC_PASSWORD;
-    if (process.env.MC_VERSION) settings.server.version = process.env.MC_VERSION;
-    if (process.env.MC_AUTH) settings.server.auth = process.env.MC_AUTH;
-    
-    // Web viewer settings
-    if (process.env.WEB_VIEWER_ENABLED === 'true') {
-      settings.features.webViewer = true;
-    }
-    if (process.env.WEB_VIEWER_PORT) {
-      settings.webViewer.port = parseInt(process.env.WEB_VIEWER_PORT);
-    }
-    
-    return {
-      settings,
-      physics
-    };
-  } catch (error) {
-    logger.error('Failed to load configuration files', error);
-    throw error;
-  }
+async function loadValidatedConfig(configLoader) {
+  return BotFleet.validateConfig(configLoader.load());
 }
 
 /**
  * Main application entry point
  */
 async function main() {
+  let configLoader;
+  try {
+    configLoader = new ConfigLoader();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  if (configLoader.printConfig) {
+    await printConfig(configLoader);
+    return;
+  }
+
   logger.info('='.repeat(60));
   logger.info('Mineflayer Advanced MVP Bot');
   logger.info('='.repeat(60));
@@ -60,25 +40,30 @@ async function main() {
   try {
     // Load configuration
     logger.info('Loading configuration...');
-    const config = loadConfig();
+    const fullConfig = await loadValidatedConfig(configLoader);
     
-    logger.info(`Server: ${config.settings.server.host}:${config.settings.server.port}`);
-    logger.info(`Username: ${config.settings.bot.username}`);
-    logger.info(`Version: ${config.settings.server.version}`);
+    if (configLoader.profile) {
+      logger.info(`Profile: ${configLoader.profile}`);
+    }
+    logger.info(`Server: ${fullConfig.server.host}:${fullConfig.server.port}`);
+    const fleetBots = fullConfig.fleet.bots;
+    if (fleetBots.length > 0) {
+      logger.info(`Fleet: ${fleetBots.map(entry => entry.id || entry.bot?.username).join(', ')}`);
+    } else {
+      logger.info(`Username: ${fullConfig.bot.username}`);
+    }
+    logger.info(`Version: ${fullConfig.server.version}`);
     logger.info('='.repeat(60));
     
-    // Merge all configs
-    const fullConfig = {
-      ...config.settings,
-      physics: config.physics
-    };
-    
-    // Create and start bot
-    const botClient = new BotClient(fullConfig);
-    await botClient.start();
+    // Create and start the bot, or every bot listed under fleet.bots
+    const fleet = new BotFleet(fullConfig);
+    await fleet.start();
+
+    // Apply edits to settings.json and waypoints.json without a restart
+    fleet.watchConfig(() => loadValidatedConfig(configLoader), { profilePath: configLoader.getProfilePath() });
     
     // Setup graceful shutdown
-    setupGracefulShutdown(botClient);
+    setupGracefulShutdown(fleet);
     
   } catch (error) {
     logger.error('Fatal error during startup', error);
@@ -86,15 +71,29 @@ async function main() {
   }
 }
 
+/**
+ * Print the effective settings and where each value came from, then exit
+ */
+async function printConfig(configLoader) {
+  try {
+    const config = await loadValidatedConfig(configLoader);
+    process.stdout.write(`${configLoader.describe(config)}\n`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Could not build the configuration', error);
+    process.exit(1);
+  }
+}
+
 /**
  * Setup graceful shutdown handlers
  */
-function setupGracefulShutdown(botClient) {
+function setupGracefulShutdown(fleet) {
   const shutdown = async (signal) => {
     logger.info(`\nReceived ${signal}, shutting down gracefully...`);
     
     try {
-      await botClient.stop();
+      await fleet.stop();
       logger.success('Shutdown complete');
       process.exit(0);
     } catch (error) {
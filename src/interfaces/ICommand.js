@@ -22,8 +22,9 @@ class ICommand {
    * @param {string} username - The user who executed the command
    * @param {Array} args - Command arguments
    * @param {string} rawArgs - Raw argument string
+   * @param {Object} context - { bot, username, channel, reply } for the current invocation
    */
-  async execute(bot, username, args, rawArgs) {
+  async execute(bot, username, args, rawArgs, context) {
     throw new Error('Method execute() must be implemented');
   }
 
@@ -78,6 +79,14 @@ class ICommand {
     return this.name === commandName || this.aliases.includes(commandName);
   }
 
+  /**
+   * Get the role required to run this command with the given arguments
+   * Returns null to fall back to the configured default command role
+   */
+  getPermission(args) {
+    return this.permission;
+  }
+
   /**
    * Validate command arguments - override for custom validation
    */
@@ -120,8 +129,9 @@ class ICommand {
   /**
    * Error handler - override for custom error handling
    */
-  onError(error, bot, username) {
-    bot.chat(`Error executing command: ${error.message}`);
+  onError(error, bot, username, context) {
+    const reply = context?.reply || (message => bot.chat(message));
+    reply(`Error executing command: ${error.message}`);
   }
 }
 
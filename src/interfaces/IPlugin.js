@@ -1,8 +1,22 @@
+import ICommand from './ICommand.js';
+import PluginCommand from '../core/PluginCommand.js';
+import StateManager from '../core/StateManager.js';
+
 /**
  * IPlugin - Base interface that all plugins must extend
  * Enforces standardized methods for plugin lifecycle management
  */
 class IPlugin {
+  /**
+   * Plugins that must load first; this plugin is skipped if any of them is missing or fails
+   */
+  static dependencies = [];
+
+  /**
+   * Plugins that load first when present, but are not required
+   */
+  static optionalDependencies = [];
+
   constructor(name, bot, config = {}) {
     if (new.target === IPlugin) {
       throw new Error('Cannot instantiate abstract class IPlugin directly');
@@ -13,6 +27,13 @@ class IPlugin {
     this.config = config;
     this.isLoaded = false;
     this.events = new Map();
+    this.commands = new Map();
+
+    // Counters kept here are saved by the StateStore and survive restarts and reloads
+    this.store = (bot?.stateManager || new StateManager()).createNamespace(`plugins.${name}`, { persist: true });
+
+    // Default reply target for command helpers invoked outside a command
+    this.say = message => this.bot.chat(message);
   }
 
   /**
@@ -59,6 +80,56 @@ class IPlugin {
     this.events.clear();
   }
 
+  /**
+   * Register a chat command with the bot's command registry
+   * @param {ICommand|Object} definition - ICommand instance or PluginCommand definition
+   */
+  registerCommand(definition) {
+    const registry = this.bot.commandRegistry;
+    if (!registry) {
+      throw new Error(`${this.name}: command registry not available`);
+    }
+
+    const command = definition instanceof ICommand ? definition : new PluginCommand(definition, this);
+    registry.register(command, this.name);
+    this.commands.set(command.name, command);
+    return command;
+  }
+
+  /**
+   * Unregister a specific chat command
+   */
+  unregisterCommand(name) {
+    if (this.commands.has(name)) {
+      this.bot.commandRegistry?.unregister(name);
+      this.commands.delete(name);
+    }
+  }
+
+  /**
+   * Unregister all chat commands
+   */
+  unregisterAllCommands() {
+    for (const name of this.commands.keys()) {
+      this.bot.commandRegistry?.unregister(name);
+    }
+    this.commands.clear();
+  }
+
+  /**
+   * Ask for control of the bot's movement (see core/MovementArbiter.js)
+   * Leases the plugin still holds when it unloads are released by the PluginLoader.
+   * @param {Object} options - { priority, label, onSuspend, onResume }
+   * @returns {MovementLease}
+   */
+  acquireMovement(options = {}) {
+    const arbiter = this.bot.movementArbiter;
+    if (!arbiter) {
+      throw new Error(`${this.name}: movement arbiter not available`);
+    }
+    return arbiter.acquire(this.name, options);
+  }
+
   /**
    * Get plugin status
    */
@@ -66,7 +137,8 @@ class IPlugin {
     return {
       name: this.name,
       isLoaded: this.isLoaded,
-      eventCount: this.events.size
+      eventCount: this.events.size,
+      commandCount: this.commands.size
     };
   }
 
@@ -84,8 +156,35 @@ class IPlugin {
     // Optional override
   }
 
+  /**
+   * Lifecycle hook - called after a reconnect, once the new bot has spawned.
+   * The plugin instance and its state survive; the default moves handlers added with
+   * registerEvent() to the new bot. Override to rebind other bot-bound resources and
+   * restart interrupted activities, calling super first.
+   */
+  async onBotReplaced(newBot) {
+    for (const [eventName, handler] of this.events) {
+      this.bot.removeListener(eventName, handler);
+      newBot.on(eventName, handler);
+    }
+    this.bot = newBot;
+  }
+
+  /**
+   * Lifecycle hook - called when a plugin listed in dependencies or optionalDependencies
+   * is loaded, reloaded or unloaded at runtime. `plugin` is the new instance, or null.
+   */
+  onDependencyChanged(name, plugin) {
+    // Optional override
+  }
+
   /**
    * Update plugin configuration
+   * Called when settings.json or waypoints.json is edited while running, if the plugin
+   * reads a changed section. Override to apply values copied into fields at construction.
+   * Overrides receive a second argument describing the reload:
+   * { file: 'settings'|'waypoints', sections, changes: [{ path, from, to }] }
+   * @param {Object} newConfig - The plugin's own settings section
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
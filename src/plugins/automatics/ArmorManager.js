@@ -1,6 +1,8 @@
 import BaseBehaviorPlugin from '../base/_BaseBehaviorPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import armorManagerPkg from 'mineflayer-armor-manager';
+
+const logger = rootLogger.child({ plugin: 'ArmorManager' });
 const armorManager = armorManagerPkg.default || armorManagerPkg;
 
 /**
@@ -1,16 +1,28 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
-import ChatParser from '../../utils/ChatParser.js';
+import rootLogger from '../../utils/Logger.js';
 import minecraftData from 'minecraft-data';
 import { BehaviorIdle } from '../core/StateMachine.js';
 import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
 
+const logger = rootLogger.child({ plugin: 'AutoEat' });
+
 class AutoEat extends IPlugin {
+  static dependencies = ['Navigation'];
+  static optionalDependencies = ['StateMachine'];
+
+  static configSchema = {
+    autoEat: {
+      properties: {
+        threshold: { type: 'integer', min: 0, max: 20, default: 14 },
+        healthPanic: { type: 'integer', min: 0, max: 20, default: 10 }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('AutoEat', bot, config);
     this.pluginLoader = null;
     this.navigation = null;
-    this.sugarPlugin = null;
     this.interval = null;
     this.isEating = false;
     this.threshold = config.threshold ?? 14; // start eating if food < 14 (7 shanks)
@@ -52,11 +64,10 @@ class AutoEat extends IPlugin {
 
   async load() {
     try {
-      const botClient = await getBotClient();
+      const botClient = await getBotClient(this.bot);
       this.pluginLoader = botClient.getPluginLoader();
 
       this.navigation = this.pluginLoader.getPlugin('Navigation');
-      this.sugarPlugin = this.pluginLoader.getPlugin('SugarcaneFarm');
       this.mcData = minecraftData(this.bot.version);
 
       // Ensure 'eating' state exists for observability
@@ -80,7 +91,7 @@ class AutoEat extends IPlugin {
         this.checkAndEat().catch(err => logger.debug(`AutoEat error: ${err.message}`));
       }, 2000);
 
-      this.registerEvent('chat', this.handleChat.bind(this));
+      this.registerCommands();
 
       this.isLoaded = true;
       logger.success('AutoEat plugin loaded');
@@ -96,27 +107,27 @@ class AutoEat extends IPlugin {
     this.isLoaded = false;
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    const parsed = ChatParser.parseCommand(message, this.bot.config.behavior?.chatCommandPrefix || '!');
-    if (!parsed || parsed.command !== 'eat') return;
-
-    logger.debug(`AutoEat received command: ${parsed.command} ${parsed.args.join(' ')} from ${username}`);
-    
-    const subCommand = parsed.args[0];
-
-    if (subCommand === 'now') {
-      await this.checkAndEat(true);
-    } else if (subCommand === 'threshold') {
-      const val = parseInt(parsed.args[1]);
-      if (!isNaN(val) && val >= 0 && val <= 20) {
-        this.threshold = val;
-        this.bot.chat(`Eat threshold set to ${val}`);
-      } else {
-        this.bot.chat('Usage: !eat threshold <0-20>');
+  registerCommands() {
+    this.registerCommand({
+      name: 'eat',
+      description: 'Eat now or change the hunger threshold',
+      subcommands: {
+        now: () => this.checkAndEat(true),
+        threshold: {
+          usage: 'threshold <0-20>',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply }) => {
+            const val = parseInt(args[0]);
+            if (!isNaN(val) && val >= 0 && val <= 20) {
+              this.threshold = val;
+              reply(`Eat threshold set to ${val}`);
+            } else {
+              reply(`Usage: ${this.bot.commandRegistry.prefix}eat threshold <0-20>`);
+            }
+          }
+        }
       }
-    }
+    });
   }
 
   needsFood() {
@@ -163,27 +174,22 @@ class AutoEat extends IPlugin {
 
     this.isEating = true;
 
-    // Pause states similar to deposit
-    const wasFarming = !!(this.sugarPlugin && this.sugarPlugin.isFarming);
+    // Stand still while eating; whatever was moving carries on afterwards
+    const lease = this.acquireMovement({ priority: 'eating', label: 'eating' });
+    // The lease only stops leased movement; collectBlock and pvp set goals of their own
+    lease.whenActive()
+      .then(() => {
+        if (this.isEating) this.bot.pathfinder?.setGoal(null);
+      })
+      .catch(() => {});
     try {
       this.bot.memory = this.bot.memory || {};
       this.bot.memory.isEating = true;
 
-      if (this.sugarPlugin && this.sugarPlugin.isFarming) {
-        this.sugarPlugin.stopFarming();
-      }
-      if (this.navigation && typeof this.navigation.stop === 'function') {
-        this.navigation.stop(true);
-      }
       if (this.bot.stateMachine) {
         this.bot.stateMachine.setState('eating', true);
       }
 
-      // Ensure not moving
-      if (this.bot.pathfinder) {
-        this.bot.pathfinder.setGoal(null);
-      }
-
       // Equip and consume
       await this.bot.equip(food, 'hand');
       // small settle delay
@@ -191,7 +197,10 @@ class AutoEat extends IPlugin {
       await this.bot.consume();
       await sleep(200);
 
-      logger.info(`Ate ${this.mcData.items[food.type]?.name || 'food'}`);
+      const foodName = this.mcData.items[food.type]?.name || 'food';
+      this.store.incrementState('foodsEaten');
+      this.bot.emit('foodEaten', { plugin: this.name, item: foodName });
+      logger.info(`Ate ${foodName}`);
     } catch (err) {
       logger.error('AutoEat failed', err);
     } finally {
@@ -200,13 +209,25 @@ class AutoEat extends IPlugin {
       if (this.bot.stateMachine) {
         this.bot.stateMachine.setState('idle', true);
       }
-      // Resume farming if it was active prior
-      if (wasFarming && this.sugarPlugin && typeof this.sugarPlugin.startFarming === 'function') {
-        await this.sugarPlugin.startFarming();
-      }
+      lease.release();
     }
   }
 
+  /**
+   * Swap in a reloaded Navigation instance
+   */
+  onDependencyChanged(name, plugin) {
+    if (name === 'Navigation') {
+      this.navigation = plugin;
+    }
+  }
+
+  updateConfig(newConfig) {
+    super.updateConfig(newConfig);
+    this.threshold = this.config.threshold ?? 14;
+    this.healthPanic = this.config.healthPanic ?? 10;
+  }
+
   getStatus() {
     return {
       ...super.getStatus(),
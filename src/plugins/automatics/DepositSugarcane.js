@@ -1,5 +1,5 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import minecraftData from 'minecraft-data';
 import fs from 'fs';
 import path from 'path';
@@ -7,12 +7,26 @@ import { fileURLToPath } from 'url';
 import { Vec3 } from 'vec3';
 import { BehaviorIdle } from '../core/StateMachine.js';
 import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
-import { loadChestArea } from '../../utils/helpers/waypointsHelper.js';
+
+const logger = rootLogger.child({ plugin: 'DepositSugarcane' });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class DepositSugarcane extends IPlugin {
+  static dependencies = ['Navigation', 'SugarcaneFarm'];
+  static optionalDependencies = ['StateMachine'];
+
+  static configSchema = {
+    depositSugarcane: {
+      properties: {
+        threshold: { type: 'integer', min: 1, default: 64 },
+        // Region (areas section of waypoints.json) holding the chests
+        chestRegion: { type: 'string', minLength: 1, default: 'sugarcane_chest_area' }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('DepositSugarcane', bot, config);
     this.pluginLoader = null;
@@ -21,6 +35,7 @@ class DepositSugarcane extends IPlugin {
     this.checkInterval = null;
     this.isBusyDepositing = false;
     this.isFarming = false; // Compatibility with AutomationControl
+    this.lease = null; // Movement lease held while depositing
     this.threshold = config.threshold ?? 64; // default stack
     this.mcData = null;
     this.fullChests = new Set(); // Track full chests
@@ -35,7 +50,7 @@ class DepositSugarcane extends IPlugin {
       if (typeof this.bot.setMaxListeners === 'function') {
         this.bot.setMaxListeners(50);
       }
-      const botClient = await getBotClient();
+      const botClient = await getBotClient(this.bot);
       this.pluginLoader = botClient.getPluginLoader();
 
       this.navigation = this.pluginLoader.getPlugin('Navigation');
@@ -79,7 +94,13 @@ class DepositSugarcane extends IPlugin {
       }, 120000);
 
       // Optional chat command
-      this.registerEvent('chat', this.handleChat.bind(this));
+      this.registerCommand({
+        name: 'deposit',
+        description: 'Deposit sugarcane into the chest area',
+        subcommands: {
+          now: () => this.monitorAndDeposit(true)
+        }
+      });
 
       this.isLoaded = true;
       logger.success('DepositSugarcane plugin loaded');
@@ -89,6 +110,18 @@ class DepositSugarcane extends IPlugin {
     }
   }
 
+  /**
+   * Abort a deposit cut short by the disconnect; the monitor starts a new one on the
+   * new bot, and full-chest markers and counters carry over
+   */
+  async onBotReplaced(newBot) {
+    if (this.isBusyDepositing) {
+      logger.info('Deposit interrupted by reconnect, it will restart on the new bot');
+      this.stopFarming();
+    }
+    await super.onBotReplaced(newBot);
+  }
+
   async unload() {
     if (this.checkInterval) {
       clearInterval(this.checkInterval);
@@ -103,13 +136,6 @@ class DepositSugarcane extends IPlugin {
     logger.info('DepositSugarcane plugin unloaded');
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    if (message === '!deposit now') {
-      await this.monitorAndDeposit(true);
-    }
-  }
-
   async startFarming() {
     this.isFarming = true;
     // The routine is normally handled by the 4s interval, 
@@ -145,10 +171,12 @@ class DepositSugarcane extends IPlugin {
     const count = this.getSugarcaneCount();
     if (!force && count < this.threshold) return;
 
-    // Resolve chest area from waypoints
-    const chestArea = loadChestArea('sugarcane_chest_area');
-    if (!chestArea) {
-      logger.warn('No sugarcane_chest_area.area_radius defined in waypoints.json');
+    // Resolve the chest region by name, so edits to it apply right away
+    const regionName = this.config.chestRegion || 'sugarcane_chest_area';
+    if (!this.navigation) this.navigation = this.pluginLoader.getPlugin('Navigation');
+    const chestRegion = this.navigation?.getRegion(regionName);
+    if (!chestRegion) {
+      logger.warn(`No chest region '${regionName}' defined in waypoints.json`);
       return;
     }
 
@@ -159,15 +187,13 @@ class DepositSugarcane extends IPlugin {
       this.bot.memory = this.bot.memory || {};
       this.bot.memory.isDepositing = true;
 
-      // Pause farming if active and stop navigation
+      // Pause farming if active; patrols wait for the lease, player commands keep priority
       let shouldResume = false;
       if (this.sugarPlugin && this.sugarPlugin.isFarming) {
         shouldResume = true;
         this.sugarPlugin.stopFarming();
       }
-      if (this.navigation && typeof this.navigation.stop === 'function') {
-        this.navigation.stop(true); // silent stop
-      }
+      this.lease = this.acquireMovement({ priority: 'task', label: 'depositing sugarcane' });
       if (this.bot.stateMachine) {
         // Switch to depositing state for observability
         this.bot.stateMachine.setState('depositing', true);
@@ -179,11 +205,11 @@ class DepositSugarcane extends IPlugin {
       let noChestAttempts = 0;
       while (this.isFarming && this.getSugarcaneCount() >= (this.threshold || 64)) {
         // Ensure we are inside the chest area before scanning (no aborting)
-        await this.ensureInChestArea(chestArea.center, chestArea.radius || 5);
+        await this.ensureInChestArea(chestRegion);
         if (!this.isFarming) break;
 
-        // Find a nearby chest within radius (excluding full ones)
-        const chestBlock = this.findNearestChest(chestArea.center, chestArea.radius);
+        // Find a nearby chest in the region (excluding full ones)
+        const chestBlock = this.findNearestChest(chestRegion);
         if (!chestBlock) {
           noChestAttempts++;
           if (noChestAttempts >= 3) {
@@ -204,13 +230,27 @@ class DepositSugarcane extends IPlugin {
 
         const countBefore = this.getSugarcaneCount();
         const chestKey = `${chestBlock.position.x},${chestBlock.position.y},${chestBlock.position.z}`;
-        const depositedAny = await this.depositToChest(chestBlock);
+
+        // Another fleet bot may have picked the same chest at the same moment
+        const coordination = this.bot.coordination;
+        if (coordination && !coordination.claim(`chest:${chestKey}`)) {
+          await sleep(300);
+          continue;
+        }
+
+        let depositedAny;
+        try {
+          depositedAny = await this.depositToChest(chestBlock);
+        } finally {
+          coordination?.release(`chest:${chestKey}`);
+        }
         const countAfter = this.getSugarcaneCount();
         
         // Check if deposit was successful
         if (!depositedAny || (countBefore === countAfter && countAfter > 0)) {
           // No items were deposited, chest is full
           this.fullChests.add(chestKey);
+          this.bot.coordination?.markChestFull(chestKey);
           logger.warn(`Chest at ${chestKey} is full, marking and finding another chest`);
           continue; // Skip to next iteration to find another chest
         }
@@ -220,12 +260,17 @@ class DepositSugarcane extends IPlugin {
           noChestAttempts = 0;
           this.lastFullChestTime = 0; // Reset cooldown on success
           logger.debug(`Successfully deposited ${countBefore - countAfter} sugarcane`);
+          this.store.incrementState('depositCount');
+          this.store.incrementState('itemsDeposited', countBefore - countAfter);
+          this.store.setState('lastDepositAt', Date.now());
+          this.bot.emit('deposit', { plugin: this.name, item: 'sugar_cane', count: countBefore - countAfter, chest: chestKey });
         }
         
         await sleep(300);
       }
 
-      // Resume farming only after inventory is below threshold
+      // Resume farming only after inventory is below threshold; the farm needs the lease to move
+      this.lease.release();
       if (shouldResume && this.sugarPlugin && typeof this.sugarPlugin.startFarming === 'function') {
         await this.sugarPlugin.startFarming();
       }
@@ -234,6 +279,8 @@ class DepositSugarcane extends IPlugin {
     } finally {
       this.isBusyDepositing = false;
       this.isFarming = false;
+      this.lease?.release();
+      this.lease = null;
       if (this.bot.memory) this.bot.memory.isDepositing = false;
       if (this.bot.stateMachine) {
         this.bot.stateMachine.setState('idle', true);
@@ -241,33 +288,26 @@ class DepositSugarcane extends IPlugin {
     }
   }
 
-  findNearestChest(center, radius) {
+  findNearestChest(region) {
     const chestId = this.bot.registry.blocksByName?.chest?.id;
     const trappedChestId = this.bot.registry.blocksByName?.trapped_chest?.id;
     const barrelId = this.bot.registry.blocksByName?.barrel?.id;
 
-    // Scan cube around center
-    const positions = [];
-    for (let dx = -radius; dx <= radius; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dz = -radius; dz <= radius; dz++) {
-          positions.push({ x: center.x + dx, y: center.y + dy, z: center.z + dz });
-        }
-      }
-    }
-
     let best = null;
     let bestDist = Infinity;
-    for (const pos of positions) {
-      const v = new Vec3(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z));
+    for (const pos of region.blocks()) {
+      const v = new Vec3(pos.x, pos.y, pos.z);
       const block = this.bot.blockAt(v);
       if (!block) continue;
       if (block.type === chestId || block.type === trappedChestId || block.type === barrelId) {
-        // Skip chests marked as full
+        // Skip chests marked as full, here or by another fleet bot, and chests another bot is using
         const chestKey = `${block.position.x},${block.position.y},${block.position.z}`;
         if (this.fullChests.has(chestKey)) {
           continue;
         }
+        if (this.bot.coordination?.isChestFull(chestKey) || this.bot.coordination?.isClaimedByOther(`chest:${chestKey}`)) {
+          continue;
+        }
         
         const dist = this.bot.entity.position.distanceTo(block.position);
         if (dist < bestDist) {
@@ -279,52 +319,21 @@ class DepositSugarcane extends IPlugin {
     return best;
   }
 
-  async ensureInChestArea(center, radius) {
-    // Keep trying until within radius + 1
+  async ensureInChestArea(region) {
+    const center = region.center();
+    // Keep trying until inside the region, or next to its center when that is a spot the bot cannot stand on
     let attempts = 0;
     while (this.isFarming && attempts < 20) { // Safety limit instead of true
-      const dist = this.bot.entity.position.distanceTo(new Vec3(center.x, center.y, center.z));
-      if (dist <= radius + 1) return; // reached area
+      const position = this.bot.entity.position;
+      if (region.contains(position) || position.distanceTo(new Vec3(center.x, center.y, center.z)) <= 2) return; // reached area
       attempts++;
 
-      // Temporarily switch to idle to allow navigation
-      const wasDepositing = this.bot.stateMachine?.getState() === 'depositing';
-      if (wasDepositing) {
-        this.bot.stateMachine.setState('idle', true);
-      }
-
-      // Refresh navigation
-      if (!this.navigation) this.navigation = this.pluginLoader.getPlugin('Navigation');
-
+      // The deposit lease moves the bot without leaving the depositing state
       try {
-        if (this.navigation && typeof this.navigation.gotoCoords === 'function') {
-          await this.navigation.gotoCoords(center.x, center.y, center.z, true);
-        } else {
-          throw new Error('Navigation plugin not available');
-        }
+        await this.lease.goto(center.x, center.y, center.z, 2);
       } catch (e) {
         if (!this.isFarming) return;
-        // Fallback using pathfinder goal
-        try {
-          const pfMod = await import('mineflayer-pathfinder');
-          const mp = pfMod.default || pfMod;
-          if (!this.bot.pathfinder) {
-            const { default: PathfinderUtil } = await import('../../utils/Pathfinder.js');
-            const pf = new PathfinderUtil(this.bot, {});
-            pf.initialize();
-          }
-          const goal = new mp.goals.GoalNear(center.x, center.y, center.z, Math.max(2, Math.min(5, radius)));
-          this.bot.pathfinder.setGoal(goal);
-          await sleep(3000);
-          this.bot.pathfinder.setGoal(null);
-        } catch (pfErr) {
-          logger.warn(`ensureInChestArea fallback failed: ${pfErr.message}`);
-        }
-      }
-
-      // Switch back to depositing
-      if (wasDepositing) {
-        this.bot.stateMachine.setState('depositing', true);
+        logger.debug(`Could not reach the chest area: ${e.message}`);
       }
 
       if (attempts > 5) {
@@ -332,12 +341,10 @@ class DepositSugarcane extends IPlugin {
         const pos = this.bot.entity.position;
         const nudge = new Vec3(pos.x + (Math.random() - 0.5) * 2, pos.y, pos.z + (Math.random() - 0.5) * 2);
         try {
-          const pfMod = await import('mineflayer-pathfinder');
-          const mp = pfMod.default || pfMod;
-          const goal = new mp.goals.GoalNear(nudge.x, nudge.y, nudge.z, 1);
-          this.bot.pathfinder.setGoal(goal);
-          await sleep(1200);
-          this.bot.pathfinder.setGoal(null);
+          await this.lease.run((pathfinder, token) => {
+            setTimeout(() => token.cancel('Nudge over'), 1200);
+            return pathfinder.goto(nudge.x, nudge.y, nudge.z, 1, { token });
+          });
         } catch (e) {
           // Ignore nudge errors
         }
@@ -348,28 +355,15 @@ class DepositSugarcane extends IPlugin {
   }
 
   async depositToChest(chestBlock) {
-    // Temporarily switch to idle to allow navigation
-    const wasDepositing = this.bot.stateMachine?.getState() === 'depositing';
-    if (wasDepositing) {
-      this.bot.stateMachine.setState('idle', true);
-    }
-
     // Move close to chest first
     try {
-      if (this.navigation && typeof this.navigation.gotoCoords === 'function') {
-        await this.navigation.gotoCoords(chestBlock.position.x, chestBlock.position.y, chestBlock.position.z, true);
-      }
+      await this.lease.goto(chestBlock.position.x, chestBlock.position.y, chestBlock.position.z);
     } catch (e) {
       logger.debug(`Navigation to chest failed: ${e.message}`);
     }
 
     if (!this.isFarming) return;
 
-    // Switch back to depositing
-    if (wasDepositing) {
-      this.bot.stateMachine.setState('depositing', true);
-    }
-
     // Open container
     let container = null;
     try {
@@ -491,11 +485,31 @@ class DepositSugarcane extends IPlugin {
     }
   }
 
+  /**
+   * Swap in reloaded Navigation and SugarcaneFarm instances
+   */
+  onDependencyChanged(name, plugin) {
+    if (name === 'Navigation') {
+      this.navigation = plugin;
+    } else if (name === 'SugarcaneFarm') {
+      this.sugarPlugin = plugin;
+    }
+  }
+
+  updateConfig(newConfig) {
+    super.updateConfig(newConfig);
+    this.threshold = this.config.threshold ?? 64;
+  }
+
   getStatus() {
     return {
       ...super.getStatus(),
       threshold: this.threshold,
-      isBusyDepositing: this.isBusyDepositing
+      isBusyDepositing: this.isBusyDepositing,
+      depositCount: this.store.getState('depositCount', 0),
+      itemsDeposited: this.store.getState('itemsDeposited', 0),
+      lastDepositAt: this.store.getState('lastDepositAt', null),
+      fullChests: this.fullChests.size
     };
   }
 }
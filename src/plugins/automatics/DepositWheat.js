@@ -1,16 +1,37 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import minecraftData from 'minecraft-data';
 import { Vec3 } from 'vec3';
 import { BehaviorIdle } from '../core/StateMachine.js';
-import ChatParser from '../../utils/ChatParser.js';
 import AutomationControl from '../../utils/AutomationControl.js';
 import { getBotClient } from '../../utils/helpers/asyncHelpers.js';
 
+const logger = rootLogger.child({ plugin: 'DepositWheat' });
+
 /**
  * DepositWheat Plugin - Automatically deposits wheat into a specific chest
  */
 class DepositWheat extends IPlugin {
+  static dependencies = ['Navigation'];
+  static optionalDependencies = ['StateMachine'];
+
+  static configSchema = {
+    depositWheat: {
+      properties: {
+        threshold: { type: 'integer', min: 1, default: 64 },
+        depositPos: {
+          type: 'object',
+          required: true,
+          properties: {
+            x: { type: 'number', required: true },
+            y: { type: 'number', required: true },
+            z: { type: 'number', required: true }
+          }
+        }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('DepositWheat', bot, config);
     this.pluginLoader = null;
@@ -18,6 +39,7 @@ class DepositWheat extends IPlugin {
     this.automationControl = null;
     this.checkInterval = null;
     this.isBusyDepositing = false;
+    this.lease = null; // Movement lease held while depositing
     this.threshold = config.threshold ?? 64;
     this.depositPos = config.depositPos ? new Vec3(config.depositPos.x, config.depositPos.y, config.depositPos.z) : new Vec3(67, 68, 39);
     this.mcData = null;
@@ -25,7 +47,7 @@ class DepositWheat extends IPlugin {
 
   async load() {
     try {
-      const botClient = await getBotClient();
+      const botClient = await getBotClient(this.bot);
       this.pluginLoader = botClient.getPluginLoader();
 
       this.navigation = this.pluginLoader.getPlugin('Navigation');
@@ -61,7 +83,7 @@ class DepositWheat extends IPlugin {
         this.monitorAndDeposit().catch(err => logger.debug(`Wheat deposit error: ${err.message}`));
       }, 10000);
 
-      this.registerEvent('chat', this.handleChat.bind(this));
+      this.registerCommands();
 
       this.isLoaded = true;
       logger.success('DepositWheat plugin loaded');
@@ -71,29 +93,41 @@ class DepositWheat extends IPlugin {
     }
   }
 
+  /**
+   * A deposit cut short by the disconnect finishes through its own error handling
+   */
+  async onBotReplaced(newBot) {
+    await super.onBotReplaced(newBot);
+    this.automationControl.bot = newBot;
+  }
+
   async unload() {
     if (this.checkInterval) clearInterval(this.checkInterval);
     this.unregisterAllEvents();
     this.isLoaded = false;
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    const parsed = ChatParser.parseCommand(message, this.bot.config.behavior?.chatCommandPrefix || '!');
-    if (!parsed || parsed.command !== 'deposit_wheat') return;
-
-    if (parsed.args[0] === 'now') {
-      await this.monitorAndDeposit(true);
-    } else if (parsed.args[0] === 'pos' && parsed.args.length >= 4) {
-      const x = parseInt(parsed.args[1]);
-      const y = parseInt(parsed.args[2]);
-      const z = parseInt(parsed.args[3]);
-      if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-        this.depositPos = new Vec3(x, y, z);
-        this.bot.chat(`Wheat deposit position set to ${x}, ${y}, ${z}`);
+  registerCommands() {
+    this.registerCommand({
+      name: 'deposit_wheat',
+      description: 'Deposit wheat now or set the deposit chest',
+      subcommands: {
+        now: () => this.monitorAndDeposit(true),
+        pos: {
+          usage: 'pos <x> <y> <z>',
+          minArgs: 3,
+          handler: (username, args, rawArgs, { reply }) => {
+            const x = parseInt(args[0]);
+            const y = parseInt(args[1]);
+            const z = parseInt(args[2]);
+            if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
+              this.depositPos = new Vec3(x, y, z);
+              reply(`Wheat deposit position set to ${x}, ${y}, ${z}`);
+            }
+          }
+        }
       }
-    }
+    });
   }
 
   getWheatCount() {
@@ -118,17 +152,16 @@ class DepositWheat extends IPlugin {
       this.bot.memory = this.bot.memory || {};
       this.bot.memory.isDepositing = true;
 
-      // Pause all active automation
+      // Pause all active automation and take over its movement
       this.automationControl.pauseAll();
+      this.lease = this.acquireMovement({ priority: 'task', label: 'depositing wheat' });
 
       if (this.bot.stateMachine) {
         this.bot.stateMachine.setState('depositing_wheat', true);
       }
 
       // Move to chest
-      if (this.navigation) {
-        await this.navigation.gotoCoords(this.depositPos.x, this.depositPos.y, this.depositPos.z, true);
-      }
+      await this.lease.goto(this.depositPos.x, this.depositPos.y, this.depositPos.z);
 
       const chestBlock = this.bot.blockAt(this.depositPos);
       if (chestBlock && (chestBlock.name === 'chest' || chestBlock.name === 'barrel' || chestBlock.name === 'trapped_chest')) {
@@ -137,13 +170,16 @@ class DepositWheat extends IPlugin {
         logger.warn(`No chest found at wheat deposit position ${this.depositPos}`);
       }
 
-      // Resume previously active automation
+      // Resume previously active automation once it can move again
+      this.lease.release();
       await this.automationControl.resumeAll();
 
     } catch (err) {
       logger.error('Wheat deposit failed', err);
     } finally {
       this.isBusyDepositing = false;
+      this.lease?.release();
+      this.lease = null;
       this.bot.memory.isDepositing = false;
       if (this.bot.stateMachine) {
         this.bot.stateMachine.setState('idle', true);
@@ -158,17 +194,54 @@ class DepositWheat extends IPlugin {
       const wheatItem = this.mcData.itemsByName['wheat'];
       const stacks = this.bot.inventory.items().filter(i => i.type === wheatItem.id);
       
+      let deposited = 0;
       for (const stack of stacks) {
         await container.deposit(stack.type, null, stack.count);
+        deposited += stack.count;
         await new Promise(r => setTimeout(r, 200));
       }
       logger.success('Wheat deposited successfully');
+      this.store.incrementState('depositCount');
+      this.store.incrementState('itemsDeposited', deposited);
+      this.store.setState('lastDepositAt', Date.now());
+      const { x, y, z } = chestBlock.position;
+      this.bot.emit('deposit', { plugin: this.name, item: 'wheat', count: deposited, chest: `${x},${y},${z}` });
     } catch (err) {
       logger.error('Error during wheat deposit', err);
     } finally {
       if (container) await container.close();
     }
   }
+
+  /**
+   * Swap in a reloaded Navigation instance
+   */
+  onDependencyChanged(name, plugin) {
+    if (name === 'Navigation') {
+      this.navigation = plugin;
+    }
+  }
+
+  updateConfig(newConfig) {
+    super.updateConfig(newConfig);
+    this.threshold = this.config.threshold ?? 64;
+    if (this.config.depositPos) {
+      this.depositPos = new Vec3(this.config.depositPos.x, this.config.depositPos.y, this.config.depositPos.z);
+    }
+    logger.info(`DepositWheat settings updated - deposit at ${this.depositPos}, threshold ${this.threshold}`);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      threshold: this.threshold,
+      depositPos: this.depositPos,
+      isBusyDepositing: this.isBusyDepositing,
+      depositCount: this.store.getState('depositCount', 0),
+      itemsDeposited: this.store.getState('itemsDeposited', 0),
+      lastDepositAt: this.store.getState('lastDepositAt', null)
+    };
+  }
 }
 
 export default DepositWheat;
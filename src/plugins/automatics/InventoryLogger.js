@@ -1,19 +1,25 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getDataPath } from '../../utils/helpers/fileHelpers.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const logger = rootLogger.child({ plugin: 'InventoryLogger' });
 
 class InventoryLogger extends IPlugin {
+  static configSchema = {
+    inventoryLogger: {
+      properties: {
+        periodMs: { type: 'integer', min: 1000, default: 10000 }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('InventoryLogger', bot, config);
     this.interval = null;
     this.periodMs = config.periodMs ?? 10000; // every 10s
     this.lastSnapshotKey = null;
-    this.filePath = path.join(__dirname, '../../../data/inventory_log.json');
+    this.filePath = getDataPath(bot, 'inventory_log.json');
   }
 
   async load() {
@@ -1,6 +1,8 @@
 import BaseBehaviorPlugin from '../base/_BaseBehaviorPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import toolPluginPkg from 'mineflayer-tool';
+
+const logger = rootLogger.child({ plugin: 'ToolManager' });
 const toolPlugin = toolPluginPkg.plugin || toolPluginPkg.default || toolPluginPkg;
 
 /**
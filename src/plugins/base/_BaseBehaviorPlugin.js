@@ -8,6 +8,8 @@ const { BehaviorIdle } = mineflayerStateMachine;
  * BaseBehaviorPlugin - Base class for plugins that use the State Machine
  */
 class BaseBehaviorPlugin extends IPlugin {
+  static optionalDependencies = ['StateMachine'];
+
   constructor(name, bot, config = {}) {
     super(name, bot, config);
     this.stateMachine = null;
@@ -29,6 +31,11 @@ class BaseBehaviorPlugin extends IPlugin {
     // To be implemented by subclasses
   }
 
+  async onBotReplaced(newBot) {
+    await super.onBotReplaced(newBot);
+    this.stateMachine = newBot.stateMachine;
+  }
+
   async unload() {
     this.unregisterAllEvents();
     this.isLoaded = false;
@@ -1,15 +1,51 @@
 import BaseBehaviorPlugin from '../base/_BaseBehaviorPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
+import { Vec3 } from 'vec3';
 import { filterTargets } from '../../utils/targets.js';
 
+const logger = rootLogger.child({ plugin: 'CombatManager' });
+
 /**
  * CombatManager Plugin - Handles combat and target management
  */
 class CombatManager extends BaseBehaviorPlugin {
+  static configSchema = {
+    combatManager: {
+      properties: {
+        autoCombat: { type: 'boolean' }
+      }
+    },
+    combat: {
+      properties: {
+        autoRetaliate: { type: 'boolean', default: true },
+        callForHelp: { type: 'boolean', default: true },
+        answerHelp: { type: 'boolean', default: true },
+        helpRadius: { type: 'number', min: 1, default: 64 },
+        // Only attack targets inside this region (areas section of waypoints.json)
+        guardRegion: { type: 'string', minLength: 1 }
+      }
+    },
+    hostilePlayer: {
+      properties: {
+        autoAttack: { type: 'boolean', default: false },
+        useMelee: { type: 'boolean', default: true },
+        useLongRange: { type: 'boolean', default: false },
+        target: { type: 'array', default: [], items: { type: 'string', minLength: 1 } }
+      }
+    },
+    features: {
+      properties: {
+        autoCombat: { type: 'boolean' }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('CombatManager', bot, config);
     this.isInCombat = false;
     this.currentTarget = null;
+    // Movement lease held while fighting; pvp and hawkEye steer the pathfinder themselves
+    this.combatLease = null;
     this.hostileMobs = [
       'zombie', 'skeleton', 'creeper', 'spider', 'enderman',
       'witch', 'slime', 'phantom', 'drowned', 'husk',
@@ -19,14 +55,12 @@ class CombatManager extends BaseBehaviorPlugin {
     // Check both plugin-specific config and global features config
     this.autoAttack = config.autoCombat || this.bot.config?.features?.autoCombat || false;
 
-    // Hostile player settings from config
-    this.hostilePlayers = this.bot.config?.hostilePlayer?.target || [];
     this.autoAttackHostile = this.bot.config?.hostilePlayer?.autoAttack || false;
-    this.useMelee = this.bot.config?.hostilePlayer?.useMelee !== false;
-    this.useLongRange = this.bot.config?.hostilePlayer?.useLongRange || false;
-
-    // Auto-retaliate when hurt (works on any attacker - mobs or players)
-    this.autoRetaliate = this.bot.config?.combat?.autoRetaliate !== false; // Default true
+    this.guardRegion = this.bot.config?.combat?.guardRegion || null;
+    this.missingGuardRegion = null;
+    this.readSettings();
+    this.helpRequest = null;
+    this.unsubscribeHelp = null;
 
     this.combatInterval = null;
     this.combatMode = 'melee'; // 'melee' or 'ranged'
@@ -36,6 +70,46 @@ class CombatManager extends BaseBehaviorPlugin {
     this.bloodhoundHandled = false;
   }
 
+  /**
+   * Read the settings that can change while running
+   * The attack toggles are left alone because chat commands change them too.
+   */
+  readSettings() {
+    // Hostile player settings from config
+    this.hostilePlayers = this.bot.config?.hostilePlayer?.target || [];
+    this.useMelee = this.bot.config?.hostilePlayer?.useMelee !== false;
+    this.useLongRange = this.bot.config?.hostilePlayer?.useLongRange || false;
+
+    // Auto-retaliate when hurt (works on any attacker - mobs or players)
+    this.autoRetaliate = this.bot.config?.combat?.autoRetaliate !== false; // Default true
+
+    // Ask fleet bots for help when attacked, and go help them (coordination bus)
+    this.callForHelp = this.bot.config?.combat?.callForHelp !== false;
+    this.answerHelp = this.bot.config?.combat?.answerHelp !== false;
+    this.helpRadius = this.bot.config?.combat?.helpRadius || 64;
+  }
+
+  /**
+   * Apply edited combat settings; the toggles follow the file only when their own line changed
+   */
+  updateConfig(newConfig, change) {
+    super.updateConfig(newConfig);
+    this.readSettings();
+
+    const changed = new Set(change?.changes.map(entry => entry.path) || []);
+    if (changed.has('hostilePlayer.autoAttack')) {
+      this.autoAttackHostile = this.bot.config?.hostilePlayer?.autoAttack || false;
+    }
+    if (changed.has('features.autoCombat') || changed.has('combatManager.autoCombat')) {
+      this.autoAttack = this.config.autoCombat || this.bot.config?.features?.autoCombat || false;
+    }
+    if (changed.has('combat.guardRegion')) {
+      this.guardRegion = this.bot.config?.combat?.guardRegion || null;
+    }
+
+    logger.info(`CombatManager settings updated - hostile players: ${this.hostilePlayers.join(', ') || 'none'}`);
+  }
+
   async onLoad() {
     this.setupBehaviors();
 
@@ -61,9 +135,14 @@ class CombatManager extends BaseBehaviorPlugin {
 
     // Register event handlers
     this.registerEvent('entityHurt', this.onEntityHurt);
+    this.registerEvent('entityDead', this.onEntityDead);
     this.registerEvent('physicsTick', this.onPhysicsTick);
-    this.registerEvent('chat', this.handleChat);
+    this.registerCommands();
     this.registerEvent('onCorrelateAttack', this.onCorrelateAttack);
+
+    if (this.bot.coordination) {
+      this.unsubscribeHelp = this.bot.coordination.onHelpRequest((request) => this.onHelpRequest(request));
+    }
   }
 
   /**
@@ -94,8 +173,37 @@ class CombatManager extends BaseBehaviorPlugin {
     logger.info('Combat behaviors and transitions registered');
   }
 
+  /**
+   * Drop the fight in progress - entity ids do not carry over to the new bot.
+   * Combat toggles changed from chat stay as they were.
+   */
+  async onBotReplaced(newBot) {
+    if (this.combatInterval) {
+      clearInterval(this.combatInterval);
+      this.combatInterval = null;
+    }
+    this.isInCombat = false;
+    this.currentTarget = null;
+    this.pendingHurtTime = null;
+    this.combatLease?.release();
+    this.combatLease = null;
+    if (this.helpRequest) {
+      this.bot.coordination?.resolveHelp(this.helpRequest.id);
+      this.helpRequest = null;
+    }
+
+    await super.onBotReplaced(newBot);
+    if (this.bot.pvp) {
+      this.bot.pvp.followDistance = 2;
+    }
+  }
+
   async unload() {
     this.stopCombat();
+    if (this.unsubscribeHelp) {
+      this.unsubscribeHelp();
+      this.unsubscribeHelp = null;
+    }
     this.unregisterAllEvents();
     this.isLoaded = false;
     logger.info('CombatManager plugin unloaded');
@@ -132,7 +240,7 @@ class CombatManager extends BaseBehaviorPlugin {
     if (attacker) {
       const attackerName = attacker.username || attacker.name || 'unknown';
       logger.info(`CombatManager: Fallback identified attacker: ${attackerName}`);
-      this.bot.chat(`${attackerName} just hit me! Time to fight back!`);
+      this.bot.chat(`${attackerName} just hit me! Time to fight back!`, { priority: 'high' });
       this.retaliate(attacker);
     } else {
       logger.warn('CombatManager: No attacker found nearby');
@@ -192,7 +300,7 @@ class CombatManager extends BaseBehaviorPlugin {
 
     const attackerName = attacker.username || attacker.name || 'unknown';
     logger.info(`CombatManager: Bloodhound identified attacker: ${attackerName} (weapon: ${weapon?.name || 'fist'})`);
-    this.bot.chat(`${attackerName} just hit me! Time to fight back!`);
+    this.bot.chat(`${attackerName} just hit me! Time to fight back!`, { priority: 'high' });
     this.retaliate(attacker);
   }
 
@@ -220,11 +328,97 @@ class CombatManager extends BaseBehaviorPlugin {
     }
 
     logger.info(`CombatManager: Retaliating against ${attacker.username || attacker.name}`);
+    this.requestHelp(attacker);
     this.attackEntity(attacker);
   }
 
+  /**
+   * Ask the other fleet bots to come and fight the attacker too
+   */
+  requestHelp(attacker) {
+    const coordination = this.bot.coordination;
+    if (!this.callForHelp || !coordination) return;
+
+    const target = attacker.username || attacker.name;
+    // One open request per attacker is enough
+    if (this.helpRequest && this.helpRequest.target === target && this.helpRequest.expiresAt > Date.now()) return;
+
+    this.helpRequest = coordination.requestHelp({
+      kind: 'defend',
+      target,
+      position: this.bot.entity.position
+    });
+    logger.info(`CombatManager: Asked the fleet for help against ${target}`);
+  }
+
+  /**
+   * Another fleet bot is under attack - join in when free and close enough
+   */
+  async onHelpRequest(request) {
+    if (!this.answerHelp || request.kind !== 'defend' || !request.position) return;
+    if (this.isInCombat || !this.bot.entity) return;
+
+    const position = new Vec3(request.position.x, request.position.y, request.position.z);
+    const distance = this.bot.entity.position.distanceTo(position);
+    if (distance > this.helpRadius) return;
+
+    // Called from a bus subscriber that does not wait for the result, so nothing may escape
+    try {
+      logger.info(`CombatManager: ${request.from} needs help against ${request.target} (${distance.toFixed(1)}m away)`);
+      await this.bot.coordination.respondToHelp(request.id);
+
+      let target = this.findHelpTarget(request.target, position);
+      if (!target) {
+        // Out of entity range - walk over first
+        const lease = this.acquireMovement({ priority: 'combat', label: `helping ${request.from}` });
+        try {
+          await lease.goto(position.x, position.y, position.z, 4);
+        } catch (error) {
+          logger.debug(`CombatManager: Could not reach ${request.from}: ${error.message}`);
+        } finally {
+          lease.release();
+        }
+        target = this.findHelpTarget(request.target, position);
+      }
+
+      if (!target) {
+        logger.info(`CombatManager: ${request.target} is no longer near ${request.from}`);
+      } else if (!this.isInCombat) {
+        await this.attackEntity(target);
+      }
+    } catch (error) {
+      logger.error(`CombatManager: Failed to help ${request.from}`, error);
+    }
+  }
+
+  /**
+   * Find an entity by username or mob name near a position
+   */
+  findHelpTarget(name, position) {
+    return Object.values(this.bot.entities).find(e =>
+      e !== this.bot.entity && e.position &&
+      (e.username || e.name) === name &&
+      e.position.distanceTo(position) <= 32
+    ) || null;
+  }
+
+  /**
+   * Count the current target dying as a kill
+   */
+  onEntityDead(entity) {
+    if (!this.isInCombat || entity.id !== this.currentTarget?.id) return;
+
+    const target = entity.username || entity.name;
+    logger.info(`Killed ${target}`);
+    this.store.incrementState('kills');
+    this.bot.emit('combatKill', { target, type: entity.type });
+    this.stopCombat();
+  }
+
   async onPhysicsTick() {
-    if (!this.autoAttack && !this.autoAttackHostile) return;
+    // Retaliation and help requests fight with auto-attack off; their end is noticed
+    // here too, or the combat lease would keep every other movement suspended
+    if (!this.autoAttack && !this.autoAttackHostile && !this.isInCombat && !this.combatLease) return;
 
     // Continue attacking current target
     const targetEntity = this.currentTarget ? this.bot.entities[this.currentTarget.id] : null;
@@ -240,8 +434,8 @@ class CombatManager extends BaseBehaviorPlugin {
         this.stopCombat();
       }
     } else {
-      if (this.isInCombat) {
-        logger.info('Target lost or invalid, looking for new target');
+      if (this.isInCombat || this.combatLease) {
+        logger.info('Target lost or invalid, stopping combat');
         this.stopCombat();
       }
       // Not in combat or target invalid, look for new target
@@ -291,27 +485,65 @@ class CombatManager extends BaseBehaviorPlugin {
     }
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
+  /**
+   * Register combat chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'attack',
+      description: 'Enable auto-attack (add "player hostile" to target hostile players)',
+      usage: 'attack [player hostile]',
+      handler: (username, args, rawArgs, { reply }) => {
+        if (args.join(' ').toLowerCase() === 'player hostile') {
+          this.enableHostileAttack(reply);
+          return;
+        }
+        this.autoAttack = true;
+        reply('Auto-attack enabled');
+        this.findAndAttackTarget();
+      }
+    });
 
-    if (message === '!attack') {
-      this.autoAttack = true;
-      this.bot.chat('Auto-attack enabled');
-      this.findAndAttackTarget();
-    } else if (message === '!attack player hostile' || message === '!attackHostile') {
-      this.autoAttack = true; // Enable general combat loop
-      this.autoAttackHostile = true;
-      this.bot.chat(`Attacking hostile players enabled. Targets: ${this.hostilePlayers.join(', ')}`);
-      this.findAndAttackTarget();
-    } else if (message === '!defend') {
-      this.autoAttack = false;
-      this.autoAttackHostile = false;
-      this.stopCombat();
-      this.bot.chat('Auto-attack disabled');
-    } else if (message === '!combat') {
-      const status = this.getStatus();
-      this.bot.chat(`Combat: ${status.isInCombat ? 'Active' : 'Inactive'}, Auto: ${status.autoAttack ? 'On' : 'Off'}, Hostile: ${status.autoAttackHostile ? 'On' : 'Off'}`);
-    }
+    this.registerCommand({
+      name: 'attackhostile',
+      description: 'Attack configured hostile players',
+      handler: (username, args, rawArgs, { reply }) => this.enableHostileAttack(reply)
+    });
+
+    this.registerCommand({
+      name: 'defend',
+      description: 'Disable auto-attack',
+      handler: (username, args, rawArgs, { reply }) => {
+        this.autoAttack = false;
+        this.autoAttackHostile = false;
+        this.stopCombat();
+        reply('Auto-attack disabled');
+      }
+    });
+
+    this.registerCommand({
+      name: 'guard',
+      description: 'Attack hostiles inside a region only',
+      usage: 'guard [region|off]',
+      handler: (username, args, rawArgs, { reply }) => this.guardCommand(args[0], reply)
+    });
+
+    this.registerCommand({
+      name: 'combat',
+      description: 'Show combat status',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => {
+        const status = this.getStatus();
+        reply(`Combat: ${status.isInCombat ? 'Active' : 'Inactive'}, Auto: ${status.autoAttack ? 'On' : 'Off'}, Hostile: ${status.autoAttackHostile ? 'On' : 'Off'}`);
+      }
+    });
+  }
+
+  enableHostileAttack(reply = this.say) {
+    this.autoAttack = true; // Enable general combat loop
+    this.autoAttackHostile = true;
+    reply(`Attacking hostile players enabled. Targets: ${this.hostilePlayers.join(', ')}`);
+    this.findAndAttackTarget();
   }
 
   findNearestHostile() {
@@ -344,16 +576,67 @@ class CombatManager extends BaseBehaviorPlugin {
       hostiles.push(...hostilePlayers);
     }
 
-    if (hostiles.length === 0) return null;
+    // While guarding, targets outside the region (or in another dimension) are left alone
+    const guardRegion = this.getGuardRegion();
+    const targets = guardRegion
+      ? hostiles.filter(entity => guardRegion.isInDimension(this.bot.game?.dimension) && guardRegion.contains(entity.position))
+      : hostiles;
+
+    if (targets.length === 0) return null;
 
     // Find closest
-    return hostiles.reduce((closest, entity) => {
+    return targets.reduce((closest, entity) => {
       const distEntity = this.bot.entity.position.distanceTo(entity.position);
       const distClosest = closest ? this.bot.entity.position.distanceTo(closest.position) : Infinity;
       return distEntity < distClosest ? entity : closest;
     }, null);
   }
 
+  /**
+   * Get the region being guarded, or null when attacking anywhere
+   */
+  getGuardRegion() {
+    if (!this.guardRegion) return null;
+
+    const navigation = this.bot.botClient?.getPluginLoader()?.getPlugin('Navigation');
+    const region = navigation?.getRegion(this.guardRegion) || null;
+    if (!region) {
+      // Without the region the bot attacks anywhere, as without guarding; say so once
+      if (this.missingGuardRegion !== this.guardRegion) {
+        logger.warn(`Guard region '${this.guardRegion}' is not defined, attacking anywhere`);
+        this.missingGuardRegion = this.guardRegion;
+      }
+      return null;
+    }
+
+    this.missingGuardRegion = null;
+    return region;
+  }
+
+  guardCommand(name, reply = this.say) {
+    if (!name) {
+      reply(this.guardRegion ? `Guarding region '${this.guardRegion}'` : 'Not guarding a region');
+      return;
+    }
+
+    if (name.toLowerCase() === 'off') {
+      this.guardRegion = null;
+      reply('Guarding stopped, attacking anywhere');
+      return;
+    }
+
+    const navigation = this.bot.botClient?.getPluginLoader()?.getPlugin('Navigation');
+    if (!navigation?.getRegion(name)) {
+      reply(`Region '${name}' not found`);
+      return;
+    }
+
+    this.guardRegion = name;
+    this.autoAttack = true;
+    reply(`Guarding region '${name}'`);
+    this.findAndAttackTarget();
+  }
+
   findAndAttackTarget() {
     if (!this.autoAttack && !this.autoAttackHostile) return;
 
@@ -378,7 +661,14 @@ class CombatManager extends BaseBehaviorPlugin {
       this.stateMachine.setState('fighting');
     }
 
-    logger.info(`Attacking ${entity.name || entity.displayName || entity.username || 'entity'}`);
+    const name = entity.name || entity.displayName || entity.username || 'entity';
+    logger.info(`Attacking ${name}`);
+
+    // Take movement over from farming, patrols and player commands until combat stops
+    if (!this.combatLease) {
+      this.combatLease = this.acquireMovement({ priority: 'combat', label: `fighting ${name}` });
+    }
+    this.combatLease.label = `fighting ${name}`;
 
     const distance = this.bot.entity.position.distanceTo(entity.position);
 
@@ -387,6 +677,10 @@ class CombatManager extends BaseBehaviorPlugin {
     this.combatMode = (distance > this.attackRange && this.useLongRange && hasBow) ? 'ranged' : 'melee';
 
     logger.info(`Starting combat in ${this.combatMode} mode`);
+    this.bot.emit('combatStart', {
+      target: entity.username || entity.name || 'entity',
+      mode: this.combatMode
+    });
 
     await this.equipWeapon(this.combatMode);
     this.equipShield();
@@ -399,9 +693,20 @@ class CombatManager extends BaseBehaviorPlugin {
   }
 
   stopCombat() {
+    const target = this.currentTarget;
+    const wasInCombat = this.isInCombat;
     this.isInCombat = false;
     this.currentTarget = null;
 
+    if (this.helpRequest) {
+      this.bot.coordination?.resolveHelp(this.helpRequest.id);
+      this.helpRequest = null;
+    }
+
+    if (wasInCombat) {
+      this.bot.emit('combatStop', { target: target?.username || target?.name || null });
+    }
+
     if (this.bot.pvp) {
       this.bot.pvp.stop();
     }
@@ -410,6 +715,10 @@ class CombatManager extends BaseBehaviorPlugin {
       this.bot.hawkEye.stop();
     }
 
+    // Whatever combat interrupted resumes its movement
+    this.combatLease?.release();
+    this.combatLease = null;
+
     if (this.combatInterval) {
       clearInterval(this.combatInterval);
       this.combatInterval = null;
@@ -481,6 +790,7 @@ class CombatManager extends BaseBehaviorPlugin {
       isInCombat: this.isInCombat,
       autoAttack: this.autoAttack,
       autoAttackHostile: this.autoAttackHostile,
+      guardRegion: this.guardRegion,
       currentTarget: this.currentTarget ? (this.currentTarget.name || this.currentTarget.username) : null,
       health: this.bot.health,
       food: this.bot.food
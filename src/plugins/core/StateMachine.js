@@ -1,7 +1,9 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import mineflayerStateMachine from 'mineflayer-statemachine';
 
+const logger = rootLogger.child({ plugin: 'StateMachine' });
+
 const { 
   BotStateMachine,
   BehaviorIdle,
@@ -16,9 +18,18 @@ const {
  * Manages bot behavior states with transitions and priorities
  */
 class StateMachine extends IPlugin {
+  static configSchema = {
+    stateMachine: {
+      properties: {
+        maxHistorySize: { type: 'integer', min: 1, default: 50 }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('StateMachine', bot, config);
     this.stateMachine = null;
+    this.rootStateMachine = null;
     this.behaviors = new Map();
     this.transitions = [];
     this.currentStateName = 'idle';
@@ -35,24 +46,17 @@ class StateMachine extends IPlugin {
       const initialState = this.getInitialState();
       
       // Create root nested state machine with idle as initial state
-      const rootStateMachine = new NestedStateMachine([initialState], initialState);
-      rootStateMachine.stateName = 'root';
+      this.rootStateMachine = new NestedStateMachine([initialState], initialState);
+      this.rootStateMachine.stateName = 'root';
       
       // Initialize the bot state machine with the root
-      this.stateMachine = new BotStateMachine(this.bot, rootStateMachine);
+      this.attachToBot();
       
       // Setup default transitions
       this.setupDefaultTransitions();
       
-      // Register event handlers
-      this.registerEvent('chat', this.handleChat);
-      
-      // Listen to state machine events
-      this.stateMachine.on('stateEntered', (state) => this.onStateEntered(state));
-      this.stateMachine.on('stateExited', (state) => this.onStateExited(state));
-      
-      // Expose state machine to bot for other plugins
-      this.bot.stateMachine = this;
+      // Register chat commands
+      this.registerCommands();
       
       this.isLoaded = true;
       logger.success('StateMachine plugin loaded');
@@ -62,6 +66,34 @@ class StateMachine extends IPlugin {
     }
   }
 
+  /**
+   * Drive the root state machine from the current bot and expose it to other plugins
+   */
+  attachToBot() {
+    if (this.stateMachine) {
+      this.stateMachine.removeAllListeners();
+    }
+
+    this.stateMachine = new BotStateMachine(this.bot, this.rootStateMachine);
+    
+    // Listen to state machine events
+    this.stateMachine.on('stateEntered', (state) => this.onStateEntered(state));
+    this.stateMachine.on('stateExited', (state) => this.onStateExited(state));
+    
+    // Expose state machine to bot for other plugins
+    this.bot.stateMachine = this;
+  }
+
+  /**
+   * Keep behaviors, transitions and history; start the new bot from idle so
+   * interrupted activities can restart themselves
+   */
+  async onBotReplaced(newBot) {
+    await super.onBotReplaced(newBot);
+    this.attachToBot();
+    this.setState('idle');
+  }
+
   async unload() {
     this.behaviors.clear();
     this.transitions = [];
@@ -205,6 +237,7 @@ class StateMachine extends IPlugin {
       }
       
       this.addToHistory(stateName);
+      this.bot.emit('stateTransition', { from: prevState, to: stateName });
       logger.info(`State changed: ${prevState} -> ${stateName}`);
       return true;
     } catch (error) {
@@ -278,8 +311,10 @@ class StateMachine extends IPlugin {
    */
   onStateEntered(state) {
     const stateName = state.stateName || 'unknown';
+    const prevState = this.currentStateName;
     this.currentStateName = stateName;
     this.addToHistory(stateName);
+    this.bot.emit('stateTransition', { from: prevState, to: stateName });
     logger.info(`Entered state: ${stateName}`);
   }
 
@@ -288,37 +323,63 @@ class StateMachine extends IPlugin {
     logger.debug(`Exited state: ${stateName}`);
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    if (message === '!state') {
-      this.bot.chat(`Current state: ${this.currentStateName}`);
-    } else if (message === '!states') {
-      const states = Array.from(this.behaviors.keys()).join(', ');
-      this.bot.chat(`Available states: ${states}`);
-    } else if (message === '!history') {
-      const history = this.getHistory(5);
-      if (history.length === 0) {
-        this.bot.chat('No state history');
-        return;
+  /**
+   * Register state machine chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'state',
+      description: 'Show the current state',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => reply(`Current state: ${this.currentStateName}`)
+    });
+
+    this.registerCommand({
+      name: 'states',
+      description: 'List all available states',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => {
+        const states = Array.from(this.behaviors.keys()).join(', ');
+        reply(`Available states: ${states}`);
+      }
+    });
+
+    this.registerCommand({
+      name: 'history',
+      description: 'Show recent state changes',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => {
+        const history = this.getHistory(5);
+        if (history.length === 0) {
+          reply('No state history');
+          return;
+        }
+        reply('Recent states:');
+        history.forEach((entry, i) => {
+          const time = new Date(entry.timestamp).toLocaleTimeString();
+          reply(`${i + 1}. ${entry.state} at ${time}`);
+        });
       }
-      this.bot.chat('Recent states:');
-      history.forEach((entry, i) => {
-        const time = new Date(entry.timestamp).toLocaleTimeString();
-        this.bot.chat(`${i + 1}. ${entry.state} at ${time}`);
-      });
-    } else if (message.startsWith('!setstate ')) {
-      const state = message.split(' ')[1];
-      if (this.behaviors.has(state)) {
+    });
+
+    this.registerCommand({
+      name: 'setstate',
+      description: 'Force a state change (debug)',
+      usage: 'setstate <state>',
+      minArgs: 1,
+      handler: (username, args, rawArgs, { reply }) => {
+        const state = args[0];
+        if (!this.behaviors.has(state)) {
+          reply(`Invalid state: ${state}`);
+          return;
+        }
         if (this.setState(state, true)) {
-          this.bot.chat(`State changed to: ${state}`);
+          reply(`State changed to: ${state}`);
         } else {
-          this.bot.chat(`Cannot change to state: ${state}`);
+          reply(`Cannot change to state: ${state}`);
         }
-      } else {
-        this.bot.chat(`Invalid state: ${state}`);
       }
-    }
+    });
   }
 
   /**
@@ -1,11 +1,11 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import PathfinderUtil from '../../utils/Pathfinder.js';
 import AutomationControl from '../../utils/AutomationControl.js';
-import logger from '../../utils/Logger.js';
-import ChatParser from '../../utils/ChatParser.js';
+import rootLogger from '../../utils/Logger.js';
 import { Vec3 } from 'vec3';
 import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
 
+const logger = rootLogger.child({ plugin: 'Teleport' });
+
 /**
  * Teleport Plugin - Handles trapdoor interaction for teleportation
  */
@@ -13,24 +13,26 @@ class Teleport extends IPlugin {
   constructor(bot, config = {}) {
     super('Teleport', bot, config);
     this.trapdoorPos = new Vec3(16, 63, -93);
-    this.pathfinder = null;
+    this.lease = null; // Movement lease held while walking to the trapdoor
     this.pluginLoader = null;
     this.automationControl = null;
   }
 
   async load() {
     try {
-      this.pathfinder = new PathfinderUtil(this.bot, this.config.physics?.pathfinder || {});
-      this.pathfinder.initialize();
-      
       // Get pluginLoader reference from BotClient
-      const botClient = await getBotClient();
+      const botClient = await getBotClient(this.bot);
       this.pluginLoader = botClient.getPluginLoader();
       
       // Initialize automation control utility
       this.automationControl = new AutomationControl(this.pluginLoader, this.bot);
       
-      this.registerEvent('chat', this.handleChat);
+      this.registerCommand({
+        name: 'tp',
+        description: 'Activate the teleport trapdoor',
+        handler: (username, args, rawArgs, { reply }) => this.interactTrapdoor(reply)
+      });
+
       this.isLoaded = true;
       logger.success('Teleport plugin loaded');
     } catch (error) {
@@ -39,45 +41,39 @@ class Teleport extends IPlugin {
     }
   }
 
+  async onBotReplaced(newBot) {
+    await super.onBotReplaced(newBot);
+    this.automationControl.bot = newBot;
+  }
+
   async unload() {
     this.unregisterAllEvents();
     this.isLoaded = false;
     logger.info('Teleport plugin unloaded');
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-
-    const parsed = ChatParser.parseCommand(message, '!');
-    if (!parsed) return;
-
-    const { command } = parsed;
-
-    if (command === 'tp') {
-      await this.interactTrapdoor(username);
-    }
-  }
-
   /**
    * Interact with the trapdoor at the specified position
    * Temporarily pauses automation, executes, then resumes
    */
-  async interactTrapdoor() {
+  async interactTrapdoor(reply = this.say) {
     try {
       // Temporarily pause all automation (will resume after)
       this.automationControl.pauseAll();
+      this.lease = this.acquireMovement({ priority: 'command', label: 'going to the teleport trapdoor' });
       await sleep(500);
 
       const { x, y, z } = this.trapdoorPos;
       
       // Move near the trapdoor first
-      this.bot.chat('Moving to trapdoor...');
-      await this.pathfinder.goto(x, y, z, 3);
+      reply('Moving to trapdoor...');
+      await this.lease.goto(x, y, z, 3);
+      this.releaseMovement();
       
       const block = this.bot.blockAt(this.trapdoorPos);
       
       if (!block) {
-        this.bot.chat('Cannot find block at trapdoor position');
+        reply('Cannot find block at trapdoor position');
         logger.warn('Block not found at trapdoor position');
         // Resume automation even on failure
         await this.automationControl.resumeAll();
@@ -89,7 +85,7 @@ class Teleport extends IPlugin {
       // Right-click (activate) the block
       await this.bot.activateBlock(block);
       
-      this.bot.chat('Trapdoor activated');
+      reply('Trapdoor activated');
       logger.success('Trapdoor interaction complete');
 
       // Wait a moment then resume automation
@@ -97,12 +93,18 @@ class Teleport extends IPlugin {
       await this.automationControl.resumeAll();
     } catch (error) {
       logger.error('Failed to interact with trapdoor', error);
-      this.bot.chat(`Error: ${error.message}`);
+      reply(`Error: ${error.message}`);
       // Resume automation on error
+      this.releaseMovement();
       await this.automationControl.resumeAll();
     }
   }
 
+  releaseMovement() {
+    this.lease?.release();
+    this.lease = null;
+  }
+
   getStatus() {
     return {
       ...super.getStatus(),
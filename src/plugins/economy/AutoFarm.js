@@ -1,14 +1,18 @@
 import BaseBehaviorPlugin from '../base/_BaseBehaviorPlugin.js';
-import logger from '../../utils/Logger.js';
-import ChatParser from '../../utils/ChatParser.js';
+import rootLogger from '../../utils/Logger.js';
 import { Vec3 } from 'vec3';
 import { plugin as collectBlock } from 'mineflayer-collectblock';
 import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
 
+const logger = rootLogger.child({ plugin: 'AutoFarm' });
+
 /**
  * AutoFarm Plugin - Handles automated farming
  */
 class AutoFarm extends BaseBehaviorPlugin {
+  static dependencies = ['Navigation'];
+  static optionalDependencies = ['StateMachine'];
+
   constructor(bot, config = {}) {
     super('AutoFarm', bot, config);
     this.isFarming = false;
@@ -32,6 +36,7 @@ class AutoFarm extends BaseBehaviorPlugin {
     };
     this.pluginLoader = null;
     this.pathfinder = null;
+    this.lease = null; // Movement lease held while farming autonomously
   }
 
   async onLoad() {
@@ -41,7 +46,7 @@ class AutoFarm extends BaseBehaviorPlugin {
     }
     
     // Get pluginLoader reference from BotClient
-    const botClient = await getBotClient();
+    const botClient = await getBotClient(this.bot);
     this.pluginLoader = botClient.getPluginLoader();
     
     // Get pathfinder from Navigation plugin
@@ -54,7 +59,7 @@ class AutoFarm extends BaseBehaviorPlugin {
     this.setupBehaviors();
     
     // Register chat commands
-    this.registerEvent('chat', this.handleChat.bind(this));
+    this.registerCommands();
   }
 
   /**
@@ -87,7 +92,16 @@ class AutoFarm extends BaseBehaviorPlugin {
    * Start autonomous farming loop
    */
   startAutonomousFarming() {
+    // Entering the farming state again (the loop re-asserts it after AutoEat or a
+    // deposit forced idle) keeps the running loop and its lease
+    if (this.farmInterval) return;
+
+    // Higher priority movement (eating, combat, deposits, player commands) pauses farming
+    this.lease = this.acquireMovement({ priority: 'farming', label: 'farming crops' });
     this.farmInterval = setInterval(async () => {
+      // Another plugin is moving the bot; skip cycles until it is done
+      if (!this.lease?.isActive) return;
+
       // Check both the local flag and the state machine
       const currentState = this.getState();
       if (this.isFarming && (currentState === 'farming' || currentState === 'idle')) {
@@ -113,6 +127,8 @@ class AutoFarm extends BaseBehaviorPlugin {
       clearInterval(this.farmInterval);
       this.farmInterval = null;
     }
+    this.lease?.release();
+    this.lease = null;
   }
 
   /**
@@ -168,42 +184,56 @@ class AutoFarm extends BaseBehaviorPlugin {
     logger.info('AutoFarm plugin unloaded');
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    const parsed = ChatParser.parseCommand(message, this.bot.config.behavior?.chatCommandPrefix || '!');
-    if (!parsed || parsed.command !== 'farm') return;
-
-    logger.debug(`AutoFarm received command: ${parsed.command} ${parsed.args.join(' ')} from ${username}`);
-    
-    const subCommand = parsed.args[0];
-
-    if (subCommand === 'start') {
-      await this.startFarming();
-      this.bot.chat('Auto-farming started');
-    } else if (subCommand === 'stop') {
-      this.stopFarming();
-      this.bot.chat('Auto-farming stopped');
-    } else if (subCommand === 'status') {
-      const status = this.getStatus();
-      this.bot.chat(`Farming: ${status.isFarming ? 'Active' : 'Inactive'}, Harvested: ${status.harvestCount}, Planted: ${status.plantCount}`);
-    } else if (subCommand === 'scan') {
-      // Debug command to scan for crops
-      const crops = this.findMatureCrops(16);
-      const empty = this.findEmptyFarmland(16);
-      this.bot.chat(`Found ${crops.length} mature crops and ${empty.length} empty farmland nearby`);
-    }
+  /**
+   * Register farming chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'farm',
+      description: 'Control crop farming',
+      subcommands: {
+        start: async (username, args, rawArgs, { reply }) => {
+          await this.startFarming();
+          reply('Auto-farming started');
+        },
+        stop: (username, args, rawArgs, { reply }) => {
+          this.stopFarming();
+          reply('Auto-farming stopped');
+        },
+        status: {
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            const status = this.getStatus();
+            reply(`Farming: ${status.isFarming ? 'Active' : 'Inactive'}, Harvested: ${status.harvestCount}, Planted: ${status.plantCount}`);
+          }
+        },
+        scan: {
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            // Debug command to scan for crops
+            const crops = this.findMatureCrops(16);
+            const empty = this.findEmptyFarmland(16);
+            reply(`Found ${crops.length} mature crops and ${empty.length} empty farmland nearby`);
+          }
+        }
+      }
+    });
   }
 
-  async startFarming() {
+  /**
+   * @param {boolean} resume - Continue the previous session instead of resetting the counters
+   */
+  async startFarming(resume = false) {
     if (this.isFarming) {
       logger.warn('Already farming');
       return;
     }
 
     this.isFarming = true;
-    this.harvestCount = 0;
-    this.plantCount = 0;
+    if (!resume) {
+      this.harvestCount = 0;
+      this.plantCount = 0;
+    }
 
     // Set state to farming
     this.setState('farming');
@@ -218,6 +248,27 @@ class AutoFarm extends BaseBehaviorPlugin {
     // Logic is handled by onStateEntered
   }
 
+  /**
+   * Restart farming on the new bot if it was running, keeping the counters
+   */
+  async onBotReplaced(newBot) {
+    const wasFarming = this.isFarming;
+    if (wasFarming) {
+      this.isFarming = false;
+      this.stopAutonomousFarming();
+    }
+
+    await super.onBotReplaced(newBot);
+    if (!this.bot.collectBlock) {
+      this.bot.loadPlugin(collectBlock);
+    }
+
+    if (wasFarming) {
+      logger.info('Resuming auto-farm after reconnect');
+      await this.startFarming(true);
+    }
+  }
+
   stopFarming() {
     this.isFarming = false;
     
@@ -231,8 +282,9 @@ class AutoFarm extends BaseBehaviorPlugin {
     }
     
     logger.info('Auto-farming stopped (sprinting restored)');
-    
-    // Logic is handled by onStateExited
+
+    // setState() does not run onStateExited, so the loop and its lease end here
+    this.stopAutonomousFarming();
   }
 
   async farmCycle() {
@@ -341,8 +393,8 @@ class AutoFarm extends BaseBehaviorPlugin {
       try {
         if (this.bot.collectBlock) {
           await this.bot.collectBlock.collect(item, { ignoreNoPath: true });
-        } else if (this.pathfinder) {
-          await this.pathfinder.goto(item.position.x, item.position.y, item.position.z, 0);
+        } else if (this.lease) {
+          await this.lease.goto(item.position.x, item.position.y, item.position.z, 0);
           await sleep(200);
         }
       } catch (error) {
@@ -360,10 +412,10 @@ class AutoFarm extends BaseBehaviorPlugin {
       // Move closer for better item pickup
       const distance = this.bot.entity.position.distanceTo(cropPos);
       if (distance > 2) {
-        if (this.pathfinder) {
-          await this.pathfinder.goto(cropPos.x, cropPos.y, cropPos.z, 1.5);
+        if (this.lease) {
+          await this.lease.goto(cropPos.x, cropPos.y, cropPos.z, 1.5);
         } else {
-          logger.warn('Pathfinder not available, skipping movement');
+          logger.warn('Not farming, skipping movement');
         }
       }
 
@@ -377,6 +429,9 @@ class AutoFarm extends BaseBehaviorPlugin {
       await this.collectDroppedItems(3);
       
       this.harvestCount++;
+      this.stats.cropsHarvested++;
+      this.store.incrementState('totalHarvested');
+      this.bot.emit('harvest', { plugin: this.name, crop: cropName, total: this.harvestCount });
       logger.debug(`Harvested ${cropName}`);
       
       return cropName;
@@ -423,8 +478,8 @@ class AutoFarm extends BaseBehaviorPlugin {
       // Move to position if needed
       const distance = this.bot.entity.position.distanceTo(targetPos);
       if (distance > 4) {
-        if (this.pathfinder) {
-          await this.pathfinder.goto(targetPos.x, targetPos.y, targetPos.z, 2);
+        if (this.lease) {
+          await this.lease.goto(targetPos.x, targetPos.y, targetPos.z, 2);
         }
       }
 
@@ -437,6 +492,8 @@ class AutoFarm extends BaseBehaviorPlugin {
         await this.bot.lookAt(blockBelow.position);
         await this.bot.placeBlock(blockBelow, new Vec3(0, 1, 0));
         this.plantCount++;
+        this.stats.cropsPlanted++;
+        this.store.incrementState('totalPlanted');
         logger.debug(`Planted ${cropName} at ${targetPos}`);
       }
     } catch (error) {
@@ -492,12 +549,23 @@ class AutoFarm extends BaseBehaviorPlugin {
     logger.success('Farmland creation complete');
   }
 
+  /**
+   * Pick up the pathfinder of a reloaded Navigation plugin
+   */
+  onDependencyChanged(name, plugin) {
+    if (name === 'Navigation') {
+      this.pathfinder = plugin?.pathfinder || null;
+    }
+  }
+
   getStatus() {
     return {
       ...super.getStatus(),
       isFarming: this.isFarming,
       harvestCount: this.harvestCount,
       plantCount: this.plantCount,
+      totalHarvested: this.store.getState('totalHarvested', 0),
+      totalPlanted: this.store.getState('totalPlanted', 0),
       farmArea: this.farmArea
     };
   }
@@ -1,7 +1,9 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
 import { sleep } from '../../utils/helpers/asyncHelpers.js';
 
+const logger = rootLogger.child({ plugin: 'Crafter' });
+
 /**
  * Crafter Plugin - Handles item crafting automation
  */
@@ -16,7 +18,7 @@ class Crafter extends IPlugin {
   async load() {
     try {
       // Register chat commands
-      this.registerEvent('chat', this.handleChat);
+      this.registerCommands();
       
       // Load recipes when spawned
       this.bot.once('spawn', () => {
@@ -61,48 +63,52 @@ class Crafter extends IPlugin {
     }
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    const args = message.split(' ');
-    const command = args[0];
-    
-    if (command === '!craft') {
-      if (args.length < 2) {
-        this.bot.chat('Usage: !craft <item> [amount]');
-        return;
+  /**
+   * Register crafting chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'craft',
+      description: 'Craft an item',
+      usage: 'craft <item> [amount]',
+      minArgs: 1,
+      handler: (username, args, rawArgs, { reply }) => {
+        const amount = args[1] ? parseInt(args[1]) : 1;
+        return this.craftItem(args[0], amount, reply);
       }
-      
-      const itemName = args[1];
-      const amount = args[2] ? parseInt(args[2]) : 1;
-      
-      await this.craftItem(itemName, amount);
-    } else if (command === '!recipes') {
-      if (args.length < 2) {
-        this.bot.chat(`I know ${this.recipes.size} recipes. Use !recipes <item> for details`);
-        return;
+    });
+
+    this.registerCommand({
+      name: 'recipes',
+      description: 'Show known recipes for an item',
+      usage: 'recipes [item]',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => {
+        if (args.length === 0) {
+          const prefix = this.bot.commandRegistry.prefix;
+          reply(`I know ${this.recipes.size} recipes. Use ${prefix}recipes <item> for details`);
+          return;
+        }
+        this.showRecipes(args[0], reply);
       }
-      
-      const itemName = args[1];
-      this.showRecipes(itemName);
-    }
+    });
   }
 
-  async craftItem(itemName, amount = 1) {
+  async craftItem(itemName, amount = 1, reply = this.say) {
     if (this.isCrafting) {
-      this.bot.chat('Already crafting something');
+      reply('Already crafting something');
       return;
     }
 
     this.isCrafting = true;
 
     try {
-      this.bot.chat(`Attempting to craft ${amount}x ${itemName}...`);
+      reply(`Attempting to craft ${amount}x ${itemName}...`);
       
       // Find the item by name
       const item = this.bot.registry.itemsByName[itemName];
       if (!item) {
-        this.bot.chat(`Unknown item: ${itemName}`);
+        reply(`Unknown item: ${itemName}`);
         return;
       }
 
@@ -114,43 +120,44 @@ class Crafter extends IPlugin {
         if (craftingTable) {
           const recipeWithTable = this.bot.recipesFor(item.id, null, 1, craftingTable)[0];
           if (recipeWithTable) {
-            await this.craftWithTable(recipeWithTable, amount, craftingTable);
+            await this.craftWithTable(recipeWithTable, amount, craftingTable, reply);
             return;
           }
         }
         
-        this.bot.chat(`No recipe found for ${itemName}`);
+        reply(`No recipe found for ${itemName}`);
         return;
       }
 
       // Craft the item
       await this.bot.craft(recipe, amount, null);
-      this.bot.chat(`Successfully crafted ${amount}x ${itemName}`);
+      reply(`Successfully crafted ${amount}x ${itemName}`);
       logger.success(`Crafted ${amount}x ${itemName}`);
       
     } catch (error) {
       logger.error('Crafting error', error);
-      this.bot.chat(`Failed to craft: ${error.message}`);
+      reply(`Failed to craft: ${error.message}`);
     } finally {
       this.isCrafting = false;
     }
   }
 
-  async craftWithTable(recipe, amount, craftingTable) {
+  async craftWithTable(recipe, amount, craftingTable, reply = this.say) {
     // Move to crafting table
     const distance = this.bot.entity.position.distanceTo(craftingTable.position);
     if (distance > 4) {
-      await this.bot.pathfinder.goto(
-        craftingTable.position.x,
-        craftingTable.position.y,
-        craftingTable.position.z,
-        3
-      );
+      const { x, y, z } = craftingTable.position;
+      const lease = this.acquireMovement({ priority: 'command', label: 'going to a crafting table' });
+      try {
+        await lease.goto(x, y, z, 3);
+      } finally {
+        lease.release();
+      }
     }
 
     // Craft with table
     await this.bot.craft(recipe, amount, craftingTable);
-    this.bot.chat(`Successfully crafted ${amount}x ${recipe.name} using crafting table`);
+    reply(`Successfully crafted ${amount}x ${recipe.name} using crafting table`);
     logger.success(`Crafted ${amount}x ${recipe.name}`);
   }
 
@@ -207,19 +214,19 @@ class Crafter extends IPlugin {
     }
   }
 
-  showRecipes(itemName) {
+  showRecipes(itemName, reply = this.say) {
     const recipes = this.recipes.get(itemName);
     
     if (!recipes || recipes.length === 0) {
-      this.bot.chat(`No recipes found for ${itemName}`);
+      reply(`No recipes found for ${itemName}`);
       return;
     }
 
-    this.bot.chat(`Found ${recipes.length} recipe(s) for ${itemName}`);
+    reply(`Found ${recipes.length} recipe(s) for ${itemName}`);
     
     // Show first recipe details (simplified)
     const recipe = recipes[0];
-    this.bot.chat(`Recipe uses ${recipe.inShape ? 'shaped' : 'shapeless'} crafting`);
+    reply(`Recipe uses ${recipe.inShape ? 'shaped' : 'shapeless'} crafting`);
   }
 
   canCraft(itemName, amount = 1) {
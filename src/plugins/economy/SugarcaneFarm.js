@@ -1,29 +1,42 @@
 import BaseBehaviorPlugin from '../base/_BaseBehaviorPlugin.js';
-import logger from '../../utils/Logger.js';
-import ChatParser from '../../utils/ChatParser.js';
+import rootLogger from '../../utils/Logger.js';
 import minecraftData from 'minecraft-data';
 import { plugin as collectBlock } from 'mineflayer-collectblock';
 import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
-import { loadFarmArea, getFarmCenter } from '../../utils/helpers/waypointsHelper.js';
+
+const logger = rootLogger.child({ plugin: 'SugarcaneFarm' });
 
 /**
  * SugarcaneFarm Plugin - Handles automated sugarcane farming
  */
 class SugarcaneFarm extends BaseBehaviorPlugin {
+  static dependencies = ['Navigation'];
+  static optionalDependencies = ['StateMachine'];
+  static waypointSections = ['areas'];
+
+  static configSchema = {
+    sugarcaneFarm: {
+      properties: {
+        autoStart: { type: 'boolean', default: true },
+        // Region (areas section of waypoints.json) drawn on the ground the cane grows from
+        region: { type: 'string', minLength: 1, default: 'sugarcane_farm' }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('SugarcaneFarm', bot, config);
     this.isFarming = false;
-    this.farmArea = null;
     this.farmInterval = null;
     this.harvestCount = 0;
     this.recentlyHarvested = new Map(); // Track recently harvested positions
     this.harvestCooldown = 5000; // 5 seconds cooldown per position
     this.pluginLoader = null; // Will be set during load
     this.pathfinder = null; // Will be set during load
+    this.lease = null; // Movement lease held while farming
   }
 
   async onLoad() {
-    logger.debug(`SugarcaneFarm onLoad: this.name=${this.name}, type of loadFarmArea=${typeof loadFarmArea}`);
     // Load mineflayer-collectblock plugin
     if (!this.bot.collectBlock) {
       this.bot.loadPlugin(collectBlock);
@@ -31,7 +44,7 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     }
     
     // Get pluginLoader reference from BotClient
-    const botClient = await getBotClient();
+    const botClient = await getBotClient(this.bot);
     this.pluginLoader = botClient.getPluginLoader();
     
     // Get pathfinder directly from the Navigation plugin's pathfinder utility
@@ -43,19 +56,17 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       logger.warn('Navigation plugin or pathfinder not available');
     }
     
-    // Load farm area from waypoints
-    this.farmArea = loadFarmArea('sugarcane_farm');
-    if (!this.farmArea) {
-      logger.warn('Sugarcane farm area not defined in waypoints.json');
+    if (!this.getFarmRegion()) {
+      logger.warn(`Sugarcane farm region '${this.getRegionName()}' not defined in waypoints.json`);
     } else {
-      logger.info('Sugarcane farm area loaded from waypoints.json');
+      logger.info(`Sugarcane farm region '${this.getRegionName()}' found`);
     }
     
     // Setup farming behaviors
     this.setupBehaviors();
     
     // Register chat commands
-    this.registerEvent('chat', this.handleChat.bind(this));
+    this.registerCommands();
     
     // Auto-start farming if enabled in config
     if (this.config.autoStart !== false) {
@@ -91,6 +102,26 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     logger.info('Sugarcane farming behaviors and transitions registered');
   }
 
+  /**
+   * Restart farming on the new bot if it was running, keeping the harvest count
+   */
+  async onBotReplaced(newBot) {
+    const wasFarming = this.isFarming;
+    if (wasFarming) {
+      this.stopFarming();
+    }
+
+    await super.onBotReplaced(newBot);
+    if (!this.bot.collectBlock) {
+      this.bot.loadPlugin(collectBlock);
+    }
+
+    if (wasFarming) {
+      logger.info('Resuming sugarcane farming after reconnect');
+      this.startFarming(this.say, true);
+    }
+  }
+
   async unload() {
     this.stopFarming();
     this.unregisterAllEvents();
@@ -98,49 +129,63 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     logger.info('SugarcaneFarm plugin unloaded');
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    const parsed = ChatParser.parseCommand(message, this.bot.config.behavior?.chatCommandPrefix || '!');
-    if (!parsed || parsed.command !== 'sugarcane') return;
-
-    logger.debug(`SugarcaneFarm received command: ${parsed.command} ${parsed.args.join(' ')} from ${username}`);
-    
-    const subCommand = parsed.args[0];
-
-    if (subCommand === 'start') {
-      await this.startFarming();
-      this.bot.chat('Sugarcane farming started');
-    } else if (subCommand === 'stop') {
-      this.stopFarming();
-      this.bot.chat('Sugarcane farming stopped');
-    } else if (subCommand === 'status') {
-      const status = `Farming: ${this.isFarming ? 'Active' : 'Inactive'}, Harvested: ${this.harvestCount}`;
-      this.bot.chat(status);
-    } else if (subCommand === 'area') {
-      if (this.farmArea) {
-        const center = this.getFarmCenter();
-        this.bot.chat(`Farm center: ${center.x}, ${center.y}, ${center.z}`);
-      } else {
-        this.bot.chat('No farm area configured');
+  /**
+   * Register sugarcane chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'sugarcane',
+      description: 'Control sugarcane farming',
+      subcommands: {
+        start: async (username, args, rawArgs, { reply }) => {
+          await this.startFarming(reply);
+          reply('Sugarcane farming started');
+        },
+        stop: (username, args, rawArgs, { reply }) => {
+          this.stopFarming();
+          reply('Sugarcane farming stopped');
+        },
+        status: {
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            reply(`Farming: ${this.isFarming ? 'Active' : 'Inactive'}, Harvested: ${this.harvestCount}`);
+          }
+        },
+        area: {
+          permission: 'guest',
+          handler: (username, args, rawArgs, { reply }) => {
+            const region = this.getFarmRegion();
+            if (region) {
+              const center = region.center();
+              reply(`Farm region '${this.getRegionName()}': ${region.describe()}, center ${center.x}, ${center.y}, ${center.z}`);
+            } else {
+              reply(`No farm region '${this.getRegionName()}' defined`);
+            }
+          }
+        }
       }
-    }
+    });
   }
 
-  async startFarming() {
+  /**
+   * @param {boolean} resume - Continue the previous session instead of resetting the harvest count
+   */
+  async startFarming(reply = this.say, resume = false) {
     if (this.isFarming) {
       logger.warn('Already farming sugarcane');
       return;
     }
 
-    if (!this.farmArea) {
-      logger.error('No farm area configured');
-      this.bot.chat('No farm area configured in waypoints.json');
+    if (!this.getFarmRegion()) {
+      logger.error(`No farm region '${this.getRegionName()}' defined`);
+      reply(`No farm region '${this.getRegionName()}' defined; create it with region cuboid ${this.getRegionName()}`);
       return;
     }
 
     this.isFarming = true;
-    this.harvestCount = 0;
+    if (!resume) {
+      this.harvestCount = 0;
+    }
 
     // Try to set state to farming_sugarcane
     if (this.stateMachine) {
@@ -156,21 +201,29 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     }
 
     logger.info('Starting sugarcane farming (sprinting disabled)...');
-    
+
+    // Higher priority movement (eating, combat, deposits, player commands) pauses farming
+    const lease = this.acquireMovement({ priority: 'farming', label: 'farming sugarcane' });
+    this.lease = lease;
+
     // Move to farm center first
     const center = this.getFarmCenter();
     logger.info(`Moving to farm center: ${center.x}, ${center.y}, ${center.z}`);
     
     try {
-      const navigation = this.pluginLoader.getPlugin('Navigation');
-      if (navigation) {
-        await navigation.gotoCoords(center.x, center.y, center.z, true); // Silent mode
-      }
+      await lease.goto(center.x, center.y, center.z);
     } catch (error) {
       logger.error('Failed to navigate to farm center', error);
     }
 
+    // The walk waits out higher priority movement, during which farming may have
+    // been stopped (e.g. for a deposit) or stopped and started again
+    if (!this.isFarming || this.lease !== lease) return;
+
     // Start farming loop
+    if (this.farmInterval) {
+      clearInterval(this.farmInterval);
+    }
     this.farmInterval = setInterval(async () => {
       if (this.isFarming) {
         await this.farmCycle();
@@ -180,6 +233,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
 
   stopFarming() {
     this.isFarming = false;
+    this.lease?.release();
+    this.lease = null;
     
     if (this.farmInterval) {
       clearInterval(this.farmInterval);
@@ -200,11 +255,30 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     logger.info('Sugarcane farming stopped (sprinting restored)');
   }
 
+  getRegionName() {
+    return this.config.region || 'sugarcane_farm';
+  }
+
+  /**
+   * Get the farm region; looked up on every use so region edits apply right away
+   */
+  getFarmRegion() {
+    return this.pluginLoader?.getPlugin('Navigation')?.getRegion(this.getRegionName()) || null;
+  }
+
+  /**
+   * Region that cane and dropped items are searched in: the farm region from
+   * one block below the ground up to the tallest cane
+   */
+  getSearchRegion() {
+    return this.getFarmRegion()?.expand(1, 3) || null;
+  }
+
   /**
    * Get center position of farm area
    */
   getFarmCenter() {
-    return getFarmCenter(this.farmArea);
+    return this.getFarmRegion()?.center() || null;
   }
 
   /**
@@ -216,6 +290,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       const deposit = this.bot.pluginLoader?.getPlugin('DepositSugarcane');
       if (deposit && deposit.isBusyDepositing) return;
       if (this.bot.memory?.isDepositing) return;
+      // Another plugin is moving the bot; the cycle after it is done carries on
+      if (!this.lease?.isActive) return;
       
       // FIRST: Collect any existing drops before harvesting more
       await this.collectAllNearbyDrops();
@@ -246,17 +322,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
    * Find mature sugarcane blocks using bot.findBlock
    */
   async findMatureSugarcane() {
-    if (!this.farmArea) return [];
-
-    const { corner1, corner2 } = this.farmArea;
-    
-    // Calculate search boundaries
-    const minX = Math.min(corner1.x, corner2.x);
-    const maxX = Math.max(corner1.x, corner2.x);
-    const minY = Math.min(corner1.y, corner2.y) - 1;
-    const maxY = Math.max(corner1.y, corner2.y) + 3;
-    const minZ = Math.min(corner1.z, corner2.z);
-    const maxZ = Math.max(corner1.z, corner2.z);
+    const region = this.getSearchRegion();
+    if (!region) return [];
 
     const matureSugarcane = [];
     const processedBases = new Set();
@@ -271,9 +338,7 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     // Check each sugarcane block
     for (const pos of sugarcaneBlocks) {
       // Check if within farm area
-      if (pos.x < minX || pos.x > maxX || 
-          pos.y < minY || pos.y > maxY || 
-          pos.z < minZ || pos.z > maxZ) {
+      if (!region.contains(pos)) {
         continue;
       }
 
@@ -315,9 +380,11 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
   }
 
   /**
-   * Check if position was recently harvested
+   * Check if position was recently harvested, by us or by another fleet bot
    */
   isRecentlyHarvested(position) {
+    if (this.bot.coordination?.isPositionClaimed(position)) return true;
+
     const key = `${position.x},${position.y},${position.z}`;
     const timestamp = this.recentlyHarvested.get(key);
     
@@ -332,6 +399,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
   markHarvested(position) {
     const key = `${position.x},${position.y},${position.z}`;
     this.recentlyHarvested.set(key, Date.now());
+    // Keep the other bots away from it for the same cooldown
+    this.bot.coordination?.claimPosition(position, this.harvestCooldown);
   }
 
   /**
@@ -370,6 +439,12 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
         depth++;
       }
 
+      // Another fleet bot may be walking to the same cane
+      if (this.bot.coordination && !this.bot.coordination.claimPosition(baseBlock.position)) {
+        logger.debug(`Sugarcane at ${baseBlock.position} is claimed by another bot, skipping`);
+        return;
+      }
+
       // Always move close to the sugarcane before harvesting
       const currentPos = this.bot.entity.position;
       const distance = currentPos.distanceTo(block.position);
@@ -378,27 +453,10 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       
       if (distance > 4.5) {
         try {
-          if (!this.pathfinder) {
-            // Try to get pathfinder again if it wasn't available during load
-            const navigation = this.pluginLoader.getPlugin('Navigation');
-            if (navigation && navigation.pathfinder) {
-              this.pathfinder = navigation.pathfinder;
-            }
-          }
-          
-          if (this.pathfinder) {
-            logger.debug(`Moving to sugarcane at ${block.position.x}, ${block.position.y}, ${block.position.z}...`);
-            await this.pathfinder.goto(block.position.x, block.position.y, block.position.z, 3);
-            logger.debug('Arrived at sugarcane');
-          } else {
-            logger.warn('Pathfinder not available - trying direct movement');
-            // Fallback: use bot.pathfinder directly
-            const pathfinderModule = await import('mineflayer-pathfinder');
-            const { goals } = pathfinderModule;
-            const goal = new goals.GoalNear(block.position.x, block.position.y, block.position.z, 3);
-            this.bot.pathfinder.setGoal(goal);
-            await sleep(2000); // Wait for movement
-          }
+          logger.debug(`Moving to sugarcane at ${block.position.x}, ${block.position.y}, ${block.position.z}...`);
+          // Waits out (and then resumes after) movement by higher priority plugins
+          await this.lease.goto(block.position.x, block.position.y, block.position.z, 3);
+          logger.debug('Arrived at sugarcane');
         } catch (navError) {
           logger.debug(`Could not navigate to sugarcane: ${navError.message}`);
         }
@@ -406,11 +464,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
         logger.debug('Already close enough to sugarcane');
       }
 
-      // Stop ALL pathfinding before digging
-      if (this.pathfinder) {
-        this.pathfinder.stop();
-      }
-      this.bot.pathfinder.setGoal(null);
+      // Farming may have stopped or been preempted on the way
+      if (!this.lease?.isActive) return;
       
       // Wait for bot to fully stop moving and for any ongoing actions to complete
       await sleep(800);
@@ -448,6 +503,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       }
       
       this.harvestCount++;
+      this.store.incrementState('totalHarvested');
+      this.bot.emit('harvest', { plugin: this.name, crop: 'sugar_cane', total: this.harvestCount });
       // Mark the base position as harvested to prevent immediate re-harvest
       this.markHarvested(baseBlock.position);
       
@@ -539,25 +596,14 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       }
 
       // Find ALL dropped sugarcane in the farm area
+      const region = this.getSearchRegion();
       const droppedSugarcane = Object.values(this.bot.entities).filter(entity => {
         if (!entity || entity.name !== 'item') return false;
         if (!entity.position) return false;
         
         // Check if in farm area
-        if (this.farmArea) {
-          const { corner1, corner2 } = this.farmArea;
-          const minX = Math.min(corner1.x, corner2.x);
-          const maxX = Math.max(corner1.x, corner2.x);
-          const minY = Math.min(corner1.y, corner2.y) - 1;
-          const maxY = Math.max(corner1.y, corner2.y) + 3;
-          const minZ = Math.min(corner1.z, corner2.z);
-          const maxZ = Math.max(corner1.z, corner2.z);
-          
-          if (entity.position.x < minX || entity.position.x > maxX ||
-              entity.position.y < minY || entity.position.y > maxY ||
-              entity.position.z < minZ || entity.position.z > maxZ) {
-            return false;
-          }
+        if (region && !region.contains(entity.position)) {
+          return false;
         }
         
         // Check if it's sugarcane
@@ -599,6 +645,29 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
     }
   }
 
+  /**
+   * Pick up the pathfinder of a reloaded Navigation plugin
+   */
+  onDependencyChanged(name, plugin) {
+    if (name === 'Navigation') {
+      this.pathfinder = plugin?.pathfinder || null;
+    }
+  }
+
+  /**
+   * Report an edited farm region; it is read from Navigation's registry on every use
+   */
+  updateConfig(newConfig, change) {
+    super.updateConfig(newConfig);
+    if (change?.file !== 'waypoints' && !change?.changes.some(entry => entry.path === 'sugarcaneFarm.region')) return;
+
+    if (this.getFarmRegion()) {
+      logger.info(`Sugarcane farm region '${this.getRegionName()}' updated`);
+    } else {
+      logger.warn(`Sugarcane farm region '${this.getRegionName()}' is no longer defined`);
+    }
+  }
+
   /**
    * Get plugin status
    */
@@ -607,7 +676,8 @@ class SugarcaneFarm extends BaseBehaviorPlugin {
       ...super.getStatus(),
       isFarming: this.isFarming,
       harvestCount: this.harvestCount,
-      farmArea: this.farmArea
+      totalHarvested: this.store.getState('totalHarvested', 0),
+      farmArea: this.getFarmRegion()?.toJSON() || null
     };
   }
 }
@@ -0,0 +1,421 @@
+import http from 'http';
+import IPlugin from '../../interfaces/IPlugin.js';
+import rootLogger from '../../utils/Logger.js';
+import ChatParser from '../../utils/ChatParser.js';
+import { getBotClient, sleep } from '../../utils/helpers/asyncHelpers.js';
+import { getRequestToken, tokensMatch, toJson } from '../../utils/helpers/httpHelpers.js';
+
+const logger = rootLogger.child({ plugin: 'ControlApi' });
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+const PLUGIN_ACTIONS = {
+  enable: 'enablePlugin',
+  disable: 'disablePlugin',
+  reload: 'reloadPlugin'
+};
+
+// Plugins that serve API requests cannot be unloaded from inside one
+const SERVING_PLUGINS = ['controlapi', 'webdashboard'];
+
+/**
+ * HttpError - Error carrying the HTTP status to respond with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Route result sent as-is instead of as JSON
+ */
+class TextResponse {
+  constructor(text, contentType = 'text/plain; charset=utf-8') {
+    this.text = text;
+    this.contentType = contentType;
+  }
+}
+
+/**
+ * ControlApi Plugin - Local HTTP/JSON API for status, waypoints and commands
+ * Every request must carry the CONTROL_API_TOKEN from .env as a Bearer token.
+ */
+class ControlApi extends IPlugin {
+  static optionalDependencies = ['StateMachine', 'Navigation'];
+
+  static configSchema = {
+    controlApi: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        port: { type: 'integer', min: 1, max: 65535, default: 3002 },
+        host: { type: 'string', minLength: 1, default: '127.0.0.1' },
+        token: { type: 'string' },
+        username: { type: 'string', minLength: 1, default: 'ControlAPI' },
+        commandWaitMs: { type: 'integer', min: 0, default: 1000 }
+      }
+    }
+  };
+
+  constructor(bot, config = {}) {
+    super('ControlApi', bot, config);
+    this.server = null;
+    this.port = config.port || 3002;
+    this.host = config.host || '127.0.0.1';
+    this.token = config.token || null;
+    this.username = config.username || 'ControlAPI';
+    this.commandWait = config.commandWaitMs ?? 1000;
+    this.botClient = null;
+    this.routes = [];
+    this.isRunning = false;
+    this.requestCount = 0;
+  }
+
+  async load() {
+    try {
+      if (!this.config.enabled) {
+        logger.info('ControlApi is disabled in config');
+        return;
+      }
+
+      if (!this.token) {
+        logger.error('ControlApi: CONTROL_API_TOKEN is not set in .env, refusing to start without authentication');
+        return;
+      }
+
+      this.botClient = await getBotClient(this.bot);
+      this.setupRoutes();
+
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, resolve);
+      });
+
+      this.isRunning = true;
+      this.isLoaded = true;
+      logger.success(`ControlApi listening on http://${this.host}:${this.port}/api`);
+    } catch (error) {
+      logger.error('Failed to load ControlApi plugin', error);
+      throw error;
+    }
+  }
+
+  async unload() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+      logger.info('ControlApi server stopped');
+    }
+
+    this.isRunning = false;
+    this.unregisterAllEvents();
+    this.isLoaded = false;
+  }
+
+  /**
+   * Declare the API routes
+   */
+  setupRoutes() {
+    this.route('GET', '/api/status', () => this.botClient.getStatus());
+    this.route('GET', '/api/events', () => this.botClient.getEventManager()?.getStats() || {});
+    this.route('GET', '/api/metrics', () => this.botClient.getMetrics().toJSON());
+    this.route('GET', '/metrics', () => new TextResponse(this.botClient.getMetrics().toPrometheus(), 'text/plain; version=0.0.4; charset=utf-8'));
+
+    this.route('GET', '/api/fleet', () => this.botClient.fleet?.getStatus() || { bots: [] });
+    this.route('GET', '/api/coordination', () => this.botClient.getCoordinationBus().getStatus());
+    this.route('GET', '/api/logs', ({ query }) => ({
+      logs: logger.getHistory({
+        bot: query.get('bot') || null,
+        level: query.get('level') || null,
+        limit: parseInt(query.get('limit')) || 100
+      })
+    }));
+
+    this.route('GET', '/api/plugins', () => this.getPluginLoader().getStats());
+    this.route('GET', '/api/plugins/available', () => this.getPluginLoader().listPlugins());
+    this.route('GET', '/api/plugins/:name', ({ params }) => this.getPlugin(params.name).getStatus());
+    this.route('POST', '/api/plugins/:name/:action', ({ params }) => this.changePlugin(params.name, params.action));
+
+    this.route('GET', '/api/state', ({ query }) => {
+      const stateMachine = this.getPlugin('StateMachine');
+      const limit = parseInt(query.get('limit')) || 10;
+      return {
+        state: stateMachine.getState(),
+        history: stateMachine.getHistory(limit)
+      };
+    });
+
+    this.route('GET', '/api/waypoints', () => this.getPlugin('Navigation').getWaypoints());
+    // Registered before /api/waypoints/:name so the pack routes are matched first
+    this.route('GET', '/api/waypoints/export', ({ query }) => this.getPlugin('Navigation').exportWaypoints(query.get('filter')));
+    this.route('POST', '/api/waypoints/import', ({ query, body }) => {
+      try {
+        return this.getPlugin('Navigation').importWaypoints(body, { overwrite: query.get('overwrite') === 'true' });
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+    });
+    this.route('GET', '/api/waypoints/:name', ({ params }) => {
+      const waypoint = this.getPlugin('Navigation').getWaypoint(params.name);
+      if (!waypoint) {
+        throw new HttpError(404, `Waypoint '${params.name}' not found`);
+      }
+      return { name: params.name, ...waypoint };
+    });
+    this.route('POST', '/api/waypoints', ({ body }) => {
+      if (!body.name) {
+        throw new HttpError(400, 'Waypoint name is required');
+      }
+      return this.saveWaypoint(body.name, body);
+    }, 201);
+    this.route('PUT', '/api/waypoints/:name', ({ params, body }) => this.saveWaypoint(params.name, body));
+    this.route('DELETE', '/api/waypoints/:name', ({ params }) => {
+      if (!this.getPlugin('Navigation').deleteWaypoint(params.name)) {
+        throw new HttpError(404, `Waypoint '${params.name}' not found`);
+      }
+      return { deleted: params.name };
+    });
+
+    this.route('GET', '/api/commands', () => this.listCommands());
+    this.route('POST', '/api/commands', ({ body }) => {
+      if (typeof body.command !== 'string' || !body.command.trim()) {
+        throw new HttpError(400, 'Body must contain a command string, e.g. {"command": "farm start"}');
+      }
+      return this.runCommand(body.command);
+    });
+    this.route('POST', '/api/commands/:name', ({ params, body }) => {
+      const args = Array.isArray(body.args) ? body.args : String(body.args ?? '').split(/\s+/);
+      return this.runCommand([params.name, ...args].join(' '));
+    });
+  }
+
+  /**
+   * Register a route; `:param` segments are captured into params
+   */
+  route(method, pattern, handler, status = 200) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+    this.routes.push({ method, regex, keys, handler, status });
+  }
+
+  /**
+   * Authenticate, route and answer a request
+   */
+  async handleRequest(req, res) {
+    this.requestCount++;
+
+    try {
+      if (!tokensMatch(this.token, getRequestToken(req))) {
+        throw new HttpError(401, 'Missing or invalid API token');
+      }
+
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      const matches = this.routes.filter(route => route.regex.test(url.pathname));
+      if (matches.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const route = matches.find(entry => entry.method === req.method);
+      if (!route) {
+        throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+      }
+
+      const values = route.regex.exec(url.pathname).slice(1);
+      const params = Object.fromEntries(route.keys.map((key, i) => [key, this.decodeParam(key, values[i])]));
+      const body = ['POST', 'PUT'].includes(req.method) ? await this.readBody(req) : {};
+
+      const result = await route.handler({ params, query: url.searchParams, body });
+      this.send(res, route.status, result);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        logger.error('ControlApi request failed', error);
+      }
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Decode a path parameter
+   * @throws {HttpError} 400 for malformed percent-encoding
+   */
+  decodeParam(key, value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      throw new HttpError(400, `Malformed ${key} in URL`);
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body, which must be an object
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+
+      req.on('data', chunk => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+
+      req.on('end', () => {
+        if (!data) return resolve({});
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (error) {
+          return reject(new HttpError(400, 'Invalid JSON body'));
+        }
+        // Handlers read fields off the body, so null, arrays and bare values are refused here
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(new HttpError(400, 'JSON body must be an object'));
+        }
+        resolve(body);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Write a JSON response, or a text one for a TextResponse
+   */
+  send(res, status, data) {
+    const isText = data instanceof TextResponse;
+    const payload = isText ? data.text : toJson(data ?? {});
+    res.writeHead(status, {
+      'Content-Type': isText ? data.contentType : 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  getPluginLoader() {
+    const pluginLoader = this.botClient.getPluginLoader();
+    if (!pluginLoader) {
+      throw new HttpError(503, 'Plugins are not loaded yet');
+    }
+    return pluginLoader;
+  }
+
+  getPlugin(name) {
+    const plugin = this.getPluginLoader().getPlugin(name);
+    if (!plugin) {
+      throw new HttpError(404, `Plugin '${name}' is not loaded`);
+    }
+    return plugin;
+  }
+
+  /**
+   * Enable, disable or reload a plugin through the PluginLoader
+   */
+  async changePlugin(name, action) {
+    const method = PLUGIN_ACTIONS[action];
+    if (!method) {
+      throw new HttpError(404, `Unknown plugin action '${action}', use ${Object.keys(PLUGIN_ACTIONS).join(', ')}`);
+    }
+    if (SERVING_PLUGINS.includes(name.toLowerCase())) {
+      throw new HttpError(409, `${name} is serving this request; use !plugin ${action} ${name} in game instead`);
+    }
+
+    const pluginLoader = this.getPluginLoader();
+    try {
+      await pluginLoader.findPlugin(name);
+    } catch (error) {
+      throw new HttpError(404, error.message);
+    }
+
+    try {
+      return await pluginLoader[method](name);
+    } catch (error) {
+      throw new HttpError(409, error.message);
+    }
+  }
+
+  saveWaypoint(name, body) {
+    const waypoint = {
+      x: Number(body.x),
+      y: Number(body.y),
+      z: Number(body.z),
+      description: body.description || 'Added by API',
+      dimension: body.dimension,
+      category: body.category,
+      tags: body.tags,
+      portalTo: body.portalTo
+    };
+
+    try {
+      return { name, ...this.getPlugin('Navigation').setWaypoint(name, waypoint) };
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  listCommands() {
+    const registry = this.bot.commandRegistry;
+    return registry.getCommands().map(({ command, owner }) => ({
+      name: command.name,
+      description: command.description,
+      usage: `${registry.prefix}${command.usage}`,
+      aliases: command.aliases,
+      permission: command.permission,
+      owner
+    }));
+  }
+
+  /**
+   * Run a command line as if it were typed in chat and collect its replies
+   * Long-running commands (e.g. goto) keep going after the response is sent.
+   */
+  async runCommand(line) {
+    const registry = this.bot.commandRegistry;
+    const parsed = ChatParser.parseCommand(`${registry.prefix}${line.trim()}`, registry.prefix);
+    const command = parsed && registry.get(parsed.command);
+    if (!command) {
+      throw new HttpError(404, `Unknown command: ${parsed?.command || line}`);
+    }
+
+    const replies = [];
+    const context = {
+      bot: this.bot,
+      username: this.username,
+      channel: 'api',
+      reply: message => replies.push(String(message)),
+      authorized: true
+    };
+
+    logger.info(`ControlApi: running ${registry.prefix}${line.trim()}`);
+    const execution = registry.execute(command, this.bot, this.username, parsed.args, parsed.rawArgs, context);
+    const finished = await Promise.race([execution, sleep(this.commandWait).then(() => null)]);
+
+    return {
+      command: command.name,
+      args: parsed.args,
+      ok: finished !== false,
+      pending: finished === null,
+      replies
+    };
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      isRunning: this.isRunning,
+      port: this.port,
+      url: this.isRunning ? `http://${this.host}:${this.port}/api` : null,
+      requestCount: this.requestCount
+    };
+  }
+}
+
+export default ControlApi;
@@ -0,0 +1,223 @@
+import IPlugin from '../../interfaces/IPlugin.js';
+import EventBus from '../../core/EventBus.js';
+import rootLogger from '../../utils/Logger.js';
+import { getBotClient } from '../../utils/helpers/asyncHelpers.js';
+import { getRequestToken, tokensMatch, toJson } from '../../utils/helpers/httpHelpers.js';
+
+const logger = rootLogger.child({ plugin: 'LiveEvents' });
+
+// Topics published by the core; plugins may add more under bot.*
+const TOPICS = ['state', 'statemachine', 'combat', 'farm', 'deposit', 'food', 'navigation', 'chat', 'log', 'reconnect', 'coordination', 'config', 'bot'];
+
+// Skip events for clients that stop reading instead of buffering without limit
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * LiveEvents Plugin - WebSocket stream of event bus topics
+ * Clients connect with ?token=<CONTROL_API_TOKEN>&topics=state.health,combat and can
+ * change their subscriptions by sending {"action": "subscribe", "topics": [...]}.
+ */
+class LiveEvents extends IPlugin {
+  static configSchema = {
+    liveEvents: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        port: { type: 'integer', min: 1, max: 65535, default: 3003 },
+        host: { type: 'string', minLength: 1, default: '127.0.0.1' },
+        token: { type: 'string' },
+        heartbeatMs: { type: 'integer', min: 1000, default: 30000 }
+      }
+    }
+  };
+
+  constructor(bot, config = {}) {
+    super('LiveEvents', bot, config);
+    this.server = null;
+    this.port = config.port || 3003;
+    this.host = config.host || '127.0.0.1';
+    this.token = config.token || null;
+    this.heartbeatMs = config.heartbeatMs || 30000;
+    this.eventBus = null;
+    this.clients = new Set(); // { socket, topics: Set, isAlive }
+    this.unsubscribe = null;
+    this.heartbeatInterval = null;
+    this.isRunning = false;
+    this.eventsSent = 0;
+  }
+
+  async load() {
+    try {
+      if (!this.config.enabled) {
+        logger.info('LiveEvents is disabled in config');
+        return;
+      }
+
+      if (!this.token) {
+        logger.error('LiveEvents: CONTROL_API_TOKEN is not set in .env, refusing to start without authentication');
+        return;
+      }
+
+      this.eventBus = this.bot.eventBus || (await getBotClient(this.bot)).getEventBus();
+
+      let WebSocketServer;
+      try {
+        ({ WebSocketServer } = await import('ws'));
+      } catch (error) {
+        logger.warn('ws not installed, skipping LiveEvents plugin');
+        logger.info('Install with: npm install ws');
+        return;
+      }
+
+      this.server = new WebSocketServer({
+        port: this.port,
+        host: this.host,
+        verifyClient: ({ req }) => tokensMatch(this.token, getRequestToken(req))
+      });
+      this.server.on('connection', (socket, req) => this.handleConnection(socket, req));
+      this.server.on('error', (error) => logger.error('LiveEvents server error', error));
+
+      // One bus subscription fans out to every client
+      this.unsubscribe = this.eventBus.subscribe('*', (event) => this.broadcast(event));
+      this.heartbeatInterval = setInterval(() => this.heartbeat(), this.heartbeatMs);
+
+      this.isRunning = true;
+      this.isLoaded = true;
+      logger.success(`LiveEvents streaming on ws://${this.host}:${this.port}`);
+    } catch (error) {
+      logger.error('Failed to load LiveEvents plugin', error);
+      throw error;
+    }
+  }
+
+  async unload() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    if (this.server) {
+      for (const client of this.clients) {
+        client.socket.close(1001, 'Server shutting down');
+      }
+      this.clients.clear();
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+      logger.info('LiveEvents server stopped');
+    }
+
+    this.isRunning = false;
+    this.unregisterAllEvents();
+    this.isLoaded = false;
+  }
+
+  /**
+   * Register a new client and apply the topics from its connection URL
+   */
+  handleConnection(socket, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const topics = (url.searchParams.get('topics') || '').split(',').map(t => t.trim()).filter(Boolean);
+    const client = { socket, topics: new Set(topics), isAlive: true };
+    this.clients.add(client);
+
+    logger.info(`LiveEvents client connected (${this.clients.size} total)`);
+    this.sendTo(client, { type: 'welcome', topics: TOPICS, subscribed: Array.from(client.topics) });
+
+    socket.on('pong', () => {
+      client.isAlive = true;
+    });
+    socket.on('message', (data) => this.handleMessage(client, data));
+    socket.on('close', () => {
+      this.clients.delete(client);
+      logger.info(`LiveEvents client disconnected (${this.clients.size} total)`);
+    });
+    socket.on('error', (error) => logger.warn(`LiveEvents client error: ${error.message}`));
+  }
+
+  /**
+   * Handle subscribe/unsubscribe/history requests from a client
+   */
+  handleMessage(client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendTo(client, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const topics = Array.isArray(message.topics) ? message.topics.map(String) : [];
+
+    switch (message.action) {
+    case 'subscribe':
+      topics.forEach(topic => client.topics.add(topic));
+      this.sendTo(client, { type: 'subscribed', topics: Array.from(client.topics) });
+      break;
+    case 'unsubscribe':
+      topics.forEach(topic => client.topics.delete(topic));
+      this.sendTo(client, { type: 'subscribed', topics: Array.from(client.topics) });
+      break;
+    case 'history': {
+      const patterns = topics.length > 0 ? topics : Array.from(client.topics);
+      this.sendTo(client, { type: 'history', events: this.eventBus.getHistory(patterns, message.limit || 50) });
+      break;
+    }
+    case 'ping':
+      this.sendTo(client, { type: 'pong', timestamp: Date.now() });
+      break;
+    default:
+      this.sendTo(client, { type: 'error', message: `Unknown action: ${message.action}` });
+    }
+  }
+
+  /**
+   * Forward a bus event to every client subscribed to its topic
+   */
+  broadcast(event) {
+    for (const client of this.clients) {
+      const subscribed = Array.from(client.topics).some(pattern => EventBus.matches(pattern, event.topic));
+      if (!subscribed) continue;
+
+      if (client.socket.bufferedAmount > MAX_BUFFERED_BYTES) continue;
+      this.sendTo(client, { type: 'event', ...event });
+      this.eventsSent++;
+    }
+  }
+
+  sendTo(client, payload) {
+    if (client.socket.readyState !== client.socket.OPEN) return;
+    client.socket.send(toJson(payload));
+  }
+
+  /**
+   * Drop clients that stopped answering pings
+   */
+  heartbeat() {
+    for (const client of this.clients) {
+      if (!client.isAlive) {
+        client.socket.terminate();
+        this.clients.delete(client);
+        continue;
+      }
+      client.isAlive = false;
+      client.socket.ping();
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      isRunning: this.isRunning,
+      port: this.port,
+      url: this.isRunning ? `ws://${this.host}:${this.port}` : null,
+      clients: this.clients.size,
+      eventsSent: this.eventsSent
+    };
+  }
+}
+
+export default LiveEvents;
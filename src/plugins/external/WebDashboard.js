@@ -0,0 +1,155 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import IPlugin from '../../interfaces/IPlugin.js';
+import rootLogger from '../../utils/Logger.js';
+import { getBotClient } from '../../utils/helpers/asyncHelpers.js';
+import { toJson } from '../../utils/helpers/httpHelpers.js';
+
+const logger = rootLogger.child({ plugin: 'WebDashboard' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ASSETS = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+  '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+/**
+ * WebDashboard Plugin - Browser control panel for the bot
+ * Serves a static page and forwards /api/* to the ControlApi plugin, so the
+ * dashboard uses the same endpoints and token as scripts do.
+ */
+class WebDashboard extends IPlugin {
+  static optionalDependencies = ['ControlApi', 'LiveEvents'];
+
+  static configSchema = {
+    webDashboard: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        port: { type: 'integer', min: 1, max: 65535, default: 3004 },
+        host: { type: 'string', minLength: 1, default: '127.0.0.1' },
+        refreshMs: { type: 'integer', min: 500, default: 5000 }
+      }
+    }
+  };
+
+  constructor(bot, config = {}) {
+    super('WebDashboard', bot, config);
+    this.server = null;
+    this.port = config.port || 3004;
+    this.host = config.host || '127.0.0.1';
+    this.assetsDir = path.join(__dirname, 'dashboard');
+    this.pluginLoader = null;
+    this.isRunning = false;
+  }
+
+  async load() {
+    try {
+      if (!this.config.enabled) {
+        logger.info('WebDashboard is disabled in config');
+        return;
+      }
+
+      const botClient = await getBotClient(this.bot);
+      this.pluginLoader = botClient.getPluginLoader();
+
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, resolve);
+      });
+
+      this.isRunning = true;
+      this.isLoaded = true;
+      logger.success(`WebDashboard server started on port ${this.port}`);
+      logger.info(`Access dashboard at: http://localhost:${this.port}`);
+    } catch (error) {
+      logger.error('Failed to load WebDashboard plugin', error);
+      throw error;
+    }
+  }
+
+  async unload() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+      logger.info('WebDashboard server stopped');
+    }
+
+    this.isRunning = false;
+    this.unregisterAllEvents();
+    this.isLoaded = false;
+  }
+
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname.startsWith('/api/')) {
+      const controlApi = this.pluginLoader?.getPlugin('ControlApi');
+      if (!controlApi?.isRunning) {
+        this.sendJson(res, 503, { error: 'ControlApi is not running - enable controlApi in settings.json and set CONTROL_API_TOKEN' });
+        return;
+      }
+      controlApi.handleRequest(req, res);
+      return;
+    }
+
+    if (pathname === '/config.json') {
+      this.sendJson(res, 200, this.getClientConfig());
+      return;
+    }
+
+    const asset = ASSETS[pathname];
+    if (!asset || req.method !== 'GET') {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    fs.readFile(path.join(this.assetsDir, asset.file), (error, content) => {
+      if (error) {
+        logger.error(`WebDashboard failed to read ${asset.file}`, error);
+        this.sendJson(res, 500, { error: 'Failed to read dashboard asset' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': asset.type, 'Cache-Control': 'no-cache' });
+      res.end(content);
+    });
+  }
+
+  /**
+   * Public settings the page needs; never includes the token
+   */
+  getClientConfig() {
+    const liveEvents = this.pluginLoader?.getPlugin('LiveEvents');
+    return {
+      username: this.bot.username,
+      commandPrefix: this.bot.commandRegistry?.prefix || '!',
+      refreshMs: this.config.refreshMs || 5000,
+      liveEvents: liveEvents?.isRunning ? { port: liveEvents.port } : null
+    };
+  }
+
+  sendJson(res, status, data) {
+    const payload = toJson(data);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      isRunning: this.isRunning,
+      port: this.port,
+      url: this.isRunning ? `http://localhost:${this.port}` : null
+    };
+  }
+}
+
+export default WebDashboard;
@@ -1,11 +1,23 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
+
+const logger = rootLogger.child({ plugin: 'WebInventory' });
 
 /**
  * WebInventory Plugin - Wrapper for mineflayer-web-inventory
  * Provides a web interface to view bot's inventory
  */
 class WebInventory extends IPlugin {
+  static configSchema = {
+    webInventory: {
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        port: { type: 'integer', min: 1, max: 65535, default: 3001 },
+        host: { type: 'string', minLength: 1, default: '0.0.0.0' }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('WebInventory', bot, config);
     this.webServer = null;
@@ -49,6 +61,15 @@ class WebInventory extends IPlugin {
     }
   }
 
+  /**
+   * The inventory server reads a single bot, so restart it against the new one
+   */
+  async onBotReplaced(newBot) {
+    await this.unload();
+    await super.onBotReplaced(newBot);
+    await this.load();
+  }
+
   async unload() {
     if (this.webServer && this.isRunning) {
       try {
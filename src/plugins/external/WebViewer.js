@@ -1,11 +1,22 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import logger from '../../utils/Logger.js';
+import rootLogger from '../../utils/Logger.js';
+
+const logger = rootLogger.child({ plugin: 'WebViewer' });
 
 /**
  * WebViewer Plugin - Wrapper for prismarine-viewer
  * Provides a web interface to view the bot's perspective
  */
 class WebViewer extends IPlugin {
+  static configSchema = {
+    webViewer: {
+      properties: {
+        port: { type: 'integer', min: 1, max: 65535, default: 3000 },
+        firstPerson: { type: 'boolean', default: true }
+      }
+    }
+  };
+
   constructor(bot, config = {}) {
     super('WebViewer', bot, config);
     this.viewer = null;
@@ -58,6 +69,15 @@ class WebViewer extends IPlugin {
     }
   }
 
+  /**
+   * The viewer renders a single bot, so restart it against the new one
+   */
+  async onBotReplaced(newBot) {
+    await this.unload();
+    await super.onBotReplaced(newBot);
+    await this.load();
+  }
+
   async unload() {
     if (this.viewer && this.isRunning) {
       try {
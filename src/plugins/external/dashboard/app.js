@@ -0,0 +1,332 @@
+/* eslint-env browser */
+
+/**
+ * Dashboard client - talks to the ControlApi through /api and to LiveEvents over WebSocket
+ */
+(() => {
+  const TOKEN_KEY = 'botDashboardToken';
+  const FARM_PLUGINS = ['AutoFarm', 'SugarcaneFarm', 'DepositWheat', 'DepositSugarcane'];
+  const LIVE_TOPICS = ['statemachine', 'combat', 'farm', 'deposit', 'chat', 'reconnect', 'state.health', 'state.food', 'log.warn', 'log.error'];
+  const HIDDEN_STATUS_KEYS = ['name', 'farmArea', 'inventoryData'];
+
+  let config = { commandPrefix: '!', refreshMs: 5000, liveEvents: null };
+  let token = localStorage.getItem(TOKEN_KEY);
+  let refreshTimer = null;
+  let refreshPending = null;
+  let socket = null;
+
+  const $ = id => document.getElementById(id);
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[c]);
+  }
+
+  function formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+    if (typeof value === 'object') {
+      if ('x' in value && 'y' in value && 'z' in value) {
+        return [value.x, value.y, value.z].map(n => Math.floor(n)).join(', ');
+      }
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : '-';
+  }
+
+  async function api(method, path, body) {
+    const response = await fetch(path, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      showLogin('Token rejected');
+      throw new Error('Unauthorized');
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  }
+
+  function setConnected(connected) {
+    const badge = $('connection');
+    badge.textContent = connected ? 'online' : 'offline';
+    badge.className = `badge ${connected ? 'badge-on' : 'badge-off'}`;
+  }
+
+  /**
+   * Rendering
+   */
+  function renderStatus(status) {
+    setConnected(Boolean(status.isRunning));
+    $('title').textContent = status.username ? `${status.username} Dashboard` : 'Bot Dashboard';
+    $('vitals').textContent = status.health !== undefined
+      ? `HP ${formatValue(status.health)} | Food ${formatValue(status.food)} | ${formatValue(status.position)}`
+      : describeReconnect(status.reconnect);
+  }
+
+  function describeReconnect(reconnect) {
+    if (!reconnect) return '';
+    if (reconnect.nextAttemptAt) {
+      const breaker = reconnect.breaker === 'closed' ? '' : `, breaker ${reconnect.breaker}`;
+      return `Reconnecting at ${formatTime(reconnect.nextAttemptAt)} (attempt ${reconnect.attempts}${breaker})`;
+    }
+    const decision = reconnect.lastDecision;
+    if (decision?.action === 'stop') {
+      return `Not reconnecting: ${decision.rule} ${decision.reason}`.trim();
+    }
+    return '';
+  }
+
+  function renderState(state) {
+    $('state').textContent = state.state || '-';
+    $('history').innerHTML = state.history.slice().reverse()
+      .map(entry => `<li><span>${escapeHtml(entry.state)}</span><span class="muted">${formatTime(entry.timestamp)}</span></li>`)
+      .join('') || '<li class="muted">No state changes yet</li>';
+  }
+
+  function renderPlugins(stats) {
+    $('plugins').innerHTML = stats.plugins.map(plugin => {
+      const status = typeof plugin.status === 'object' ? plugin.status : {};
+      const rows = Object.entries(status)
+        .filter(([key]) => !HIDDEN_STATUS_KEYS.includes(key))
+        .map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(formatValue(value))}</dd>`)
+        .join('');
+      return `<div class="plugin"><h3>${escapeHtml(plugin.name)} <span class="muted">${escapeHtml(plugin.category)}</span></h3><dl>${rows}</dl></div>`;
+    }).join('');
+  }
+
+  function renderFarmStats(stats) {
+    const byName = Object.fromEntries(stats.plugins.map(plugin => [plugin.name, plugin.status || {}]));
+    const rows = [];
+
+    for (const name of FARM_PLUGINS) {
+      const status = byName[name];
+      if (!status) continue;
+
+      if ('harvestCount' in status) {
+        rows.push([`${name} harvested`, status.harvestCount]);
+      }
+      if ('totalHarvested' in status) {
+        rows.push([`${name} all time`, status.totalHarvested]);
+      }
+      if ('plantCount' in status) {
+        rows.push([`${name} planted`, status.plantCount]);
+      }
+      if ('isFarming' in status) {
+        rows.push([`${name} running`, status.isFarming]);
+      }
+      if ('itemsDeposited' in status) {
+        rows.push([`${name} items`, `${status.itemsDeposited} in ${status.depositCount} trips`]);
+        rows.push([`${name} last`, formatTime(status.lastDepositAt)]);
+      }
+    }
+
+    $('farm-stats').innerHTML = rows
+      .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(formatValue(value))}</td></tr>`)
+      .join('') || '<tr><td class="muted">No farming plugins loaded</td></tr>';
+  }
+
+  function renderWaypoints(waypoints) {
+    const entries = Object.entries(waypoints);
+    $('waypoints').innerHTML = entries
+      .map(([name, wp]) => `<li><span>${escapeHtml(name)} <span class="muted">${escapeHtml(formatValue(wp))}</span></span><button data-goto="${escapeHtml(name)}">Go</button></li>`)
+      .join('') || '<li class="muted">No waypoints saved</li>';
+  }
+
+  function renderFleet(fleet) {
+    const select = $('log-bot');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All bots</option>' + fleet.bots
+      .map(bot => `<option value="${escapeHtml(bot.id)}">${escapeHtml(bot.id)}${bot.isRunning ? '' : ' (offline)'}</option>`)
+      .join('');
+    select.value = selected;
+    select.hidden = fleet.bots.length < 2;
+  }
+
+  function renderLogs(logs) {
+    $('logs').innerHTML = logs.slice().reverse().map(record => {
+      const bot = record.bot ? `[${record.bot}] ` : '';
+      const className = record.level === 'error' ? 'error' : '';
+      return `<li class="${className}"><span>${escapeHtml(bot)}<strong>${escapeHtml(record.level)}</strong> ${escapeHtml(record.message)}</span><span class="muted">${formatTime(record.timestamp)}</span></li>`;
+    }).join('') || '<li class="muted">No log records</li>';
+  }
+
+  function logConsole(line, className = '') {
+    const log = $('console-log');
+    const row = document.createElement('div');
+    row.textContent = line;
+    if (className) row.className = className;
+    log.appendChild(row);
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function logEvent(event) {
+    const list = $('events');
+    const item = document.createElement('li');
+    const data = event.data && typeof event.data === 'object'
+      ? (event.data.message || JSON.stringify(event.data))
+      : formatValue(event.data);
+    item.innerHTML = `<span><strong>${escapeHtml(event.topic)}</strong> ${escapeHtml(data)}</span><span class="muted">${formatTime(event.timestamp)}</span>`;
+    list.prepend(item);
+    while (list.children.length > 100) {
+      list.removeChild(list.lastChild);
+    }
+  }
+
+  /**
+   * Data loading
+   */
+  async function refresh() {
+    try {
+      const [status, plugins, waypoints] = await Promise.all([
+        api('GET', '/api/status'),
+        api('GET', '/api/plugins'),
+        api('GET', '/api/waypoints').catch(() => ({}))
+      ]);
+      renderStatus(status);
+      renderPlugins(plugins);
+      renderFarmStats(plugins);
+      renderWaypoints(waypoints);
+
+      const state = await api('GET', '/api/state?limit=15').catch(() => null);
+      if (state) renderState(state);
+
+      await refreshLogs();
+    } catch (error) {
+      setConnected(false);
+      if (error.message !== 'Unauthorized') {
+        logConsole(`Refresh failed: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  async function refreshLogs() {
+    const fleet = await api('GET', '/api/fleet').catch(() => null);
+    if (fleet) renderFleet(fleet);
+
+    const query = new URLSearchParams({ limit: 100 });
+    if ($('log-bot').value) query.set('bot', $('log-bot').value);
+    if ($('log-level').value) query.set('level', $('log-level').value);
+    const result = await api('GET', `/api/logs?${query}`).catch(() => null);
+    if (result) renderLogs(result.logs);
+  }
+
+  // Bursts of live events trigger a single refresh
+  function scheduleRefresh() {
+    if (refreshPending) return;
+    refreshPending = setTimeout(() => {
+      refreshPending = null;
+      refresh();
+    }, 500);
+  }
+
+  async function runCommand(line) {
+    logConsole(`> ${config.commandPrefix}${line}`);
+    try {
+      const result = await api('POST', '/api/commands', { command: line });
+      result.replies.forEach(reply => logConsole(reply));
+      if (result.pending) logConsole('(still running)', 'muted');
+      if (!result.ok) logConsole('Command failed', 'error');
+      scheduleRefresh();
+    } catch (error) {
+      if (error.message !== 'Unauthorized') {
+        logConsole(error.message, 'error');
+      }
+    }
+  }
+
+  function connectLiveEvents() {
+    if (!config.liveEvents || socket) return;
+
+    const topics = LIVE_TOPICS.join(',');
+    socket = new WebSocket(`ws://${location.hostname}:${config.liveEvents.port}/?token=${encodeURIComponent(token)}&topics=${topics}`);
+
+    socket.addEventListener('message', (message) => {
+      const payload = JSON.parse(message.data);
+      if (payload.type !== 'event') return;
+      logEvent(payload);
+      if (!payload.topic.startsWith('chat') && !payload.topic.startsWith('log')) {
+        scheduleRefresh();
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      socket = null;
+      if (token) setTimeout(connectLiveEvents, 5000);
+    });
+  }
+
+  /**
+   * Login and startup
+   */
+  function showLogin(message = '') {
+    token = null;
+    localStorage.removeItem(TOKEN_KEY);
+    clearInterval(refreshTimer);
+    if (socket) socket.close();
+    $('dashboard').hidden = true;
+    $('logout').hidden = true;
+    $('login').hidden = false;
+    $('login-error').textContent = message;
+  }
+
+  async function start() {
+    $('login').hidden = true;
+    $('dashboard').hidden = false;
+    $('logout').hidden = false;
+
+    config = { ...config, ...(await fetch('/config.json').then(r => r.json()).catch(() => ({}))) };
+    $('prefix').textContent = config.commandPrefix;
+
+    await refresh();
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refresh, config.refreshMs);
+    connectLiveEvents();
+  }
+
+  $('login-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    token = $('token').value.trim();
+    localStorage.setItem(TOKEN_KEY, token);
+    start();
+  });
+
+  $('logout').addEventListener('click', () => showLogin());
+
+  $('console-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const input = $('command');
+    const raw = input.value.trim();
+    const line = raw.startsWith(config.commandPrefix) ? raw.slice(config.commandPrefix.length) : raw;
+    input.value = '';
+    if (line) runCommand(line);
+  });
+
+  $('log-bot').addEventListener('change', refreshLogs);
+  $('log-level').addEventListener('change', refreshLogs);
+
+  $('waypoints').addEventListener('click', (event) => {
+    const name = event.target.dataset?.goto;
+    if (name) runCommand(`goto ${name}`);
+  });
+
+  if (token) {
+    start();
+  } else {
+    showLogin();
+  }
+})();
@@ -1,36 +1,62 @@
 import IPlugin from '../../interfaces/IPlugin.js';
-import PathfinderUtil from '../../utils/Pathfinder.js';
-import logger from '../../utils/Logger.js';
+import RouteManager, { PATROL_MODES } from '../../utils/routes.js';
+import RegionRegistry, { CuboidRegion, PolygonRegion, SphereRegion } from '../../utils/regions.js';
+import PermissionManager from '../../core/PermissionManager.js';
 import ChatParser from '../../utils/ChatParser.js';
+import rootLogger from '../../utils/Logger.js';
+import { DEFAULT_DIMENSION, DIMENSIONS, getWaypointDimension, normalizeDimension } from '../../utils/helpers/waypointsHelper.js';
+import { isPlainObject } from '../../utils/helpers/configHelpers.js';
 import mineflayerStateMachine from 'mineflayer-statemachine';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+const logger = rootLogger.child({ plugin: 'Navigation' });
+
 const { BehaviorIdle, BehaviorFollowEntity, StateTransition } = mineflayerStateMachine;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Route patrolled by `!patrol start` without a route name
+const DEFAULT_ROUTE = 'patrol';
+
+// Shared waypoint files written by `!waypoint export` and read by `!waypoint import`
+const PACKS_DIR = path.join(__dirname, '../../../data/waypoint-packs');
+const WAYPOINT_PACK_FORMAT = 'waypoint-pack';
+const WAYPOINT_PACK_VERSION = 1;
+
+// How long to stand in a portal before giving up on the dimension change
+const PORTAL_TIMEOUT_MS = 30000;
+
 /**
  * Navigation Plugin - Handles bot movement and pathfinding
  */
 class Navigation extends IPlugin {
+  static optionalDependencies = ['StateMachine'];
+  static waypointSections = ['waypoints', 'routes', 'areas'];
+
   constructor(bot, config = {}) {
     super('Navigation', bot, config);
     this.pathfinder = null;
+    // Movement lease of the running goto, come, follow or portal trip
+    this.lease = null;
     this.waypoints = null;
     this.currentTarget = null;
     this.isFollowing = false;
     this.followTarget = null;
-    this.isPatrolling = false;
-    this.patrolRoute = [];
-    this.currentPatrolIndex = 0;
+    this.routes = null;
+    this.regions = null;
+    // Positions marked with !region pos1/pos2/point, used by the next region definition
+    this.regionMarks = { pos1: null, pos2: null, points: [] };
     this.stateMachine = null;
     this.behaviors = {};
     this.movementInterval = null;
     this.followingInterval = null;
-    this.patrolInterval = null;
+  }
+
+  get isPatrolling() {
+    return this.routes?.isPatrolling() || false;
   }
 
   async load() {
@@ -41,9 +67,27 @@ class Navigation extends IPlugin {
       // Load waypoints
       this.loadWaypoints();
       
-      // Initialize pathfinder
-      this.pathfinder = new PathfinderUtil(this.bot, this.config.physics?.pathfinder || {});
-      this.pathfinder.initialize();
+      // The pathfinder belongs to the movement arbiter; moving goes through leases
+      this.pathfinder = this.bot.movementArbiter.pathfinder;
+
+      // Routes live in waypoints.json next to the waypoints they can refer to
+      this.routes = new RouteManager(label => this.acquireMovement({ priority: 'patrol', label }), {
+        getData: () => this.getWaypointData(),
+        save: () => this.saveWaypoints(),
+        runAction: (point, patrol) => this.runRouteAction(point, patrol.starter),
+        getDimension: () => this.getDimension(),
+        onPatrolEnd: () => {
+          if (this.stateMachine?.getState() === 'patrolling') {
+            this.stateMachine.setState('idle');
+          }
+        }
+      });
+
+      // Regions (the areas section) are shared with farm, deposit and combat plugins by name
+      this.regions = new RegionRegistry({
+        getData: () => this.getWaypointData(),
+        save: () => this.saveWaypoints()
+      });
       
       // Setup navigation behaviors if state machine is available
       if (this.stateMachine) {
@@ -51,10 +95,10 @@ class Navigation extends IPlugin {
       }
       
       // Register chat commands
-      this.registerEvent('chat', this.handleChat);
+      this.registerCommands();
       
       // Register pathfinding events
-      this.bot.on('goal_reached', () => {
+      this.registerEvent('goal_reached', () => {
         logger.success('Navigation goal reached');
         this.currentTarget = null;
         
@@ -64,7 +108,7 @@ class Navigation extends IPlugin {
         }
       });
       
-      this.bot.on('path_update', (results) => {
+      this.registerEvent('path_update', (results) => {
         if (results.status === 'noPath') {
           logger.warn('No path found to target');
         }
@@ -129,7 +173,7 @@ class Navigation extends IPlugin {
       parent: 'moving',
       child: 'idle',
       name: 'moving_to_idle',
-      shouldTransition: () => !this.pathfinder.isMoving(),
+      shouldTransition: () => !this.lease && !this.pathfinder.isMoving(),
       onTransition: () => {
         logger.debug('Transitioning from moving to idle');
       }
@@ -206,8 +250,15 @@ class Navigation extends IPlugin {
     patrollingBehavior.stateName = 'patrolling';
     
     patrollingBehavior.onStateEntered = () => {
-      logger.info('Bot started patrolling route');
-      this.startPatrolling();
+      if (this.isPatrolling) return;
+
+      // Entered without !patrol start (e.g. !setstate patrolling): walk the default route
+      try {
+        this.startPatrolling(DEFAULT_ROUTE);
+      } catch (error) {
+        logger.warn(`Cannot patrol: ${error.message}`);
+        this.stateMachine.setState('idle');
+      }
     };
     
     patrollingBehavior.onStateExited = () => {
@@ -223,7 +274,8 @@ class Navigation extends IPlugin {
    */
   startMovementMonitoring() {
     this.movementInterval = setInterval(() => {
-      if (!this.pathfinder.isMoving() && this.stateMachine.getState() === 'moving') {
+      // A trip cut short by a higher priority lease is still under way
+      if (!this.lease && !this.pathfinder.isMoving() && this.stateMachine.getState() === 'moving') {
         logger.success('Movement completed, returning to idle');
         this.stateMachine.setState('idle');
       }
@@ -271,74 +323,105 @@ class Navigation extends IPlugin {
   }
 
   /**
-   * Start patrolling
+   * Start patrolling a route and enter the patrolling state
+   * @param {Object} options - { mode, index, direction, starter } (see RouteManager.startPatrol)
+   * @throws {Error} When the route is unknown or too short for the mode
    */
-  startPatrolling() {
-    this.isPatrolling = true;
-    this.currentPatrolIndex = 0;
-    this.patrolRoute = this.getPatrolRoute();
-    
-    if (this.patrolRoute.length === 0) {
-      logger.warn('No patrol route defined, returning to idle');
-      this.stateMachine.setState('idle');
-      return;
+  startPatrolling(route, options = {}) {
+    this.stopFollowing();
+    this.currentTarget = null;
+
+    const patrol = this.routes.startPatrol(route, options);
+    logger.info(`Bot started patrolling route '${route}' (${patrol.mode})`);
+    if (this.stateMachine && this.stateMachine.getState() !== 'patrolling') {
+      this.stateMachine.setState('patrolling');
     }
-    
-    this.performPatrolStep();
+    return patrol;
   }
 
   /**
    * Stop patrolling
    */
   stopPatrolling() {
-    this.isPatrolling = false;
-    if (this.patrolInterval) {
-      clearInterval(this.patrolInterval);
-      this.patrolInterval = null;
-    }
+    this.routes?.stopPatrol();
   }
 
   /**
-   * Perform one step of patrol
+   * Run a route point's action as a chat command of the player who started the patrol
+   * The command is checked against the lower role of the starter and the player who
+   * added the action, so neither can use the route to do more than they could.
    */
-  async performPatrolStep() {
-    if (!this.isPatrolling || this.patrolRoute.length === 0) return;
-    
-    const waypoint = this.patrolRoute[this.currentPatrolIndex];
-    logger.info(`Patrolling to waypoint: ${waypoint.name}`);
-    
-    try {
-      await this.gotoCoords(waypoint.x, waypoint.y, waypoint.z, true);
-      
-      // Move to next waypoint
-      this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolRoute.length;
-      
-      // Wait a bit before next waypoint
-      setTimeout(() => {
-        if (this.isPatrolling) {
-          this.performPatrolStep();
-        }
-      }, 3000);
-      
-    } catch (error) {
-      logger.error('Error during patrol step:', error);
-      this.stopPatrolling();
-      this.stateMachine.setState('idle');
+  async runRouteAction(point, starter) {
+    const registry = this.bot.commandRegistry;
+    if (!registry) return;
+
+    const action = point.action;
+    const parsed = ChatParser.parseCommand(`${registry.prefix}${action}`, registry.prefix);
+    const command = parsed && registry.get(parsed.command);
+    if (!command) {
+      logger.warn(`Patrol action skipped, unknown command: ${action}`);
+      return;
     }
+
+    const username = starter?.username || this.bot.username;
+    logger.info(`Patrol action: ${registry.prefix}${action}`);
+    await registry.execute(command, this.bot, username, parsed.args, parsed.rawArgs, {
+      bot: this.bot,
+      username,
+      channel: 'patrol',
+      reply: message => logger.info(`Patrol action ${parsed.command}: ${message}`),
+      role: this.getRouteActionRole(point.author, starter)
+    });
+  }
+
+  /**
+   * Lower of the starter's and the author's role; an action without an author was
+   * added through the control API or written into waypoints.json
+   */
+  getRouteActionRole(author, starter) {
+    const permissions = this.bot.botClient?.getPermissionManager();
+    if (!permissions) return undefined;
+
+    const roles = [starter?.authorized ? 'owner' : permissions.getRole(starter?.username)];
+    if (author) roles.push(permissions.getRole(author));
+    return roles.reduce((lowest, role) => (PermissionManager.roleAtLeast(role, lowest) ? lowest : role));
   }
 
   /**
-   * Get patrol route from waypoints
+   * Pick up the patrol, follow or goto that the disconnect interrupted
+   * (BotClient has already moved the pathfinder to the new bot)
    */
-  getPatrolRoute() {
-    // Create a simple patrol route from existing waypoints
-    const waypoints = Object.entries(this.waypoints?.waypoints || {});
-    return waypoints.map(([name, pos]) => ({
-      name,
-      x: pos.x,
-      y: pos.y,
-      z: pos.z
-    }));
+  async onBotReplaced(newBot) {
+    const patrol = this.routes.getPatrol();
+    const followTarget = this.isFollowing ? this.followTarget : null;
+    const target = this.currentTarget;
+
+    this.stopFollowing();
+    this.stopPatrolling();
+    this.stopMovementMonitoring();
+    this.stopFollowingMonitoring();
+
+    await super.onBotReplaced(newBot);
+    this.stateMachine = newBot.stateMachine;
+    this.pathfinder = newBot.movementArbiter.pathfinder;
+    this.currentTarget = null;
+
+    const log = message => logger.info(`Navigation: ${message}`);
+    if (patrol) {
+      log(`Resuming patrol of '${patrol.route}' after reconnect`);
+      try {
+        this.startPatrolling(patrol.route, patrol);
+      } catch (error) {
+        logger.warn(`Navigation: could not resume patrol - ${error.message}`);
+      }
+    } else if (followTarget) {
+      log(`Resuming follow of ${followTarget} after reconnect`);
+      this.followPlayer(followTarget, log);
+    } else if (target) {
+      log(`Resuming trip to ${target.x}, ${target.y}, ${target.z} after reconnect`);
+      this.gotoCoords(target.x, target.y, target.z, true)
+        .catch(error => logger.warn(`Navigation: could not resume trip - ${error.message}`));
+    }
   }
 
   async unload() {
@@ -346,7 +429,7 @@ class Navigation extends IPlugin {
     this.stopPatrolling();
     this.stopMovementMonitoring();
     this.stopFollowingMonitoring();
-    this.pathfinder.stop();
+    this.releaseMovement();
     this.unregisterAllEvents();
     this.isLoaded = false;
     logger.info('Navigation plugin unloaded');
@@ -365,6 +448,16 @@ class Navigation extends IPlugin {
     }
   }
 
+  /**
+   * Get the waypoints.json data, creating empty sections when nothing was loaded
+   */
+  getWaypointData() {
+    if (!this.waypoints) {
+      this.waypoints = { waypoints: {}, routes: {}, areas: {} };
+    }
+    return this.waypoints;
+  }
+
   saveWaypoints() {
     try {
       const waypointsPath = path.join(__dirname, '../../../data/waypoints.json');
@@ -375,90 +468,188 @@ class Navigation extends IPlugin {
     }
   }
 
-  async handleChat(username, message) {
-    if (username === this.bot.username) return;
-    
-    logger.debug(`Navigation received chat from ${username}: ${message}`);
-    
-    const parsed = ChatParser.parseCommand(message, this.bot.config.behavior?.chatCommandPrefix || '!');
-    if (!parsed) return;
-    
-    logger.debug(`Navigation parsed command: ${parsed.command}`);
-    
-    const { command, args } = parsed;
-    
-    try {
-      switch (command) {
-      case 'ping':
-        this.bot.chat('Pong!');
-        break;
-      case 'come':
-        await this.comeToPlayer(username);
-        break;
-      case 'follow':
-        this.followPlayer(username);
-        break;
-      case 'stop':
-        this.stop();
-        break;
-      case 'goto':
-        if (args.length === 0) {
-          this.bot.chat('Usage: !goto <waypoint> or !goto <x> <y> <z>');
-          return;
-        }
+  /**
+   * Register navigation chat commands
+   */
+  registerCommands() {
+    this.registerCommand({
+      name: 'ping',
+      description: 'Check that the bot is responding',
+      permission: 'guest',
+      handler: (username, args, rawArgs, { reply }) => reply('Pong!')
+    });
+
+    this.registerCommand({
+      name: 'come',
+      description: 'Walk to the player who sent the command',
+      handler: (username, args, rawArgs, { reply }) => this.comeToPlayer(username, reply)
+    });
+
+    this.registerCommand({
+      name: 'follow',
+      description: 'Follow the player who sent the command',
+      handler: (username, args, rawArgs, { reply }) => this.followPlayer(username, reply)
+    });
+
+    this.registerCommand({
+      name: 'stop',
+      description: 'Stop the current movement',
+      handler: (username, args, rawArgs, { reply }) => this.stop(false, reply)
+    });
+
+    this.registerCommand({
+      name: 'goto',
+      description: 'Go to a waypoint or coordinates',
+      usage: 'goto <waypoint> | goto <x> <y> <z>',
+      minArgs: 1,
+      handler: (username, args, rawArgs, { reply }) => {
         if (args.length === 3) {
-          await this.gotoCoords(parseInt(args[0]), parseInt(args[1]), parseInt(args[2]));
-        } else {
-          await this.gotoWaypoint(args[0]);
-        }
-        break;
-      case 'waypoint':
-        if (args[0] === 'add' && args[1]) {
-          this.addWaypoint(args[1]);
-        } else if (args[0] === 'list') {
-          this.listWaypoints();
+          return this.gotoCoords(parseInt(args[0]), parseInt(args[1]), parseInt(args[2]), false, reply);
         }
-        break;
-      case 'patrol':
-        if (args[0] === 'start') {
-          this.startPatrolCommand();
-        } else if (args[0] === 'stop') {
-          this.stopPatrolCommand();
-        } else if (args[0] === 'status') {
-          this.getPatrolStatus();
+        return this.gotoWaypoint(args[0], reply);
+      }
+    });
+
+    this.registerCommand({
+      name: 'waypoint',
+      description: 'Manage saved waypoints',
+      subcommands: {
+        add: { usage: 'add <name>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.addWaypoint(args[0], reply) },
+        set: {
+          usage: 'set <name> <x> <y> <z> [dimension]',
+          minArgs: 4,
+          handler: (username, args, rawArgs, { reply }) => this.setWaypointCommand(args, reply)
+        },
+        delete: { usage: 'delete <name>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.deleteWaypointCommand(args[0], reply) },
+        rename: {
+          usage: 'rename <name> <new name>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.renameWaypointCommand(args[0], args[1], reply)
+        },
+        info: { usage: 'info <name>', minArgs: 1, permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.waypointInfo(args[0], reply) },
+        near: { usage: 'near [radius]', permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.listNearbyWaypoints(args[0], reply) },
+        list: { usage: 'list [category|tag]', permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.listWaypoints(reply, args[0]) },
+        tag: {
+          usage: 'tag <name> <tag...>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.tagWaypointCommand(args[0], args.slice(1), true, reply)
+        },
+        untag: {
+          usage: 'untag <name> <tag...>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.tagWaypointCommand(args[0], args.slice(1), false, reply)
+        },
+        category: {
+          usage: 'category <name> <category|none>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.updateWaypointCommand(args[0], { category: args[1] === 'none' ? null : args[1] }, reply)
+        },
+        portal: {
+          usage: 'portal <name> <dimension|none>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.portalWaypointCommand(args[0], args[1], reply)
+        },
+        export: {
+          usage: 'export <pack> [category|tag]',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply }) => this.exportPackCommand(args[0], args[1], reply)
+        },
+        import: {
+          usage: 'import <pack> [overwrite]',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply }) => this.importPackCommand(args[0], args[1] === 'overwrite', reply)
         }
-        break;
       }
-    } catch (error) {
-      logger.error('Navigation command error', error);
-      this.bot.chat(`Error: ${error.message}`);
-    }
+    });
+
+    this.registerCommand({
+      name: 'patrol',
+      description: 'Patrol along a saved route',
+      subcommands: {
+        start: {
+          usage: `start [route] [${PATROL_MODES.join('|')}]`,
+          handler: (username, args, rawArgs, context) => this.startPatrolCommand(username, args, context)
+        },
+        stop: (username, args, rawArgs, { reply }) => this.stopPatrolCommand(reply),
+        status: { permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.getPatrolStatus(reply) }
+      }
+    });
+
+    this.registerCommand({
+      name: 'region',
+      description: 'Define and inspect named regions',
+      subcommands: {
+        pos1: (username, args, rawArgs, { reply }) => this.markRegionCorner('pos1', reply),
+        pos2: (username, args, rawArgs, { reply }) => this.markRegionCorner('pos2', reply),
+        point: (username, args, rawArgs, { reply }) => this.markRegionPoint(reply),
+        clear: (username, args, rawArgs, { reply }) => this.clearRegionMarks(reply),
+        cuboid: { usage: 'cuboid <name>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.defineCuboidRegion(args[0], reply) },
+        sphere: {
+          usage: 'sphere <name> <radius>',
+          minArgs: 2,
+          handler: (username, args, rawArgs, { reply }) => this.defineSphereRegion(args[0], args[1], reply)
+        },
+        polygon: {
+          usage: 'polygon <name> [height]',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply }) => this.definePolygonRegion(args[0], args[1], reply)
+        },
+        remove: { usage: 'remove <name>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.removeRegionCommand(args[0], reply) },
+        list: { permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.listRegions(reply) },
+        info: { usage: 'info <name>', minArgs: 1, permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.regionInfo(args[0], reply) },
+        here: { permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.regionsHere(reply) }
+      }
+    });
+
+    this.registerCommand({
+      name: 'route',
+      description: 'Manage patrol routes',
+      subcommands: {
+        create: { usage: 'create <route>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.createRouteCommand(args[0], reply) },
+        add: {
+          usage: 'add <route> [waypoint | x y z] [wait <seconds>] [do <command>]',
+          minArgs: 1,
+          handler: (username, args, rawArgs, { reply, authorized }) => this.addRoutePointCommand(args, reply, authorized ? null : username)
+        },
+        remove: { usage: 'remove <route> [point]', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.removeRouteCommand(args, reply) },
+        list: { permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.listRoutes(reply) },
+        show: { usage: 'show <route>', minArgs: 1, permission: 'guest', handler: (username, args, rawArgs, { reply }) => this.showRoute(args[0], reply) },
+        reverse: { usage: 'reverse <route>', minArgs: 1, handler: (username, args, rawArgs, { reply }) => this.reverseRouteCommand(args[0], reply) }
+      }
+    });
   }
 
-  async comeToPlayer(username) {
+  async comeToPlayer(username, reply = this.say) {
     const player = this.bot.players[username]?.entity;
     if (!player) {
-      this.bot.chat(`Cannot find ${username}`);
+      reply(`Cannot find ${username}`);
       return;
     }
+    this.stopPatrolling();
     
     // Set state to moving
     if (this.stateMachine) {
       this.stateMachine.setState('moving');
     }
     
-    this.bot.chat(`Coming to ${username}...`);
-    await this.pathfinder.gotoPlayer(username, 2);
-    this.bot.chat('I have arrived!');
+    reply(`Coming to ${username}...`);
+    const lease = this.takeMovement(`coming to ${username}`);
+    try {
+      await lease.gotoPlayer(username, 2);
+    } finally {
+      if (this.lease === lease) this.releaseMovement();
+    }
+    reply('I have arrived!');
   }
 
-  followPlayer(username) {
+  followPlayer(username, reply = this.say) {
     const player = this.bot.players[username]?.entity;
     if (!player) {
-      this.bot.chat(`Cannot find ${username}`);
+      reply(`Cannot find ${username}`);
       return;
     }
     
+    this.stopPatrolling();
     this.isFollowing = true;
     this.followTarget = username;
     
@@ -467,18 +658,40 @@ class Navigation extends IPlugin {
       this.stateMachine.setState('following');
     }
     
-    this.pathfinder.followPlayer(username, 3);
-    this.bot.chat(`Following ${username}`);
+    const lease = this.takeMovement(`following ${username}`);
+    lease.follow(player, 3)
+      .catch(error => logger.debug(`Navigation: stopped following ${username} - ${error.message}`))
+      .finally(() => {
+        if (this.lease === lease) this.releaseMovement();
+      });
+    reply(`Following ${username}`);
   }
 
   stopFollowing() {
+    if (this.isFollowing) this.releaseMovement();
     this.isFollowing = false;
     this.followTarget = null;
   }
 
-  stop(silent = false) {
+  /**
+   * Lease movement for a player command, ending the previous command's movement
+   */
+  takeMovement(label) {
+    this.releaseMovement();
+    this.lease = this.acquireMovement({ priority: 'command', label });
+    return this.lease;
+  }
+
+  releaseMovement() {
+    this.lease?.release();
+    this.lease = null;
+  }
+
+  stop(silent = false, reply = this.say) {
     this.stopFollowing();
-    this.pathfinder.stop();
+    this.stopPatrolling();
+    // Only Navigation's own movement; deposits, fights and farms hold leases of their own
+    this.releaseMovement();
     this.currentTarget = null;
     
     // Return to idle state
@@ -487,80 +700,624 @@ class Navigation extends IPlugin {
     }
     
     if (!silent) {
-      this.bot.chat('Stopped');
+      reply('Stopped');
     }
   }
 
-  async gotoCoords(x, y, z, silent = false) {
+  async gotoCoords(x, y, z, silent = false, reply = this.say) {
+    this.stopPatrolling();
+
     // Set state to moving
     if (this.stateMachine) {
       this.stateMachine.setState('moving');
     }
     
     if (!silent) {
-      this.bot.chat(`Going to ${x}, ${y}, ${z}...`);
+      reply(`Going to ${x}, ${y}, ${z}...`);
     }
     this.currentTarget = { x, y, z };
-    await this.pathfinder.goto(x, y, z);
+    const lease = this.takeMovement(`going to ${x}, ${y}, ${z}`);
+    try {
+      await lease.goto(x, y, z);
+    } finally {
+      if (this.lease === lease) this.releaseMovement();
+    }
     if (!silent) {
-      this.bot.chat('Destination reached!');
+      reply('Destination reached!');
     }
   }
 
-  async gotoWaypoint(name) {
-    if (!this.waypoints.waypoints[name]) {
-      this.bot.chat(`Waypoint '${name}' not found`);
+  /**
+   * Go to a waypoint, taking saved portals when it is in another dimension
+   */
+  async gotoWaypoint(name, reply = this.say) {
+    const waypoint = this.getWaypoint(name);
+    if (!waypoint) {
+      reply(`Waypoint '${name}' not found`);
       return;
     }
-    
-    const { x, y, z } = this.waypoints.waypoints[name];
-    await this.gotoCoords(x, y, z);
+
+    const dimension = getWaypointDimension(waypoint);
+    if (dimension !== this.getDimension()) {
+      const portals = this.findPortalPath(this.getDimension(), dimension);
+      if (!portals) {
+        reply(`'${name}' is in ${dimension} and no saved portal leads there; mark one with waypoint portal <name> ${dimension}`);
+        return;
+      }
+
+      try {
+        for (const portal of portals) {
+          reply(`Taking portal '${portal.name}' to ${portal.portalTo}...`);
+          await this.travelThroughPortal(portal);
+        }
+      } catch (error) {
+        reply(`Could not reach ${dimension}: ${error.message}`);
+        return;
+      }
+    }
+
+    await this.gotoCoords(waypoint.x, waypoint.y, waypoint.z, false, reply);
+  }
+
+  /**
+   * Get the dimension the bot is in
+   */
+  getDimension() {
+    return normalizeDimension(this.bot.game?.dimension) || DEFAULT_DIMENSION;
+  }
+
+  /**
+   * Normalize a dimension typed in a command
+   * @throws {Error} For names that are neither a vanilla dimension nor the bot's current one
+   */
+  parseDimension(name) {
+    const dimension = normalizeDimension(name);
+    if (!DIMENSIONS.includes(dimension) && dimension !== this.getDimension()) {
+      throw new Error(`Unknown dimension '${name}' (overworld, nether, end)`);
+    }
+    return dimension;
+  }
+
+  /**
+   * Find the portal waypoints leading from one dimension to another
+   * @returns {Array|null} Portals in travel order (empty within one dimension), or null when none connect them
+   */
+  findPortalPath(from, to) {
+    const portals = Object.entries(this.getWaypoints())
+      .filter(([, waypoint]) => waypoint.portalTo)
+      .map(([name, waypoint]) => ({
+        name,
+        ...waypoint,
+        dimension: getWaypointDimension(waypoint),
+        portalTo: normalizeDimension(waypoint.portalTo)
+      }))
+      .sort((a, b) => (this.distanceTo(a) ?? Infinity) - (this.distanceTo(b) ?? Infinity));
+
+    // Breadth-first over dimensions, so the fewest portals are taken and the nearest one first
+    const queue = [[from, []]];
+    const visited = new Set([from]);
+    while (queue.length > 0) {
+      const [dimension, hops] = queue.shift();
+      if (dimension === to) return hops;
+
+      for (const portal of portals) {
+        if (portal.dimension !== dimension || visited.has(portal.portalTo)) continue;
+        visited.add(portal.portalTo);
+        queue.push([portal.portalTo, [...hops, portal]]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk into a portal and wait until the bot arrives in the dimension it leads to
+   */
+  async travelThroughPortal(portal) {
+    this.stopPatrolling();
+    const lease = this.takeMovement(`taking the portal to ${portal.portalTo}`);
+    const arrival = this.waitForDimension(portal.portalTo, PORTAL_TIMEOUT_MS);
+    const walk = lease.goto(portal.x, portal.y, portal.z, 0);
+
+    // The teleport cuts the walk short, and a failed walk leaves the wait to time out
+    walk.catch(() => {});
+    arrival.catch(() => {});
+
+    try {
+      await Promise.race([walk, arrival]);
+      await arrival;
+    } finally {
+      // Ends the walk if the teleport cut it short or the wait timed out
+      if (this.lease === lease) this.releaseMovement();
+    }
+  }
+
+  waitForDimension(dimension, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        if (this.getDimension() !== dimension) return;
+        cleanup();
+        resolve();
+      };
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error(`still in ${this.getDimension()} after ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.bot.removeListener('spawn', check);
+      };
+
+      // The server respawns the bot in the new dimension
+      this.bot.on('spawn', check);
+    });
   }
 
-  addWaypoint(name) {
+  /**
+   * Distance from the bot to a waypoint, or null when it is in another dimension
+   */
+  distanceTo(waypoint) {
+    const pos = this.bot.entity?.position;
+    if (!pos || getWaypointDimension(waypoint) !== this.getDimension()) return null;
+    return Math.hypot(waypoint.x - pos.x, waypoint.y - pos.y, waypoint.z - pos.z);
+  }
+
+  addWaypoint(name, reply = this.say) {
     const pos = this.bot.entity.position;
-    this.waypoints.waypoints[name] = {
+    const existing = this.getWaypoint(name);
+    // Moving an existing waypoint keeps its tags, category and description
+    this.setWaypoint(name, {
+      description: 'Added by command',
+      ...existing,
       x: Math.floor(pos.x),
       y: Math.floor(pos.y),
       z: Math.floor(pos.z),
-      description: 'Added by command'
-    };
+      dimension: this.getDimension()
+    });
+    reply(`Waypoint '${name}' saved at current location in ${this.getDimension()}`);
+  }
+
+  /**
+   * Get all saved waypoints
+   */
+  getWaypoints() {
+    return this.waypoints?.waypoints || {};
+  }
+
+  /**
+   * Get a single waypoint by name
+   */
+  getWaypoint(name) {
+    return this.getWaypoints()[name] || null;
+  }
+
+  /**
+   * Check and normalize waypoint fields
+   * Without a dimension the waypoint is placed in the bot's current dimension.
+   * @returns {Object} { x, y, z, description, dimension, category?, tags?, portalTo? }
+   * @throws {Error} When the coordinates or tags are invalid
+   */
+  buildWaypoint({ x, y, z, description = '', dimension, category, tags, portalTo }) {
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error('Waypoint needs numeric x, y and z');
+    }
+    if (tags !== undefined && tags !== null && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+      throw new Error('Waypoint tags must be a list of names');
+    }
+
+    const waypoint = { x, y, z, description, dimension: normalizeDimension(dimension) || this.getDimension() };
+    if (category) waypoint.category = String(category).toLowerCase();
+    if (tags?.length) waypoint.tags = [...new Set(tags.map(tag => tag.toLowerCase()))];
+    if (portalTo) waypoint.portalTo = normalizeDimension(portalTo);
+    return waypoint;
+  }
+
+  /**
+   * Create or replace a waypoint and persist it
+   */
+  setWaypoint(name, waypoint) {
+    const built = this.buildWaypoint(waypoint);
+
+    this.getWaypointData().waypoints = this.waypoints.waypoints || {};
+    this.waypoints.waypoints[name] = built;
+    this.saveWaypoints();
+    return built;
+  }
+
+  /**
+   * Delete a waypoint and persist the change
+   */
+  deleteWaypoint(name) {
+    if (!this.getWaypoint(name)) return false;
+
+    delete this.waypoints.waypoints[name];
+    this.saveWaypoints();
+    return true;
+  }
+
+  /**
+   * Rename a waypoint along with the route points that refer to it
+   * @returns {number} Number of route points updated
+   */
+  renameWaypoint(oldName, newName) {
+    const waypoint = this.getWaypoint(oldName);
+    if (!waypoint) {
+      throw new Error(`Waypoint '${oldName}' not found`);
+    }
+    if (this.getWaypoint(newName)) {
+      throw new Error(`Waypoint '${newName}' already exists`);
+    }
+
+    const waypoints = this.getWaypoints();
+    waypoints[newName] = waypoint;
+    delete waypoints[oldName];
+    const updated = this.routes.renameWaypoint(oldName, newName);
     this.saveWaypoints();
-    this.bot.chat(`Waypoint '${name}' saved at current location`);
+    return updated;
+  }
+
+  /**
+   * Check whether a waypoint has a category or tag
+   */
+  matchesWaypointFilter(waypoint, filter) {
+    const value = filter.toLowerCase();
+    return waypoint.category === value || (waypoint.tags || []).includes(value);
   }
 
-  listWaypoints() {
-    const names = Object.keys(this.waypoints.waypoints);
+  listWaypoints(reply = this.say, filter = null) {
+    const names = Object.entries(this.getWaypoints())
+      .filter(([, waypoint]) => !filter || this.matchesWaypointFilter(waypoint, filter))
+      .map(([name]) => name);
+
     if (names.length === 0) {
-      this.bot.chat('No waypoints saved');
+      reply(filter ? `No waypoints in '${filter}'` : 'No waypoints saved');
       return;
     }
-    this.bot.chat(`Waypoints: ${names.join(', ')}`);
+    reply(`${filter ? `Waypoints in '${filter}'` : 'Waypoints'}: ${names.join(', ')}`);
   }
 
-  startPatrolCommand() {
-    if (this.isPatrolling) {
-      this.bot.chat('Already patrolling');
+  listNearbyWaypoints(radiusArg, reply = this.say) {
+    const radius = radiusArg === undefined ? 64 : parseInt(radiusArg);
+    if (!(radius > 0)) {
+      reply('Radius must be a positive number of blocks');
       return;
     }
-    
-    const waypointCount = Object.keys(this.waypoints?.waypoints || {}).length;
-    if (waypointCount < 2) {
-      this.bot.chat('Need at least 2 waypoints to patrol');
+
+    const nearby = Object.entries(this.getWaypoints())
+      .map(([name, waypoint]) => [name, this.distanceTo(waypoint)])
+      .filter(([, distance]) => distance !== null && distance <= radius)
+      .sort(([, a], [, b]) => a - b);
+
+    if (nearby.length === 0) {
+      reply(`No waypoints within ${radius} blocks`);
       return;
     }
-    
-    if (this.stateMachine) {
-      this.stateMachine.setState('patrolling');
-      this.bot.chat(`Started patrolling ${waypointCount} waypoints`);
-    } else {
-      this.bot.chat('State machine not available');
+    reply(`Within ${radius} blocks: ${nearby.slice(0, 10).map(([name, distance]) => `${name} (${Math.round(distance)})`).join(', ')}`);
+  }
+
+  waypointInfo(name, reply = this.say) {
+    const waypoint = this.getWaypoint(name);
+    if (!waypoint) {
+      reply(`Waypoint '${name}' not found`);
+      return;
+    }
+
+    const parts = [`${name}: ${waypoint.x}, ${waypoint.y}, ${waypoint.z} in ${getWaypointDimension(waypoint)}`];
+    const distance = this.distanceTo(waypoint);
+    if (distance !== null) parts.push(`${Math.round(distance)} blocks away`);
+    if (waypoint.category) parts.push(`category ${waypoint.category}`);
+    if (waypoint.tags?.length) parts.push(`tags ${waypoint.tags.join(', ')}`);
+    if (waypoint.portalTo) parts.push(`portal to ${normalizeDimension(waypoint.portalTo)}`);
+    if (waypoint.description) parts.push(waypoint.description);
+    reply(parts.join(' | '));
+  }
+
+  setWaypointCommand(args, reply = this.say) {
+    const [name, x, y, z, dimension] = args;
+    try {
+      const waypoint = this.setWaypoint(name, {
+        description: 'Added by command',
+        ...this.getWaypoint(name),
+        x: parseInt(x),
+        y: parseInt(y),
+        z: parseInt(z),
+        dimension: dimension ? this.parseDimension(dimension) : this.getWaypoint(name)?.dimension
+      });
+      reply(`Waypoint '${name}' set to ${waypoint.x}, ${waypoint.y}, ${waypoint.z} in ${waypoint.dimension}`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  deleteWaypointCommand(name, reply = this.say) {
+    if (!this.deleteWaypoint(name)) {
+      reply(`Waypoint '${name}' not found`);
+      return;
+    }
+
+    const routes = this.routes.findWaypointUsage(name);
+    reply(routes.length > 0
+      ? `Waypoint '${name}' deleted; routes ${routes.join(', ')} still refer to it`
+      : `Waypoint '${name}' deleted`);
+  }
+
+  renameWaypointCommand(oldName, newName, reply = this.say) {
+    try {
+      const updated = this.renameWaypoint(oldName, newName);
+      reply(`Waypoint '${oldName}' renamed to '${newName}'${updated > 0 ? `, ${updated} route points updated` : ''}`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  tagWaypointCommand(name, tags, add, reply = this.say) {
+    const waypoint = this.getWaypoint(name);
+    if (!waypoint) {
+      reply(`Waypoint '${name}' not found`);
+      return;
+    }
+
+    const lowered = tags.map(tag => tag.toLowerCase());
+    const current = waypoint.tags || [];
+    const updated = add ? [...current, ...lowered] : current.filter(tag => !lowered.includes(tag));
+    this.updateWaypointCommand(name, { tags: updated }, reply);
+  }
+
+  portalWaypointCommand(name, target, reply = this.say) {
+    try {
+      const portalTo = target.toLowerCase() === 'none' ? null : this.parseDimension(target);
+      this.updateWaypointCommand(name, { portalTo }, reply);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  updateWaypointCommand(name, changes, reply = this.say) {
+    const waypoint = this.getWaypoint(name);
+    if (!waypoint) {
+      reply(`Waypoint '${name}' not found`);
+      return;
+    }
+
+    try {
+      this.setWaypoint(name, { ...waypoint, ...changes });
+      this.waypointInfo(name, reply);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  /**
+   * Build a waypoint pack for sharing with other bots
+   * @param {string|null} filter - Only include waypoints with this category or tag
+   */
+  exportWaypoints(filter = null) {
+    const waypoints = Object.fromEntries(Object.entries(this.getWaypoints())
+      .filter(([, waypoint]) => !filter || this.matchesWaypointFilter(waypoint, filter))
+      .map(([name, waypoint]) => [name, { ...waypoint, dimension: getWaypointDimension(waypoint) }]));
+
+    return {
+      format: WAYPOINT_PACK_FORMAT,
+      version: WAYPOINT_PACK_VERSION,
+      exportedBy: this.bot.username,
+      exportedAt: new Date().toISOString(),
+      waypoints
+    };
+  }
+
+  /**
+   * Add the waypoints of a pack; existing names are kept unless overwrite is set
+   * @returns {{added: string[], replaced: string[], skipped: string[], invalid: string[]}}
+   * @throws {Error} When the data is not a waypoint pack
+   */
+  importWaypoints(pack, { overwrite = false } = {}) {
+    if (pack?.format !== WAYPOINT_PACK_FORMAT || !isPlainObject(pack.waypoints)) {
+      throw new Error('Not a waypoint pack');
+    }
+    if (pack.version > WAYPOINT_PACK_VERSION) {
+      throw new Error(`Waypoint pack version ${pack.version} is newer than this bot supports`);
+    }
+
+    const result = { added: [], replaced: [], skipped: [], invalid: [] };
+    const waypoints = this.getWaypointData().waypoints = this.waypoints.waypoints || {};
+
+    for (const [name, entry] of Object.entries(pack.waypoints)) {
+      if (waypoints[name] && !overwrite) {
+        result.skipped.push(name);
+        continue;
+      }
+
+      try {
+        // Packs always carry a dimension, so the importing bot's own dimension is never assumed
+        const waypoint = this.buildWaypoint({ dimension: DEFAULT_DIMENSION, ...entry });
+        result[waypoints[name] ? 'replaced' : 'added'].push(name);
+        waypoints[name] = waypoint;
+      } catch (error) {
+        logger.warn(`Waypoint '${name}' not imported: ${error.message}`);
+        result.invalid.push(name);
+      }
+    }
+
+    if (result.added.length + result.replaced.length > 0) {
+      this.saveWaypoints();
+    }
+    return result;
+  }
+
+  static getPackPath(packName) {
+    if (!/^[\w-]+$/.test(packName)) {
+      throw new Error('Pack names may only contain letters, digits, - and _');
+    }
+    return path.join(PACKS_DIR, `${packName}.json`);
+  }
+
+  exportPackCommand(packName, filter, reply = this.say) {
+    try {
+      const pack = this.exportWaypoints(filter);
+      const count = Object.keys(pack.waypoints).length;
+      if (count === 0) {
+        reply(filter ? `No waypoints in '${filter}' to export` : 'No waypoints to export');
+        return;
+      }
+
+      fs.mkdirSync(PACKS_DIR, { recursive: true });
+      fs.writeFileSync(Navigation.getPackPath(packName), JSON.stringify(pack, null, 2));
+      reply(`Exported ${count} waypoints to data/waypoint-packs/${packName}.json`);
+    } catch (error) {
+      reply(`Export failed: ${error.message}`);
+    }
+  }
+
+  importPackCommand(packName, overwrite, reply = this.say) {
+    try {
+      const packPath = Navigation.getPackPath(packName);
+      if (!fs.existsSync(packPath)) {
+        reply(`No pack data/waypoint-packs/${packName}.json`);
+        return;
+      }
+
+      const { added, replaced, skipped, invalid } = this.importWaypoints(JSON.parse(fs.readFileSync(packPath, 'utf8')), { overwrite });
+      const parts = [`Imported ${added.length + replaced.length} waypoints from '${packName}'`];
+      if (replaced.length > 0) parts.push(`${replaced.length} replaced`);
+      if (skipped.length > 0) parts.push(`${skipped.length} already existed (use import ${packName} overwrite)`);
+      if (invalid.length > 0) parts.push(`${invalid.length} invalid`);
+      reply(parts.join(', '));
+    } catch (error) {
+      reply(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a region by name (see RegionRegistry)
+   */
+  getRegion(name) {
+    return this.regions?.get(name) || null;
+  }
+
+  getBlockPosition() {
+    const pos = this.bot.entity.position;
+    return { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) };
+  }
+
+  markRegionCorner(corner, reply = this.say) {
+    const position = this.getBlockPosition();
+    this.regionMarks[corner] = position;
+    reply(`${corner} set to ${position.x}, ${position.y}, ${position.z}`);
+  }
+
+  markRegionPoint(reply = this.say) {
+    const position = this.getBlockPosition();
+    this.regionMarks.points.push(position);
+    reply(`Polygon point ${this.regionMarks.points.length} set to ${position.x}, ${position.z}`);
+  }
+
+  clearRegionMarks(reply = this.say) {
+    this.regionMarks = { pos1: null, pos2: null, points: [] };
+    reply('Region marks cleared');
+  }
+
+  /**
+   * Save a region built from the marks; the marks it used are cleared on success
+   */
+  saveRegion(name, build, reply = this.say) {
+    try {
+      const region = build({ dimension: this.getDimension(), description: 'Defined by command' });
+      this.regions.define(name, region);
+      reply(`Region '${name}' saved: ${region.describe()}`);
+      return true;
+    } catch (error) {
+      reply(error.message);
+      return false;
     }
   }
 
-  stopPatrolCommand() {
+  defineCuboidRegion(name, reply = this.say) {
+    const { pos1, pos2 } = this.regionMarks;
+    if (!pos1 || !pos2) {
+      reply('Mark both corners with region pos1 and region pos2 first');
+      return;
+    }
+
+    if (this.saveRegion(name, options => new CuboidRegion(pos1, pos2, options), reply)) {
+      this.regionMarks.pos1 = null;
+      this.regionMarks.pos2 = null;
+    }
+  }
+
+  defineSphereRegion(name, radius, reply = this.say) {
+    this.saveRegion(name, options => new SphereRegion(this.getBlockPosition(), parseFloat(radius), options), reply);
+  }
+
+  /**
+   * Prism over the marked points, from the lowest point up `height` blocks (4 by default)
+   */
+  definePolygonRegion(name, heightArg, reply = this.say) {
+    const { points } = this.regionMarks;
+    if (points.length < 3) {
+      reply(`Mark at least 3 corners with region point first (${points.length} marked)`);
+      return;
+    }
+
+    const height = heightArg === undefined ? 4 : parseInt(heightArg);
+    if (!(height >= 1)) {
+      reply('Height must be at least 1 block');
+      return;
+    }
+
+    const minY = Math.min(...points.map(point => point.y));
+    if (this.saveRegion(name, options => new PolygonRegion(points, minY, minY + height - 1, options), reply)) {
+      this.regionMarks.points = [];
+    }
+  }
+
+  removeRegionCommand(name, reply = this.say) {
+    reply(this.regions.remove(name) ? `Region '${name}' removed` : `Region '${name}' not found`);
+  }
+
+  listRegions(reply = this.say) {
+    const names = this.regions.list();
+    reply(names.length > 0 ? `Regions: ${names.join(', ')}` : 'No regions saved');
+  }
+
+  regionInfo(name, reply = this.say) {
+    const region = this.getRegion(name);
+    if (!region) {
+      reply(`Region '${name}' not found or invalid`);
+      return;
+    }
+
+    const center = region.center();
+    const inside = region.isInDimension(this.getDimension()) && region.contains(this.bot.entity.position);
+    reply(`${name}: ${region.describe()}${region.dimension ? ` in ${region.dimension}` : ''}, center ${center.x}, ${center.y}, ${center.z}${inside ? ' (I am inside)' : ''}`);
+  }
+
+  regionsHere(reply = this.say) {
+    const names = this.regions.findContaining(this.bot.entity.position, this.getDimension());
+    reply(names.length > 0 ? `Inside: ${names.join(', ')}` : 'Not inside any region');
+  }
+
+  startPatrolCommand(username, args, context) {
+    const { reply } = context;
+    if (this.isPatrolling) {
+      reply('Already patrolling');
+      return;
+    }
+
+    const [route = DEFAULT_ROUTE, mode = 'loop'] = args;
+    try {
+      this.startPatrolling(route, {
+        mode: mode.toLowerCase(),
+        // Point actions run with no more than the permissions of whoever started the patrol
+        starter: { username, authorized: Boolean(context.authorized) }
+      });
+      reply(`Patrolling '${route}' (${mode.toLowerCase()}, ${this.routes.getRoute(route).length} points)`);
+    } catch (error) {
+      reply(args.length === 0 ? `${error.message}; use patrol start <route>` : error.message);
+    }
+  }
+
+  stopPatrolCommand(reply = this.say) {
     if (!this.isPatrolling) {
-      this.bot.chat('Not currently patrolling');
+      reply('Not currently patrolling');
       return;
     }
     
@@ -568,15 +1325,142 @@ class Navigation extends IPlugin {
     if (this.stateMachine) {
       this.stateMachine.setState('idle');
     }
-    this.bot.chat('Patrol stopped');
+    reply('Patrol stopped');
   }
 
-  getPatrolStatus() {
-    if (this.isPatrolling) {
-      const currentWaypoint = this.patrolRoute[this.currentPatrolIndex];
-      this.bot.chat(`Patrolling: ${this.currentPatrolIndex + 1}/${this.patrolRoute.length} - Next: ${currentWaypoint?.name || 'unknown'}`);
+  getPatrolStatus(reply = this.say) {
+    const patrol = this.routes.getPatrol();
+    if (!patrol) {
+      reply('Not patrolling');
+      return;
+    }
+
+    const total = this.routes.getRoute(patrol.route)?.length || 0;
+    const next = this.routes.getNextWaypoint();
+    reply(`Patrolling '${patrol.route}' (${patrol.mode}): ${patrol.index + 1}/${total} - Next: ${next?.label || 'unknown'}, laps: ${patrol.laps}`);
+  }
+
+  createRouteCommand(name, reply = this.say) {
+    try {
+      this.routes.createRoute(name);
+      reply(`Route '${name}' created; add points with route add ${name}`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  /**
+   * Parse `<route> [waypoint | x y z] [wait <seconds>] [do <command>]`; without a
+   * waypoint or coordinates the bot's current position is added
+   * @param {string} author - Player adding the point, whose role limits its action
+   */
+  addRoutePointCommand(args, reply = this.say, author = null) {
+    const [name, ...rest] = args;
+    const doIndex = rest.findIndex(arg => arg.toLowerCase() === 'do');
+    const action = doIndex === -1 ? null : rest.slice(doIndex + 1).join(' ');
+    const options = doIndex === -1 ? rest : rest.slice(0, doIndex);
+
+    const point = {};
+    const waitIndex = options.findIndex(arg => arg.toLowerCase() === 'wait');
+    const target = waitIndex === -1 ? options : options.slice(0, waitIndex);
+
+    if (target.length === 1) {
+      point.waypoint = target[0];
+    } else if (target.length === 3) {
+      [point.x, point.y, point.z] = target.map(value => parseInt(value));
+    } else if (target.length === 0) {
+      const pos = this.bot.entity.position;
+      [point.x, point.y, point.z] = [pos.x, pos.y, pos.z].map(Math.floor);
     } else {
-      this.bot.chat('Not patrolling');
+      reply('Usage: route add <route> [waypoint | x y z] [wait <seconds>] [do <command>]');
+      return;
+    }
+
+    if (waitIndex !== -1) {
+      point.dwellMs = Math.round(parseFloat(options[waitIndex + 1]) * 1000);
+    }
+    if (action) {
+      point.action = action;
+      if (author) point.author = author;
+    }
+
+    try {
+      const count = this.routes.addPoint(name, point);
+      reply(`Added point ${count} to route '${name}': ${this.describeRoutePoint(point)}`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  /**
+   * Remove one point (numbered from 1 as in route show) or the whole route
+   */
+  removeRouteCommand(args, reply = this.say) {
+    const [name, pointNumber] = args;
+    try {
+      if (pointNumber === undefined) {
+        reply(this.routes.removeRoute(name) ? `Route '${name}' removed` : `Route '${name}' not found`);
+        return;
+      }
+
+      const point = this.routes.removePoint(name, parseInt(pointNumber) - 1);
+      reply(`Removed point ${pointNumber} (${this.describeRoutePoint(point)}) from route '${name}'`);
+    } catch (error) {
+      reply(error.message);
+    }
+  }
+
+  listRoutes(reply = this.say) {
+    const names = this.routes.listRoutes();
+    if (names.length === 0) {
+      reply('No routes saved');
+      return;
+    }
+    reply(`Routes: ${names.map(name => `${name} (${this.routes.getRoute(name).length})`).join(', ')}`);
+  }
+
+  showRoute(name, reply = this.say) {
+    const route = this.routes.getRoute(name);
+    if (!route) {
+      reply(`Route '${name}' not found`);
+      return;
+    }
+    if (route.length === 0) {
+      reply(`Route '${name}' has no points`);
+      return;
+    }
+
+    reply(`Route '${name}': ${route.length} points, ${Math.round(this.routes.calculateDistance(name))} blocks`);
+
+    // One line per few points so long routes fit in chat
+    const limit = this.bot.botClient?.config.bot?.chatLengthLimit || 100;
+    let line = '';
+    route.forEach((point, index) => {
+      const entry = `${index + 1}. ${this.describeRoutePoint(point)}`;
+      if (line && line.length + entry.length + 3 > limit) {
+        reply(line);
+        line = '';
+      }
+      line = line ? `${line} | ${entry}` : entry;
+    });
+    reply(line);
+  }
+
+  describeRoutePoint(point) {
+    const parts = [point.waypoint || `${point.x}, ${point.y}, ${point.z}`];
+    if (point.dwellMs !== undefined) parts.push(`wait ${point.dwellMs / 1000}s`);
+    if (point.action) parts.push(`do ${point.action}${point.author ? ` (added by ${point.author})` : ''}`);
+    return parts.join(' ');
+  }
+
+  reverseRouteCommand(name, reply = this.say) {
+    reply(this.routes.reverseRoute(name) ? `Route '${name}' reversed` : `Route '${name}' not found`);
+  }
+
+  updateConfig(newConfig, change) {
+    super.updateConfig(newConfig);
+    if (change?.file === 'waypoints') {
+      this.loadWaypoints();
     }
   }
 
@@ -587,7 +1471,9 @@ class Navigation extends IPlugin {
       followTarget: this.followTarget,
       currentTarget: this.currentTarget,
       isMoving: this.pathfinder?.isMoving() || false,
-      waypointCount: Object.keys(this.waypoints?.waypoints || {}).length
+      movementOwner: this.bot.movementArbiter?.getOwner() || null,
+      waypointCount: Object.keys(this.waypoints?.waypoints || {}).length,
+      patrol: this.routes?.getStatus() || null
     };
   }
 }
@@ -68,15 +68,8 @@ class AutomationControl {
       }
     }
 
-    // Stop navigation
-    const navigation = this.pluginLoader?.getPlugin('Navigation');
-    if (navigation) {
-      navigation.stop(true);
-    }
-
-    // Clear pathfinder goals
-    this.bot.pathfinder?.setGoal(null);
-
+    // Movement is not stopped here: the caller takes it over with a movement lease,
+    // which leaves a player's goto or follow alone
     return paused;
   }
 
@@ -116,15 +109,13 @@ class AutomationControl {
       }
     }
 
-    // Stop navigation
+    // Stop navigation; the stopped plugins have released their movement leases,
+    // and combat or eating keep theirs
     const navigation = this.pluginLoader?.getPlugin('Navigation');
     if (navigation) {
       navigation.stop(true);
     }
 
-    // Clear pathfinder goals
-    this.bot.pathfinder?.setGoal(null);
-
     // Clear paused list since this is permanent
     this.pausedPlugins.clear();
     this.wasMonitoringPaused = false;
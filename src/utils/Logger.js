@@ -1,10 +1,154 @@
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const COLORS = {
+  debug: '\x1b[36m', // Cyan
+  info: '\x1b[32m', // Green
+  warn: '\x1b[33m', // Yellow
+  error: '\x1b[31m', // Red
+  bot: '\x1b[35m', // Magenta
+  chat: '\x1b[37m' // White
+};
+
+const DEFAULT_ROTATION = {
+  maxBytes: 10 * 1024 * 1024,
+  daily: true,
+  maxFiles: 10,
+  maxAgeDays: 14
+};
+
+/**
+ * LogFile - Appends to a log file and rotates it by size and by day
+ * Rotated files are renamed to <name>.<date>.<n>.log next to it and removed
+ * once there are more than maxFiles of them or they are older than maxAgeDays.
+ */
+class LogFile {
+  constructor(filePath, rotation = {}) {
+    this.filePath = filePath;
+    this.base = path.basename(filePath, '.log');
+    this.rotation = { ...DEFAULT_ROTATION, ...rotation };
+    this.size = null;
+    this.day = null;
+  }
+
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  write(line) {
+    if (this.size === null) {
+      // The previous run's file is continued rather than truncated
+      try {
+        const stat = fs.statSync(this.filePath);
+        this.size = stat.size;
+        this.day = stat.mtime.toISOString().slice(0, 10);
+      } catch {
+        this.size = 0;
+        this.day = LogFile.today();
+      }
+    }
+
+    const bytes = Buffer.byteLength(line);
+    const today = LogFile.today();
+    const { maxBytes, daily } = this.rotation;
+    if (this.size > 0 && ((daily && today !== this.day) || (maxBytes > 0 && this.size + bytes > maxBytes))) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+    this.day = today;
+  }
+
+  rotate() {
+    // Numbers keep growing within a day, so a higher number is always newer
+    const index = Math.max(0, ...this.listRotated()
+      .filter(file => file.day === this.day)
+      .map(file => file.index)) + 1;
+
+    fs.renameSync(this.filePath, path.join(path.dirname(this.filePath), `${this.base}.${this.day}.${index}.log`));
+    this.size = 0;
+    this.prune();
+  }
+
+  listRotated() {
+    const dir = path.dirname(this.filePath);
+    const pattern = new RegExp(`^${this.base}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)\\.log$`);
+
+    return fs.readdirSync(dir)
+      .map(name => ({ name, match: pattern.exec(name) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({
+        filePath: path.join(dir, name),
+        day: match[1],
+        index: parseInt(match[2]),
+        mtime: fs.statSync(path.join(dir, name)).mtimeMs
+      }));
+  }
+
+  /**
+   * Remove rotated files beyond the retention limits
+   */
+  prune() {
+    const { maxFiles, maxAgeDays } = this.rotation;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    // Newest first
+    const rotated = this.listRotated()
+      .sort((a, b) => b.day.localeCompare(a.day) || b.index - a.index);
+
+    rotated.forEach((file, index) => {
+      if ((maxFiles > 0 && index >= maxFiles) || (maxAgeDays > 0 && file.mtime < cutoff)) {
+        fs.rmSync(file.filePath, { force: true });
+      }
+    });
+  }
+}
+
+/**
+ * ChildLogger - Logger that adds fixed fields (such as `plugin`) to every record
+ * Levels set for the plugin or module with setModuleLevel apply to it.
+ */
+class ChildLogger {
+  constructor(parent, fields) {
+    this.parent = parent;
+    this.fields = fields;
+  }
+
+  debug(message, metadata = null) {
+    this.parent.log('debug', message, metadata, this.fields);
+  }
+
+  info(message, metadata = null) {
+    this.parent.log('info', message, metadata, this.fields);
+  }
+
+  warn(message, metadata = null) {
+    this.parent.log('warn', message, metadata, this.fields);
+  }
+
+  error(message, error = null) {
+    this.parent.log('error', message, Logger.errorMetadata(error), this.fields);
+  }
+
+  success(message, metadata = null) {
+    this.parent.log('info', `✓ ${message}`, metadata, this.fields, false);
+  }
+
+  child(fields) {
+    return new ChildLogger(this.parent, { ...this.fields, ...fields });
+  }
+
+  getHistory(options) {
+    return this.parent.getHistory(options);
+  }
+}
+
 /**
  * Custom Logger class with formatting, timestamps, and file saving capabilities
  */
@@ -18,22 +162,93 @@ class Logger {
       warn: 2,
       error: 3
     };
-    
+    // Overrides for single plugins or modules, keyed by lower-case name
+    this.moduleLevels = new Map();
+    this.format = 'text';
+
     // Ensure logs directory exists
     this.logsDir = path.join(__dirname, '../../logs');
     if (!fs.existsSync(this.logsDir)) {
       fs.mkdirSync(this.logsDir, { recursive: true });
     }
-    
-    this.latestLogPath = path.join(this.logsDir, 'latest.log');
-    this.errorLogPath = path.join(this.logsDir, 'error.log');
-    
-    // Clear latest.log on startup
-    if (this.logToFile) {
-      fs.writeFileSync(this.latestLogPath, '');
+
+    this.listeners = new Set();
+    this.isNotifying = false;
+
+    // Recent records for the shared log view, tagged with the bot that produced them
+    this.history = [];
+    this.historySize = 500;
+    this.botContext = new AsyncLocalStorage();
+    this.showBotTags = false;
+
+    this.latestLog = new LogFile(path.join(this.logsDir, 'latest.log'));
+    this.errorLog = new LogFile(path.join(this.logsDir, 'error.log'));
+  }
+
+  /**
+   * Apply the `logging` section of settings.json
+   * Keys that are not set keep their current value (LOG_LEVEL / LOG_TO_FILE at startup).
+   */
+  configure(config = {}) {
+    if (config.level) this.setLevel(config.level);
+    if (config.toFile !== undefined) this.logToFile = config.toFile;
+    if (config.format) this.format = config.format;
+
+    if (config.modules) {
+      this.moduleLevels.clear();
+      for (const [name, level] of Object.entries(config.modules)) {
+        this.setModuleLevel(name, level);
+      }
+    }
+
+    if (config.rotation) {
+      for (const file of [this.latestLog, this.errorLog]) {
+        file.rotation = { ...DEFAULT_ROTATION, ...config.rotation };
+      }
     }
   }
 
+  /**
+   * Set the level for everything without its own override
+   */
+  setLevel(level) {
+    if (!(level in this.logLevels)) {
+      throw new Error(`Unknown log level: ${level}. Levels: ${Object.keys(this.logLevels).join(', ')}`);
+    }
+    this.logLevel = level;
+  }
+
+  /**
+   * Set the level of one plugin or module; null removes the override
+   */
+  setModuleLevel(name, level) {
+    if (level === null) {
+      return this.moduleLevels.delete(name.toLowerCase());
+    }
+    if (!(level in this.logLevels)) {
+      throw new Error(`Unknown log level: ${level}. Levels: ${Object.keys(this.logLevels).join(', ')}`);
+    }
+    this.moduleLevels.set(name.toLowerCase(), { name, level });
+    return true;
+  }
+
+  /**
+   * Get the global level and the per-module overrides
+   */
+  getLevels() {
+    return {
+      level: this.logLevel,
+      modules: Object.fromEntries(Array.from(this.moduleLevels.values()).map(({ name, level }) => [name, level]))
+    };
+  }
+
+  /**
+   * Create a logger whose records carry the given fields, e.g. { plugin: 'SugarcaneFarm' }
+   */
+  child(fields) {
+    return new ChildLogger(this, fields);
+  }
+
   /**
    * Get formatted timestamp
    */
@@ -44,9 +259,27 @@ class Logger {
 
   /**
    * Check if message should be logged based on level
+   * @param {string} level - Record level
+   * @param {string} module - Plugin or module name, for its override
    */
-  shouldLog(level) {
-    return this.logLevels[level] >= this.logLevels[this.logLevel];
+  shouldLog(level, module = null) {
+    const threshold = (module && this.moduleLevels.get(module.toLowerCase())?.level) || this.logLevel;
+    return this.logLevels[level] >= this.logLevels[threshold];
+  }
+
+  /**
+   * Run a function with every log call inside it (and its timers and callbacks)
+   * attributed to a bot of the fleet
+   */
+  runWithBot(botId, fn) {
+    return this.botContext.run({ bot: botId }, fn);
+  }
+
+  /**
+   * Get the fleet bot the current code runs for, if any
+   */
+  getBotId() {
+    return this.botContext.getStore()?.bot ?? null;
   }
 
   /**
@@ -55,109 +288,160 @@ class Logger {
   formatMessage(level, message, metadata = null) {
     const timestamp = this.getTimestamp();
     const levelStr = level.toUpperCase().padEnd(5);
-    let formatted = `[${timestamp}] [${levelStr}] ${message}`;
-    
+    const botId = this.showBotTags ? this.getBotId() : null;
+    let formatted = `[${timestamp}] [${levelStr}] ${botId ? `[${botId}] ` : ''}${message}`;
+
     if (metadata) {
       formatted += `\n${JSON.stringify(metadata, null, 2)}`;
     }
-    
+
     return formatted;
   }
 
   /**
-   * Write to log file
+   * Write to log file, as text or as one JSON object per line
    */
-  writeToFile(message, isError = false) {
+  writeToFile(record, formatted) {
     if (!this.logToFile) return;
-    
+
+    const line = `${this.format === 'json' ? JSON.stringify(record) : formatted}\n`;
     try {
-      // Write to latest.log
-      fs.appendFileSync(this.latestLogPath, message + '\n');
-      
+      this.latestLog.write(line);
+
       // Also write errors to error.log
-      if (isError) {
-        fs.appendFileSync(this.errorLogPath, message + '\n');
+      if (record.level === 'error') {
+        this.errorLog.write(line);
       }
     } catch (err) {
       console.error('Failed to write to log file:', err);
     }
   }
 
+  /**
+   * Add a listener that receives every log record that passes the level filter
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  /**
+   * Remove a log record listener
+   */
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  /**
+   * Get recent log records, optionally only those of one bot or above a level
+   */
+  getHistory({ bot = null, level = null, limit = 100 } = {}) {
+    const minLevel = this.logLevels[level] ?? null;
+    return this.history
+      .filter(record => !bot || record.bot === bot)
+      .filter(record => minLevel === null || (this.logLevels[record.level] ?? this.logLevels.info) >= minLevel)
+      .slice(-limit);
+  }
+
+  /**
+   * Record a log entry and hand it to listeners
+   */
+  notify(record) {
+    this.history.push(record);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    // Listeners that log themselves must not loop back in here
+    if (this.listeners.size === 0 || this.isNotifying) return;
+
+    this.isNotifying = true;
+    for (const callback of this.listeners) {
+      try {
+        callback(record);
+      } catch (err) {
+        console.error('Log listener failed:', err);
+      }
+    }
+    this.isNotifying = false;
+  }
+
+  /**
+   * Write one record to the console, the log files and the listeners
+   * @param {string} level - debug, info, warn, error, bot or chat
+   * @param {Object} fields - Extra record fields such as { plugin }
+   * @param {boolean} filtered - Whether the level filter applies
+   */
+  log(level, message, metadata = null, fields = {}, filtered = true) {
+    if (filtered && !this.shouldLog(level, fields.plugin || fields.module)) return;
+
+    const record = { level, message, metadata, bot: this.getBotId(), ...fields, timestamp: this.getTimestamp() };
+    const formatted = level === 'chat'
+      ? `[${record.timestamp}] [CHAT ] ${this.showBotTags && record.bot ? `[${record.bot}] ` : ''}<${metadata.username}> ${message}`
+      : this.formatMessage(level, message, metadata);
+
+    console.log(`${COLORS[level]}%s\x1b[0m`, formatted);
+    this.writeToFile(record, formatted);
+    this.notify(record);
+  }
+
+  /**
+   * Metadata logged for an error
+   */
+  static errorMetadata(error) {
+    return error ? {
+      message: error.message,
+      stack: error.stack,
+      ...error
+    } : null;
+  }
+
   /**
    * Debug level logging
    */
   debug(message, metadata = null) {
-    if (!this.shouldLog('debug')) return;
-    
-    const formatted = this.formatMessage('debug', message, metadata);
-    console.log('\x1b[36m%s\x1b[0m', formatted); // Cyan
-    this.writeToFile(formatted);
+    this.log('debug', message, metadata);
   }
 
   /**
    * Info level logging
    */
   info(message, metadata = null) {
-    if (!this.shouldLog('info')) return;
-    
-    const formatted = this.formatMessage('info', message, metadata);
-    console.log('\x1b[32m%s\x1b[0m', formatted); // Green
-    this.writeToFile(formatted);
+    this.log('info', message, metadata);
   }
 
   /**
    * Warning level logging
    */
   warn(message, metadata = null) {
-    if (!this.shouldLog('warn')) return;
-    
-    const formatted = this.formatMessage('warn', message, metadata);
-    console.log('\x1b[33m%s\x1b[0m', formatted); // Yellow
-    this.writeToFile(formatted);
+    this.log('warn', message, metadata);
   }
 
   /**
    * Error level logging
    */
   error(message, error = null) {
-    if (!this.shouldLog('error')) return;
-    
-    const metadata = error ? {
-      message: error.message,
-      stack: error.stack,
-      ...error
-    } : null;
-    
-    const formatted = this.formatMessage('error', message, metadata);
-    console.log('\x1b[31m%s\x1b[0m', formatted); // Red
-    this.writeToFile(formatted, true);
+    this.log('error', message, Logger.errorMetadata(error));
   }
 
   /**
-   * Success logging (special case)
+   * Success logging (special case: printed whatever the level)
    */
   success(message, metadata = null) {
-    const formatted = this.formatMessage('info', `✓ ${message}`, metadata);
-    console.log('\x1b[32m%s\x1b[0m', formatted); // Green
-    this.writeToFile(formatted);
+    this.log('info', `✓ ${message}`, metadata, {}, false);
   }
 
   /**
    * Bot-specific logging
    */
   bot(message, metadata = null) {
-    const formatted = this.formatMessage('bot', message, metadata);
-    console.log('\x1b[35m%s\x1b[0m', formatted); // Magenta
-    this.writeToFile(formatted);
+    this.log('bot', message, metadata, {}, false);
   }
 
   /**
    * Chat message logging
    */
   chat(username, message) {
-    const formatted = `[${this.getTimestamp()}] [CHAT ] <${username}> ${message}`;
-    console.log('\x1b[37m%s\x1b[0m', formatted); // White
-    this.writeToFile(formatted);
+    this.log('chat', message, { username }, {}, false);
   }
 }
 
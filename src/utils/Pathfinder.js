@@ -1,10 +1,174 @@
 import mineflayerPathfinder from 'mineflayer-pathfinder';
+import { Vec3 } from 'vec3';
 import logger from './Logger.js';
 
 const { pathfinder, Movements, goals } = mineflayerPathfinder;
 
+const DEFAULT_TIMEOUT_MS = 60000;
+const EYE_HEIGHT = 1.62;
+
+/**
+ * PathfindingError - Why a movement did not reach its goal
+ * Codes: timeout, noPath, noBlock, cancelled (by the caller's token),
+ * preempted (another goal took over), stopped and interrupted (bot replaced).
+ */
+export class PathfindingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PathfindingError';
+    this.code = code;
+  }
+}
+
+/**
+ * CancellationToken - Lets the caller of a movement cancel it, and only it
+ * One token can be passed to several movements in a row to cancel whichever runs.
+ */
+export class CancellationToken {
+  constructor() {
+    this.isCancelled = false;
+    this.reason = null;
+    this.listeners = new Set();
+  }
+
+  cancel(reason = 'Pathfinding cancelled') {
+    if (this.isCancelled) return;
+
+    this.isCancelled = true;
+    this.reason = reason;
+    for (const listener of this.listeners) {
+      listener(reason);
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * Call a function when the token is cancelled (right away if it already is)
+   * @returns {Function} Function removing the listener
+   */
+  onCancel(listener) {
+    if (this.isCancelled) {
+      listener(this.reason);
+      return () => {};
+    }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Goal reached once standing inside a region
+ */
+class GoalRegion extends goals.Goal {
+  constructor(region) {
+    super();
+    this.region = region;
+    const { min, max } = region.bounds();
+    this.min = min;
+    this.max = max;
+  }
+
+  heuristic(node) {
+    // Distance to the region's bounding box
+    const dx = Math.max(this.min.x - node.x, 0, node.x - this.max.x);
+    const dy = Math.max(this.min.y - node.y, 0, node.y - this.max.y);
+    const dz = Math.max(this.min.z - node.z, 0, node.z - this.max.z);
+    return Math.sqrt(dx * dx + dz * dz) + dy;
+  }
+
+  isEnd(node) {
+    return this.region.contains(node);
+  }
+}
+
+/**
+ * Goal reached within a range of an entity or position with nothing blocking the view
+ * Follows a moving entity until the goal is reached.
+ */
+class GoalLineOfSight extends goals.Goal {
+  constructor(target, range, canSee) {
+    super();
+    this.target = target;
+    this.range = range;
+    this.canSee = canSee;
+    this.last = this.getTargetPosition().floored();
+  }
+
+  getTargetPosition() {
+    const position = this.target.position || this.target;
+    return new Vec3(position.x, position.y, position.z);
+  }
+
+  heuristic(node) {
+    return Math.max(0, distanceBetween(node, this.getTargetPosition()) - this.range);
+  }
+
+  isEnd(node) {
+    const target = this.getTargetPosition();
+    return distanceBetween(node, target) <= this.range && this.canSee(node, target, this.target.height);
+  }
+
+  hasChanged() {
+    const current = this.getTargetPosition().floored();
+    if (current.equals(this.last)) return false;
+    this.last = current;
+    return true;
+  }
+
+  isValid() {
+    return this.target.isValid !== false;
+  }
+}
+
+/**
+ * Goal reached between a minimum and maximum distance from an entity
+ * Walks away when too close and closer when too far.
+ */
+class GoalDistanceBand extends goals.Goal {
+  constructor(entity, min, max) {
+    super();
+    this.entity = entity;
+    this.min = min;
+    this.max = max;
+    this.last = entity.position.floored();
+  }
+
+  heuristic(node) {
+    const current = distanceBetween(node, this.entity.position);
+    if (current < this.min) return this.min - current;
+    if (current > this.max) return current - this.max;
+    return 0;
+  }
+
+  isEnd(node) {
+    const current = distanceBetween(node, this.entity.position);
+    return current >= this.min && current <= this.max;
+  }
+
+  hasChanged() {
+    const current = this.entity.position.floored();
+    if (current.equals(this.last)) return false;
+    this.last = current;
+    return true;
+  }
+
+  isValid() {
+    return this.entity.isValid !== false;
+  }
+}
+
 /**
  * Pathfinder wrapper to simplify mineflayer-pathfinder movement commands
+ * The bot pursues one goal at a time. Every movement returns a promise and takes an
+ * optional { token } to cancel it; starting a new movement rejects the previous one
+ * with a 'preempted' PathfindingError, so callers can tell being replaced from failing.
  */
 class PathfinderUtil {
   constructor(bot, config = {}) {
@@ -12,7 +176,7 @@ class PathfinderUtil {
     this.config = config;
     this.movements = null;
     this.isInitialized = false;
-    this.currentReject = null;
+    this.active = null; // { token, settle } of the movement being pursued
   }
 
   /**
@@ -45,59 +209,295 @@ class PathfinderUtil {
   }
 
   /**
-   * Go to specific coordinates
+   * Move to a new bot after a reconnect; a pending movement is rejected
    */
-  async goto(x, y, z, range = 1) {
+  setBot(bot) {
+    this.cancelActive('interrupted', 'Pathfinding interrupted');
+
+    this.bot = bot;
+    this.isInitialized = false;
+    this.initialize();
+  }
+
+  /**
+   * Create a token for cancelling movements
+   */
+  createToken() {
+    return new CancellationToken();
+  }
+
+  /**
+   * Pursue a goal until it is reached, fails or is cancelled
+   * @param {Object} goal - mineflayer-pathfinder goal
+   * @param {Object} options
+   * @param {CancellationToken} options.token - Cancels this movement
+   * @param {number} options.timeoutMs - Give up after this long, 0 for never (default 60s)
+   * @param {boolean} options.dynamic - Keep pursuing after the goal is reached (moving targets);
+   *   such movements end when `until` returns true or the token is cancelled
+   * @param {Function} options.until - Checked every tick; ends the movement successfully when true
+   * @param {Object} options.target - Reported with pathfindingFailed events
+   * @param {string} options.label - Used in log messages
+   * @returns {Promise<void>}
+   */
+  moveTo(goal, options = {}) {
     if (!this.isInitialized) this.initialize();
-    
-    // If already moving, stop first to clear previous promise
-    if (this.currentReject) {
-      this.stop();
+
+    const token = options.token || null;
+    if (token?.isCancelled) {
+      return Promise.reject(new PathfindingError(token.reason, 'cancelled'));
     }
 
-    try {
-      const goal = new goals.GoalNear(x, y, z, range);
-      this.bot.pathfinder.setMovements(this.movements);
-      this.bot.pathfinder.setGoal(goal);
-      
-      logger.debug(`Moving to coordinates: ${x}, ${y}, ${z}`);
-      
-      return new Promise((resolve, reject) => {
-        this.currentReject = reject;
-        
-        const timeout = setTimeout(() => {
-          cleanup();
-          reject(new Error('Pathfinding timeout'));
-        }, 60000); // 60 second timeout
-
-        const goalReached = () => {
-          cleanup();
-          logger.success(`Reached destination: ${x}, ${y}, ${z}`);
+    // Whoever had the pathfinder before learns that it was taken over
+    this.cancelActive('preempted', 'Pathfinding preempted by another goal');
+
+    const bot = this.bot;
+    const label = options.label || 'goal';
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+      let timeout = null;
+      let removeCancel = null;
+
+      const active = { token };
+
+      const settle = (error) => {
+        clearTimeout(timeout);
+        removeCancel?.();
+        bot.removeListener('goal_reached', goalReached);
+        bot.removeListener('path_update', pathUpdate);
+        bot.removeListener('physicsTick', checkUntil);
+        if (this.active === active) this.active = null;
+        if (error) {
+          reject(error);
+        } else {
           resolve();
-        };
-
-        const pathUpdate = (results) => {
-          if (results.status === 'noPath') {
-            cleanup();
-            reject(new Error('No path to destination'));
-          }
-        };
-
-        const cleanup = () => {
-          clearTimeout(timeout);
-          this.bot.removeListener('goal_reached', goalReached);
-          this.bot.removeListener('path_update', pathUpdate);
-          this.currentReject = null;
-        };
-
-        this.bot.once('goal_reached', goalReached);
-        this.bot.on('path_update', pathUpdate);
-      });
-    } catch (error) {
-      this.currentReject = null;
-      logger.error('Failed to pathfind to location', error);
-      throw error;
+        }
+      };
+      active.settle = settle;
+
+      const fail = (reason, message) => {
+        bot.pathfinder.setGoal(null);
+        bot.emit('pathfindingFailed', { reason, goal: options.target || null });
+        settle(new PathfindingError(message, reason));
+      };
+
+      const goalReached = (reachedGoal) => {
+        if (reachedGoal && reachedGoal !== goal) return;
+        logger.success(`Reached ${label}`);
+        settle();
+      };
+
+      const pathUpdate = (results) => {
+        // A moving target can be out of reach for a moment; the goal is re-planned when it moves
+        if (results.status === 'noPath' && !options.dynamic) {
+          fail('noPath', 'No path to destination');
+        }
+      };
+
+      const checkUntil = () => {
+        if (options.until()) {
+          bot.pathfinder.setGoal(null);
+          settle();
+        }
+      };
+
+      this.active = active;
+      if (timeoutMs > 0) {
+        timeout = setTimeout(() => fail('timeout', 'Pathfinding timeout'), timeoutMs);
+      }
+      if (token) {
+        removeCancel = token.onCancel(reason => {
+          bot.pathfinder.setGoal(null);
+          settle(new PathfindingError(reason, 'cancelled'));
+        });
+      }
+
+      bot.on('goal_reached', goalReached);
+      bot.on('path_update', pathUpdate);
+      if (options.until) {
+        bot.on('physicsTick', checkUntil);
+      }
+
+      try {
+        bot.pathfinder.setMovements(this.movements);
+        bot.pathfinder.setGoal(goal, options.dynamic || false);
+        logger.debug(`Moving to ${label}`);
+      } catch (error) {
+        logger.error('Failed to pathfind to location', error);
+        settle(error);
+      }
+    });
+  }
+
+  /**
+   * Reject the movement being pursued without touching the bot's goal
+   */
+  cancelActive(code, message) {
+    const active = this.active;
+    if (!active) return;
+
+    this.active = null;
+    active.settle(new PathfindingError(message, code));
+  }
+
+  /**
+   * Go to specific coordinates
+   * @param {Object} options - { token, timeoutMs }
+   */
+  async goto(x, y, z, range = 1, options = {}) {
+    return this.moveTo(new goals.GoalNear(x, y, z, range), {
+      ...options,
+      target: { x, y, z },
+      label: `destination: ${x}, ${y}, ${z}`
+    });
+  }
+
+  /**
+   * Go to anywhere inside a region (see utils/regions.js)
+   * @param {Object} options - { token, timeoutMs }
+   */
+  async gotoRegion(region, options = {}) {
+    return this.moveTo(new GoalRegion(region), {
+      ...options,
+      target: region.center(),
+      label: `region ${region.name || region.describe()}`
+    });
+  }
+
+  /**
+   * Get within range of an entity or position with a clear view of it
+   * @param {Object} options - { token, timeoutMs }
+   */
+  async gotoLineOfSight(target, range = 16, options = {}) {
+    const position = target.position || target;
+    return this.moveTo(new GoalLineOfSight(target, range, (from, to, height) => this.hasLineOfSight(from, to, height)), {
+      ...options,
+      target: { x: position.x, y: position.y, z: position.z },
+      label: `line of sight of ${target.username || target.name || `${position.x}, ${position.y}, ${position.z}`}`
+    });
+  }
+
+  /**
+   * Keep between min and max blocks from an entity, following or backing off as it moves
+   * (max = Infinity flees, min = 0 follows). Resolves when the entity is gone; cancel
+   * the token to stop earlier.
+   * @param {Object} options - { token, timeoutMs (default never) }
+   */
+  async keepDistance(entity, min, max = Infinity, options = {}) {
+    return this.moveTo(new GoalDistanceBand(entity, min, max), {
+      timeoutMs: 0,
+      ...options,
+      dynamic: true,
+      until: () => entity.isValid === false,
+      label: `${min}-${max} blocks from ${entity.username || entity.name}`
+    });
+  }
+
+  /**
+   * Get at least a distance away from an entity, then stop
+   * @param {Object} options - { token, timeoutMs }
+   */
+  async flee(entity, distanceAway, options = {}) {
+    const { x, y, z } = entity.position;
+    return this.moveTo(new GoalDistanceBand(entity, distanceAway, Infinity), {
+      ...options,
+      target: { x, y, z },
+      label: `${distanceAway} blocks away from ${entity.username || entity.name}`
+    });
+  }
+
+  /**
+   * Go to the nearest block of one or more types
+   * @param {string|string[]} blockNames
+   * @param {Object} options - { maxDistance (default 64), range (default 1), token, timeoutMs }
+   * @returns {Promise<Block>} The block that was reached
+   */
+  async gotoNearestBlock(blockNames, options = {}) {
+    if (!this.isInitialized) this.initialize();
+
+    const names = [].concat(blockNames);
+    const maxDistance = options.maxDistance ?? 64;
+    const ids = names.map(name => this.bot.registry.blocksByName[name]?.id).filter(id => id !== undefined);
+    if (ids.length === 0) {
+      throw new PathfindingError(`Unknown block type ${names.join(', ')}`, 'noBlock');
+    }
+
+    const block = this.bot.findBlock({ matching: ids, maxDistance });
+    if (!block) {
+      throw new PathfindingError(`No ${names.join(' or ')} within ${maxDistance} blocks`, 'noBlock');
+    }
+
+    const { x, y, z } = block.position;
+    await this.moveTo(new goals.GoalNear(x, y, z, options.range ?? 1), {
+      ...options,
+      target: { x, y, z },
+      label: `${block.name} at ${x}, ${y}, ${z}`
+    });
+    return block;
+  }
+
+  /**
+   * Go up or down to a Y level
+   * @param {Object} options - { token, timeoutMs }
+   */
+  async gotoY(y, options = {}) {
+    return this.moveTo(new goals.GoalY(y), { ...options, label: `Y level ${y}` });
+  }
+
+  /**
+   * Go to where one (mode 'any') or every (mode 'all') of several goals is met
+   * @param {Array} goalList - mineflayer-pathfinder goals, or specs for buildGoal()
+   * @param {Object} options - { mode, token, timeoutMs }
+   */
+  async gotoComposite(goalList, options = {}) {
+    const mode = options.mode || 'any';
+    if (!['any', 'all'].includes(mode)) {
+      throw new Error(`Unknown composite mode '${mode}' (any, all)`);
     }
+
+    const Composite = mode === 'all' ? goals.GoalCompositeAll : goals.GoalCompositeAny;
+    return this.moveTo(new Composite(goalList.map(goal => this.buildGoal(goal))), {
+      ...options,
+      label: `${mode} of ${goalList.length} goals`
+    });
+  }
+
+  /**
+   * Turn a goal spec into a mineflayer-pathfinder goal; goals are returned as they are
+   * Specs: { type: 'near', x, y, z, range }, { type: 'region', region }, { type: 'y', y },
+   * { type: 'lineOfSight', target, range }, { type: 'distance', entity, min, max }
+   */
+  buildGoal(spec) {
+    if (spec instanceof goals.Goal) return spec;
+
+    switch (spec?.type) {
+    case 'near':
+      return new goals.GoalNear(spec.x, spec.y, spec.z, spec.range ?? 1);
+    case 'region':
+      return new GoalRegion(spec.region);
+    case 'y':
+      return new goals.GoalY(spec.y);
+    case 'lineOfSight':
+      return new GoalLineOfSight(spec.target, spec.range ?? 16, (from, to, height) => this.hasLineOfSight(from, to, height));
+    case 'distance':
+      return new GoalDistanceBand(spec.entity, spec.min ?? 0, spec.max ?? Infinity);
+    default:
+      throw new Error(`Unknown goal type '${spec?.type}'`);
+    }
+  }
+
+  /**
+   * Check whether standing at a block position gives a clear view of a point
+   * @param {number} targetHeight - Height of the entity at the point, to look at its eyes
+   */
+  hasLineOfSight(from, to, targetHeight = 0) {
+    const eye = new Vec3(from.x + 0.5, from.y + EYE_HEIGHT, from.z + 0.5);
+    const target = new Vec3(to.x, to.y + targetHeight * 0.85, to.z);
+    const delta = target.minus(eye);
+    const length = delta.norm();
+    if (length === 0) return true;
+
+    return !this.bot.world.raycast(eye, delta.scaled(1 / length), length);
   }
 
   /**
@@ -111,17 +511,18 @@ class PathfinderUtil {
       throw new Error(`Player ${username} not found`);
     }
 
+    this.cancelActive('preempted', 'Pathfinding preempted by another goal');
     const goal = new goals.GoalFollow(player, range);
     this.bot.pathfinder.setMovements(this.movements);
     this.bot.pathfinder.setGoal(goal, true);
-    
+
     logger.info(`Following player: ${username}`);
   }
 
   /**
    * Go to a player
    */
-  async gotoPlayer(username, range = 3) {
+  async gotoPlayer(username, range = 3, options = {}) {
     if (!this.isInitialized) this.initialize();
 
     const player = this.bot.players[username]?.entity;
@@ -130,32 +531,28 @@ class PathfinderUtil {
     }
 
     const { x, y, z } = player.position;
-    return this.goto(x, y, z, range);
+    return this.goto(x, y, z, range, options);
   }
 
   /**
    * Go to a block
    */
-  async gotoBlock(block, range = 1) {
-    if (!this.isInitialized) this.initialize();
-
+  async gotoBlock(block, range = 1, options = {}) {
     const { x, y, z } = block.position;
-    return this.goto(x, y, z, range);
+    return this.goto(x, y, z, range, options);
   }
 
   /**
    * Stop current pathfinding
+   * With a token, only stops when that token's movement is the one being pursued.
    */
-  stop() {
+  stop(token = null) {
     if (!this.isInitialized) return;
+    if (token && this.active?.token !== token) return;
 
     this.bot.pathfinder.setGoal(null);
-    
-    if (this.currentReject) {
-      this.currentReject(new Error('Pathfinding interrupted'));
-      this.currentReject = null;
-    }
-    
+    this.cancelActive('stopped', 'Pathfinding interrupted');
+
     logger.info('Pathfinding stopped');
   }
 
@@ -170,11 +567,7 @@ class PathfinderUtil {
    * Get distance to target position
    */
   distanceTo(x, y, z) {
-    const pos = this.bot.entity.position;
-    const dx = pos.x - x;
-    const dy = pos.y - y;
-    const dz = pos.z - z;
-    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return distanceBetween(this.bot.entity.position, { x, y, z });
   }
 
   /**
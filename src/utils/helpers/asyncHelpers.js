@@ -12,12 +12,14 @@ export function sleep(ms) {
 }
 
 /**
- * Get BotClient instance
- * Standardized way to import and get BotClient singleton
- * @returns {Promise<Object>} BotClient instance
+ * Get the BotClient that owns a bot
+ * Several bots can run in one process, so pass the plugin's bot; without one
+ * this only resolves when a single bot is running.
+ * @param {Object} bot - Mineflayer bot
+ * @returns {Promise<Object|null>} BotClient instance
  */
-export async function getBotClient() {
-  const BotClientModule = await import('../../core/BotClient.js');
-  const BotClient = BotClientModule.default;
-  return BotClient.getInstance();
+export async function getBotClient(bot = null) {
+  const BotFleetModule = await import('../../core/BotFleet.js');
+  const BotFleet = BotFleetModule.default;
+  return BotFleet.getClient(bot);
 }
@@ -0,0 +1,79 @@
+/**
+ * Helpers for combining configuration sources
+ */
+
+/**
+ * Check for a plain object (not an array, null or class instance)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Merge an overlay onto a base config without modifying either
+ * Nested objects are merged key by key; arrays and other values replace the base.
+ * @param {Object} base - Base configuration
+ * @param {Object} overlay - Values that take precedence
+ * @returns {Object} Merged configuration
+ */
+export function deepMerge(base = {}, overlay = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * List the settings that differ between two configs
+ * @param {Object} before - Old configuration
+ * @param {Object} after - New configuration
+ * @returns {Array<{path: string, from: *, to: *}>} One entry per changed value; arrays compare as a whole
+ */
+export function diffConfig(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffConfig(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Top-level sections touched by a list of changes
+ * @param {Array<{path: string}>} changes - Output of diffConfig
+ * @returns {string[]} Section names
+ */
+export function getChangedSections(changes) {
+  return [...new Set(changes.map(change => change.path.split('.')[0]))];
+}
+
+// Values under these keys are masked wherever settings are printed or logged
+const SECRET_KEY = /password|token|secret/i;
+
+/**
+ * Mask secrets in a setting, including inside whole sections
+ * @param {string} key - Setting name or dotted path
+ * @param {*} value - Setting value
+ * @returns {*} The value with secrets replaced by '***'
+ */
+export function redactSecrets(key, value) {
+  if (value === undefined) return null;
+  if (SECRET_KEY.test(key.split('.').pop())) return '***';
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactSecrets(name, item)]));
+}
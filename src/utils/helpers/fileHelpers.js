@@ -0,0 +1,62 @@
+/**
+ * Shared helpers for files under data/
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Default data directory; fleet bots get their own (see BotFleet)
+ */
+export const DATA_DIR = path.join(__dirname, '../../../data');
+
+/**
+ * Path of a file in a bot's data directory
+ * @param {Object} bot - Mineflayer bot (uses bot.dataDir when set)
+ * @param {string} fileName - File name
+ * @returns {string} Absolute path
+ */
+export function getDataPath(bot, fileName) {
+  return path.join(bot?.dataDir || DATA_DIR, fileName);
+}
+
+/**
+ * Write a file so readers only ever see the old or the new content
+ * The data goes to a temporary file in the same directory, is flushed to disk
+ * and then renamed over the target, which is atomic on the same filesystem.
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} content - Data to write
+ */
+export function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Returned when the file does not exist
+ * @returns {*} Parsed content or the fallback
+ */
+export function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
@@ -0,0 +1,62 @@
+/**
+ * Shared helpers for the local HTTP and WebSocket servers
+ */
+import crypto from 'crypto';
+
+/**
+ * Read the API token from a request
+ * Accepts "Authorization: Bearer <token>", an X-API-Token header or a ?token= query
+ * parameter (browsers cannot set headers on WebSocket connections).
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string|null} Token or null if none was sent
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  if (req.headers['x-api-token']) return String(req.headers['x-api-token']);
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+/**
+ * Compare a provided token with the expected one in constant time
+ * @param {string} expected - Configured token
+ * @param {string|null} provided - Token sent by the client
+ * @returns {boolean} True if the tokens match
+ */
+export function tokensMatch(expected, provided) {
+  if (!expected || !provided) return false;
+
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * JSON.stringify that copes with Maps, Sets, BigInts and circular references
+ * An object met again inside itself is written as "[Circular]"; one that is only
+ * referenced twice is written both times.
+ * @param {*} data - Value to serialize
+ * @returns {string} JSON text
+ */
+export function toJson(data) {
+  // Objects enclosing the value being serialized, outermost first
+  const ancestors = [];
+  return JSON.stringify(data, function (key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'object' || value === null) return value;
+
+    // Drop the enclosing objects of values written before this one
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1].json !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.some(entry => entry.source === value)) return '[Circular]';
+
+    let json = value;
+    if (value instanceof Map) json = Object.fromEntries(value);
+    if (value instanceof Set) json = Array.from(value);
+    ancestors.push({ source: value, json });
+    return json;
+  });
+}
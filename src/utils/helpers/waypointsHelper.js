@@ -29,68 +29,33 @@ export function loadWaypoints() {
   }
 }
 
-/**
- * Load a specific farm area from waypoints
- * @param {string} areaName - Name of the area to load (e.g., 'sugarcane_farm')
- * @returns {Object|null} Farm area data or null if not found
- */
-export function loadFarmArea(areaName) {
-  try {
-    const data = loadWaypoints();
-    if (!data) return null;
-    
-    const farmArea = data.areas?.[areaName];
-    
-    if (farmArea && farmArea.corner1 && farmArea.corner2) {
-      return farmArea;
-    } else {
-      logger.warn(`Farm area '${areaName}' not defined in waypoints.json`);
-      return null;
-    }
-  } catch (error) {
-    logger.error(`Failed to load farm area '${areaName}'`, error);
-    return null;
-  }
-}
+// Short names accepted wherever a dimension is typed
+const DIMENSION_ALIASES = {
+  nether: 'the_nether',
+  end: 'the_end'
+};
+
+export const DEFAULT_DIMENSION = 'overworld';
+
+export const DIMENSIONS = [DEFAULT_DIMENSION, 'the_nether', 'the_end'];
 
 /**
- * Load a chest area with radius from waypoints
- * @param {string} areaName - Name of the chest area (e.g., 'sugarcane_chest_area')
- * @returns {Object|null} Chest area with center and radius, or null if not found
+ * Normalize a dimension name: "minecraft:the_nether", "Nether" and "the_nether" are the same
+ * @param {string} name - Dimension name as typed or reported by the server
+ * @returns {string|null} Normalized name, or null when none was given
  */
-export function loadChestArea(areaName) {
-  try {
-    const data = loadWaypoints();
-    if (!data) return null;
-    
-    const areaRadius = data.areas?.[areaName]?.area_radius;
-    if (!areaRadius) {
-      logger.warn(`No area_radius defined for '${areaName}' in waypoints.json`);
-      return null;
-    }
-    
-    return {
-      center: { x: areaRadius.x, y: areaRadius.y, z: areaRadius.z },
-      radius: areaRadius.radius ?? 10
-    };
-  } catch (error) {
-    logger.error(`Failed to load chest area '${areaName}'`, error);
-    return null;
-  }
+export function normalizeDimension(name) {
+  if (!name) return null;
+
+  const dimension = String(name).toLowerCase().replace(/^minecraft:/, '');
+  return DIMENSION_ALIASES[dimension] || dimension;
 }
 
 /**
- * Get center position of a farm area
- * @param {Object} farmArea - Farm area with corner1 and corner2
- * @returns {Object|null} Center position {x, y, z} or null
+ * Get the dimension of a waypoint; waypoints saved before dimensions existed are in the overworld
+ * @param {Object} waypoint - Waypoint from waypoints.json
+ * @returns {string} Normalized dimension name
  */
-export function getFarmCenter(farmArea) {
-  if (!farmArea || !farmArea.corner1 || !farmArea.corner2) return null;
-  
-  const { corner1, corner2 } = farmArea;
-  return {
-    x: Math.floor((corner1.x + corner2.x) / 2),
-    y: corner1.y,
-    z: Math.floor((corner1.z + corner2.z) / 2)
-  };
+export function getWaypointDimension(waypoint) {
+  return normalizeDimension(waypoint?.dimension) || DEFAULT_DIMENSION;
 }
@@ -0,0 +1,385 @@
+import logger from './Logger.js';
+import { normalizeDimension } from './helpers/waypointsHelper.js';
+
+export const REGION_TYPES = ['cuboid', 'sphere', 'polygon'];
+
+function toNumber(value, label) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Region ${label} must be a number`);
+  }
+  return number;
+}
+
+function toPoint(point, label) {
+  if (!point || typeof point !== 'object') {
+    throw new Error(`Region needs ${label} with x, y and z`);
+  }
+  return { x: toNumber(point.x, `${label}.x`), y: toNumber(point.y, `${label}.y`), z: toNumber(point.z, `${label}.z`) };
+}
+
+/**
+ * Region - A named part of the world
+ * Positions are block positions or entity positions; entity positions count for
+ * the block they are in. Subclasses implement contains() and bounds().
+ */
+export class Region {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || null;
+    this.dimension = normalizeDimension(options.dimension);
+    this.description = options.description || '';
+  }
+
+  /**
+   * Check whether a position is inside the region
+   */
+  contains() {
+    throw new Error(`${this.type} region must implement contains()`);
+  }
+
+  /**
+   * Smallest box around the region: { min, max } in block coordinates
+   */
+  bounds() {
+    throw new Error(`${this.type} region must implement bounds()`);
+  }
+
+  /**
+   * Block position in the middle of the region
+   */
+  center() {
+    const { min, max } = this.bounds();
+    return {
+      x: Math.floor((min.x + max.x) / 2),
+      y: Math.floor((min.y + max.y) / 2),
+      z: Math.floor((min.z + max.z) / 2)
+    };
+  }
+
+  /**
+   * Iterate over the block positions inside the region
+   */
+  * blocks() {
+    const { min, max } = this.bounds();
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+          const position = { x, y, z };
+          if (this.contains(position)) yield position;
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy of the region reaching further down and up
+   * (used by farms whose region is drawn on the ground the crops grow from)
+   */
+  expand() {
+    throw new Error(`${this.type} region must implement expand()`);
+  }
+
+  /**
+   * Check whether the region is in a dimension; regions without one match every dimension
+   */
+  isInDimension(dimension) {
+    return !this.dimension || !dimension || this.dimension === normalizeDimension(dimension);
+  }
+
+  describe() {
+    const { min, max } = this.bounds();
+    return `${this.type} ${min.x},${min.y},${min.z} to ${max.x},${max.y},${max.z}`;
+  }
+
+  toJSON() {
+    const data = { type: this.type, ...this.shapeJSON() };
+    if (this.dimension) data.dimension = this.dimension;
+    if (this.description) data.description = this.description;
+    return data;
+  }
+
+  get options() {
+    return { name: this.name, dimension: this.dimension, description: this.description };
+  }
+}
+
+/**
+ * CuboidRegion - Box between two corners, both included
+ */
+export class CuboidRegion extends Region {
+  constructor(corner1, corner2, options = {}) {
+    super('cuboid', options);
+    const a = toPoint(corner1, 'corner1');
+    const b = toPoint(corner2, 'corner2');
+    this.min = { x: Math.floor(Math.min(a.x, b.x)), y: Math.floor(Math.min(a.y, b.y)), z: Math.floor(Math.min(a.z, b.z)) };
+    this.max = { x: Math.floor(Math.max(a.x, b.x)), y: Math.floor(Math.max(a.y, b.y)), z: Math.floor(Math.max(a.z, b.z)) };
+  }
+
+  contains(position) {
+    const x = Math.floor(position.x);
+    const y = Math.floor(position.y);
+    const z = Math.floor(position.z);
+    return x >= this.min.x && x <= this.max.x &&
+      y >= this.min.y && y <= this.max.y &&
+      z >= this.min.z && z <= this.max.z;
+  }
+
+  bounds() {
+    return { min: { ...this.min }, max: { ...this.max } };
+  }
+
+  expand(down = 0, up = 0) {
+    return new CuboidRegion(
+      { ...this.min, y: this.min.y - down },
+      { ...this.max, y: this.max.y + up },
+      this.options
+    );
+  }
+
+  shapeJSON() {
+    return { min: this.min, max: this.max };
+  }
+}
+
+/**
+ * SphereRegion - Everything within a radius of a center
+ * An expanded sphere is stretched vertically: its middle becomes a cylinder.
+ */
+export class SphereRegion extends Region {
+  constructor(center, radius, options = {}) {
+    super('sphere', options);
+    this.centerPoint = toPoint(center, 'center');
+    this.radius = toNumber(radius, 'radius');
+    if (this.radius <= 0) {
+      throw new Error('Region radius must be positive');
+    }
+    this.down = options.down || 0;
+    this.up = options.up || 0;
+  }
+
+  contains(position) {
+    const dx = position.x - this.centerPoint.x;
+    const dz = position.z - this.centerPoint.z;
+    let dy = position.y - this.centerPoint.y;
+    dy = dy < 0 ? Math.min(0, dy + this.down) : Math.max(0, dy - this.up);
+    return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+  }
+
+  bounds() {
+    const { x, y, z } = this.centerPoint;
+    const r = this.radius;
+    return {
+      min: { x: Math.ceil(x - r), y: Math.ceil(y - r - this.down), z: Math.ceil(z - r) },
+      max: { x: Math.floor(x + r), y: Math.floor(y + r + this.up), z: Math.floor(z + r) }
+    };
+  }
+
+  center() {
+    return { ...this.centerPoint };
+  }
+
+  expand(down = 0, up = 0) {
+    return new SphereRegion(this.centerPoint, this.radius, { ...this.options, down: this.down + down, up: this.up + up });
+  }
+
+  describe() {
+    const { x, y, z } = this.centerPoint;
+    return `sphere of radius ${this.radius} around ${x},${y},${z}`;
+  }
+
+  shapeJSON() {
+    const data = { center: this.centerPoint, radius: this.radius };
+    if (this.down) data.down = this.down;
+    if (this.up) data.up = this.up;
+    return data;
+  }
+}
+
+/**
+ * PolygonRegion - Prism over a polygon of x/z corners, from minY to maxY
+ * Blocks on the polygon's edges are inside, as with cuboid corners.
+ */
+export class PolygonRegion extends Region {
+  constructor(points, minY, maxY, options = {}) {
+    super('polygon', options);
+    if (!Array.isArray(points) || points.length < 3) {
+      throw new Error('Polygon region needs at least 3 points');
+    }
+    this.points = points.map((point, index) => ({
+      x: toNumber(point.x, `points[${index}].x`),
+      z: toNumber(point.z, `points[${index}].z`)
+    }));
+    const low = toNumber(minY, 'minY');
+    const high = toNumber(maxY, 'maxY');
+    this.minY = Math.floor(Math.min(low, high));
+    this.maxY = Math.floor(Math.max(low, high));
+  }
+
+  contains(position) {
+    const y = Math.floor(position.y);
+    if (y < this.minY || y > this.maxY) return false;
+
+    const x = Math.floor(position.x);
+    const z = Math.floor(position.z);
+    let inside = false;
+
+    for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+      const a = this.points[i];
+      const b = this.points[j];
+
+      // On the edge from b to a
+      const cross = (b.x - a.x) * (z - a.z) - (b.z - a.z) * (x - a.x);
+      if (cross === 0 && x >= Math.min(a.x, b.x) && x <= Math.max(a.x, b.x) &&
+          z >= Math.min(a.z, b.z) && z <= Math.max(a.z, b.z)) {
+        return true;
+      }
+
+      // Ray casting along +x
+      if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  bounds() {
+    const xs = this.points.map(point => point.x);
+    const zs = this.points.map(point => point.z);
+    return {
+      min: { x: Math.floor(Math.min(...xs)), y: this.minY, z: Math.floor(Math.min(...zs)) },
+      max: { x: Math.floor(Math.max(...xs)), y: this.maxY, z: Math.floor(Math.max(...zs)) }
+    };
+  }
+
+  center() {
+    // Average of the corners, which is inside for the convex shapes regions usually have
+    const x = this.points.reduce((sum, point) => sum + point.x, 0) / this.points.length;
+    const z = this.points.reduce((sum, point) => sum + point.z, 0) / this.points.length;
+    return { x: Math.floor(x), y: this.minY, z: Math.floor(z) };
+  }
+
+  expand(down = 0, up = 0) {
+    return new PolygonRegion(this.points, this.minY - down, this.maxY + up, this.options);
+  }
+
+  describe() {
+    return `polygon of ${this.points.length} points from y ${this.minY} to ${this.maxY}`;
+  }
+
+  shapeJSON() {
+    return { points: this.points, minY: this.minY, maxY: this.maxY };
+  }
+}
+
+/**
+ * Build a region from its waypoints.json entry
+ * Older entries are read too: corner1/corner2 as a cuboid and area_radius as a sphere.
+ * @throws {Error} When the entry is not a valid region
+ */
+export function parseRegion(data, name = null) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Region must be an object');
+  }
+
+  const options = { name, dimension: data.dimension, description: data.description, down: data.down, up: data.up };
+  const type = data.type || (data.corner1 && data.corner2 ? 'cuboid' : data.area_radius ? 'sphere' : null);
+
+  switch (type) {
+  case 'cuboid':
+    return new CuboidRegion(data.min || data.corner1, data.max || data.corner2, options);
+  case 'sphere':
+    return new SphereRegion(data.center || data.area_radius, data.radius ?? data.area_radius?.radius ?? 10, options);
+  case 'polygon':
+    return new PolygonRegion(data.points, data.minY, data.maxY, options);
+  default:
+    throw new Error(`Unknown region shape '${type}' (${REGION_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * RegionRegistry - Named regions from the `areas` section of data/waypoints.json
+ * Plugins look regions up by name when they need them, so edits made in game or
+ * in the file apply without holding on to stale copies.
+ */
+class RegionRegistry {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getData - Returns the waypoints.json data holding `areas`
+   * @param {Function} options.save - Persists the data after a region changed
+   */
+  constructor(options = {}) {
+    this.getData = options.getData || (() => ({}));
+    this.save = options.save || (() => {});
+    this.cache = new Map(); // name -> { data, region }
+  }
+
+  getAreas() {
+    const data = this.getData();
+    data.areas = data.areas || {};
+    return data.areas;
+  }
+
+  /**
+   * Get a region by name
+   * @returns {Region|null} Null when it does not exist or is invalid (logged once)
+   */
+  get(name) {
+    const data = this.getAreas()[name];
+    if (!data) return null;
+
+    // Entries are replaced rather than changed, so an unchanged object is still parsed correctly
+    const cached = this.cache.get(name);
+    if (cached?.data === data) return cached.region;
+
+    let region = null;
+    try {
+      region = parseRegion(data, name);
+    } catch (error) {
+      logger.warn(`Region '${name}' in waypoints.json is invalid: ${error.message}`);
+    }
+    this.cache.set(name, { data, region });
+    return region;
+  }
+
+  /**
+   * List all region names
+   */
+  list() {
+    return Object.keys(this.getAreas());
+  }
+
+  /**
+   * Save a region under a name, replacing an existing one
+   */
+  define(name, region) {
+    region.name = name;
+    this.getAreas()[name] = region.toJSON();
+    this.save();
+    return region;
+  }
+
+  /**
+   * Delete a region
+   */
+  remove(name) {
+    if (!this.getAreas()[name]) return false;
+
+    delete this.getAreas()[name];
+    this.cache.delete(name);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Names of the regions containing a position
+   */
+  findContaining(position, dimension = null) {
+    return this.list().filter(name => {
+      const region = this.get(name);
+      return region && region.isInDimension(dimension) && region.contains(position);
+    });
+  }
+}
+
+export default RegionRegistry;
@@ -1,176 +1,416 @@
+import logger from './Logger.js';
+import { sleep } from './helpers/asyncHelpers.js';
+import { getWaypointDimension } from './helpers/waypointsHelper.js';
+
+export const PATROL_MODES = ['loop', 'pingpong', 'once'];
+
+// Pause at a point that has no dwell time of its own
+const DEFAULT_DWELL_MS = 3000;
+
 /**
- * Routes helper - Manages patrol routes and route execution
+ * Routes helper - Named multi-point routes and patrols along them
+ * Routes are stored in the `routes` section of data/waypoints.json as lists of points.
+ * A point is either coordinates or the name of a saved waypoint, with an optional
+ * dwell time and a command to run on arrival, noted with the player who added it:
+ *   { "x": 10, "y": 64, "z": -5 }
+ *   { "waypoint": "home", "dwellMs": 10000, "action": "deposit", "author": "Steve" }
+ * Patrol modes: loop (back to the first point), pingpong (turn around at either end)
+ * and once (stop at the last point). Waypoints in another dimension than the bot's
+ * are skipped; coordinates are taken to be in the bot's dimension.
  */
 class RouteManager {
-  constructor(pathfinder) {
-    this.pathfinder = pathfinder;
-    this.routes = new Map();
-    this.currentRoute = null;
-    this.currentIndex = 0;
-    this.isPatrolling = false;
-    this.patrolInterval = null;
+  /**
+   * @param {Function} acquireMovement - (label) => MovementLease that moves the bot between points
+   * @param {Object} options
+   * @param {Function} options.getData - Returns the waypoints.json data holding `routes` and `waypoints`
+   * @param {Function} options.save - Persists the data after a route changed
+   * @param {Function} options.runAction - async (point, patrol) => void, runs a resolved point's action
+   * @param {Function} options.onPatrolEnd - (patrol, reason) => void, called when a patrol ends by itself
+   * @param {Function} options.getDimension - Returns the dimension the bot is in
+   */
+  constructor(acquireMovement, options = {}) {
+    this.acquireMovement = acquireMovement;
+    this.getData = options.getData || (() => ({}));
+    this.save = options.save || (() => {});
+    this.runAction = options.runAction || (async () => {});
+    this.onPatrolEnd = options.onPatrolEnd || (() => {});
+    this.getDimension = options.getDimension || (() => null);
+    this.patrol = null;
+    // Bumped on every start and stop so an interrupted patrol loop knows to end
+    this.patrolRun = 0;
+    // Movement lease of the running patrol; releasing it stops only the patrol's movement
+    this.lease = null;
+  }
+
+  getRoutes() {
+    const data = this.getData();
+    data.routes = data.routes || {};
+    return data.routes;
   }
 
   /**
-   * Add a route
+   * Get the points of a route
    */
-  addRoute(name, waypoints) {
-    this.routes.set(name, {
-      name,
-      waypoints,
-      length: waypoints.length
-    });
+  getRoute(name) {
+    return this.getRoutes()[name] || null;
   }
 
   /**
-   * Remove a route
+   * List all route names
    */
-  removeRoute(name) {
-    if (this.currentRoute === name) {
-      this.stopPatrol();
-    }
-    return this.routes.delete(name);
+  listRoutes() {
+    return Object.keys(this.getRoutes());
   }
 
   /**
-   * Get a route
+   * Create an empty route
    */
-  getRoute(name) {
-    return this.routes.get(name);
+  createRoute(name) {
+    if (this.getRoute(name)) {
+      throw new Error(`Route '${name}' already exists`);
+    }
+    this.getRoutes()[name] = [];
+    this.save();
   }
 
   /**
-   * List all routes
+   * Delete a route, stopping the patrol that follows it
    */
-  listRoutes() {
-    return Array.from(this.routes.keys());
+  removeRoute(name) {
+    if (!this.getRoute(name)) return false;
+
+    if (this.patrol?.route === name) {
+      this.stopPatrol();
+    }
+    delete this.getRoutes()[name];
+    this.save();
+    return true;
   }
 
   /**
-   * Start patrolling a route
+   * Append a point to a route
+   * @param {Object} point - { x, y, z } or { waypoint }, with optional dwellMs, action and author
+   * @returns {number} Number of points in the route
    */
-  async startPatrol(routeName, loop = true) {
-    const route = this.routes.get(routeName);
+  addPoint(name, point) {
+    const route = this.getRoute(name);
     if (!route) {
-      throw new Error(`Route ${routeName} not found`);
+      throw new Error(`Route '${name}' not found`);
     }
+    // Fails for unknown waypoints and bad coordinates before anything is saved
+    this.resolvePoint(point);
 
-    this.currentRoute = routeName;
-    this.currentIndex = 0;
-    this.isPatrolling = true;
-
-    await this.patrolNext(loop);
+    route.push(point);
+    this.save();
+    return route.length;
   }
 
   /**
-   * Move to next waypoint in patrol
+   * Remove the point at an index (0-based)
+   * @returns {Object} The removed point
    */
-  async patrolNext(loop = true) {
-    if (!this.isPatrolling) return;
-
-    const route = this.routes.get(this.currentRoute);
+  removePoint(name, index) {
+    const route = this.getRoute(name);
     if (!route) {
-      this.stopPatrol();
-      return;
+      throw new Error(`Route '${name}' not found`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= route.length) {
+      throw new Error(`Route '${name}' has no point ${index + 1}`);
     }
 
-    const waypoint = route.waypoints[this.currentIndex];
-    
-    try {
-      await this.pathfinder.goto(waypoint.x, waypoint.y, waypoint.z);
-      
-      this.currentIndex++;
-      
-      // Check if route complete
-      if (this.currentIndex >= route.waypoints.length) {
-        if (loop) {
-          this.currentIndex = 0; // Start over
-        } else {
-          this.stopPatrol();
-          return;
-        }
-      }
+    const [point] = route.splice(index, 1);
+    if (this.patrol?.route === name && this.patrol.index >= route.length) {
+      this.patrol.index = 0;
+    }
+    this.save();
+    return point;
+  }
 
-      // Continue to next waypoint
-      if (this.isPatrolling) {
-        await this.patrolNext(loop);
-      }
-    } catch (error) {
-      console.error('Patrol error:', error);
-      this.stopPatrol();
+  /**
+   * Reverse the order of a route's points
+   */
+  reverseRoute(name) {
+    const route = this.getRoute(name);
+    if (!route) return false;
+
+    route.reverse();
+    if (this.patrol?.route === name) {
+      // Keep heading for the same point
+      this.patrol.index = route.length - 1 - this.patrol.index;
+      this.patrol.direction = -this.patrol.direction;
     }
+    this.save();
+    return true;
   }
 
   /**
-   * Stop patrolling
+   * List the routes with a point referring to a waypoint
    */
-  stopPatrol() {
-    this.isPatrolling = false;
-    this.currentRoute = null;
-    this.currentIndex = 0;
-    this.pathfinder.stop();
-    
-    if (this.patrolInterval) {
-      clearInterval(this.patrolInterval);
-      this.patrolInterval = null;
+  findWaypointUsage(waypointName) {
+    return this.listRoutes().filter(name => this.getRoute(name).some(point => point.waypoint === waypointName));
+  }
+
+  /**
+   * Point every reference to a renamed waypoint at its new name
+   * @returns {number} Number of points changed
+   */
+  renameWaypoint(oldName, newName) {
+    let changed = 0;
+    for (const route of Object.values(this.getRoutes())) {
+      for (const point of route) {
+        if (point.waypoint === oldName) {
+          point.waypoint = newName;
+          changed++;
+        }
+      }
     }
+    return changed;
   }
 
   /**
-   * Get patrol status
+   * Turn a stored point into coordinates, looking up waypoint references
+   * @returns {{x, y, z, label, dimension, dwellMs, action, author}} dimension is null for coordinates
    */
-  getStatus() {
+  resolvePoint(point) {
+    let coords = point;
+    let label = null;
+
+    if (point.waypoint) {
+      coords = this.getData().waypoints?.[point.waypoint];
+      label = point.waypoint;
+      if (!coords) {
+        throw new Error(`Waypoint '${point.waypoint}' not found`);
+      }
+    }
+
+    const { x, y, z } = coords;
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error('Route point needs numeric x, y and z');
+    }
+    if (point.dwellMs !== undefined && !(Number.isFinite(point.dwellMs) && point.dwellMs >= 0)) {
+      throw new Error('Dwell time must be a non-negative number');
+    }
+
     return {
-      isPatrolling: this.isPatrolling,
-      currentRoute: this.currentRoute,
-      currentIndex: this.currentIndex,
-      totalRoutes: this.routes.size
+      x, y, z,
+      label: label || `${x}, ${y}, ${z}`,
+      dimension: point.waypoint ? getWaypointDimension(coords) : null,
+      dwellMs: point.dwellMs ?? DEFAULT_DWELL_MS,
+      action: point.action || null,
+      author: point.author || null
     };
   }
 
   /**
    * Calculate route distance
    */
-  calculateDistance(routeName) {
-    const route = this.routes.get(routeName);
+  calculateDistance(name) {
+    const route = this.getRoute(name);
     if (!route) return 0;
 
     let totalDistance = 0;
-    for (let i = 0; i < route.waypoints.length - 1; i++) {
-      const p1 = route.waypoints[i];
-      const p2 = route.waypoints[i + 1];
-      
-      const dx = p2.x - p1.x;
-      const dy = p2.y - p1.y;
-      const dz = p2.z - p1.z;
-      
-      totalDistance += Math.sqrt(dx * dx + dy * dy + dz * dz);
+    for (let i = 0; i < route.length - 1; i++) {
+      try {
+        const p1 = this.resolvePoint(route[i]);
+        const p2 = this.resolvePoint(route[i + 1]);
+        totalDistance += Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2 + (p2.z - p1.z) ** 2);
+      } catch {
+        // Points with a missing waypoint do not count
+      }
     }
 
     return totalDistance;
   }
 
   /**
-   * Reverse a route
+   * Start patrolling a route; returns once the patrol is running
+   * @param {Object} options - { mode, index, direction, starter } where starter is
+   *   handed to runAction (e.g. who started the patrol)
    */
-  reverseRoute(routeName) {
-    const route = this.routes.get(routeName);
-    if (!route) return false;
+  startPatrol(name, options = {}) {
+    const route = this.getRoute(name);
+    if (!route) {
+      throw new Error(`Route '${name}' not found`);
+    }
 
-    route.waypoints.reverse();
-    return true;
+    const mode = options.mode || 'loop';
+    if (!PATROL_MODES.includes(mode)) {
+      throw new Error(`Unknown patrol mode '${mode}' (${PATROL_MODES.join(', ')})`);
+    }
+    if (route.length < (mode === 'once' ? 1 : 2)) {
+      throw new Error(`Route '${name}' needs at least ${mode === 'once' ? 1 : 2} points to patrol in ${mode} mode`);
+    }
+
+    this.stopPatrol();
+    this.patrol = {
+      route: name,
+      mode,
+      index: Math.min(options.index ?? 0, route.length - 1),
+      direction: options.direction ?? 1,
+      laps: 0,
+      starter: options.starter || null
+    };
+
+    const run = ++this.patrolRun;
+    this.lease = this.acquireMovement(`patrolling route ${name}`);
+    this.runPatrol(run).catch(error => {
+      logger.error('Patrol failed', error);
+      this.endPatrol(run, 'failed');
+    });
+    return this.patrol;
+  }
+
+  /**
+   * Walk the route until the patrol is stopped or a once patrol reaches its end
+   */
+  async runPatrol(run) {
+    const isCurrent = () => this.patrol && this.patrolRun === run;
+    const lease = this.lease;
+    let failures = 0;
+
+    while (isCurrent()) {
+      const route = this.getRoute(this.patrol.route);
+      if (!route || route.length === 0) {
+        logger.warn(`Route '${this.patrol.route}' no longer exists, stopping patrol`);
+        this.endPatrol(run, 'removed');
+        return;
+      }
+
+      let point;
+      try {
+        point = this.resolvePoint(route[this.patrol.index]);
+        const here = this.getDimension();
+        if (point.dimension && here && point.dimension !== here) {
+          // The same coordinates in this dimension are somewhere else entirely
+          throw new Error(`${point.label} is in ${point.dimension}, not ${here}`);
+        }
+        logger.info(`Patrolling to ${point.label} (${this.patrol.index + 1}/${route.length})`);
+        await lease.goto(point.x, point.y, point.z);
+        failures = 0;
+      } catch (error) {
+        if (!isCurrent()) return;
+
+        // Skip a point that cannot be reached, but give up once none of them can
+        logger.warn(`Patrol skipped point ${this.patrol.index + 1}: ${error.message}`);
+        if (++failures >= route.length) {
+          logger.error(`No point of route '${this.patrol.route}' could be reached, stopping patrol`);
+          this.endPatrol(run, 'unreachable');
+          return;
+        }
+        point = null;
+      }
+
+      if (point) {
+        if (point.action) {
+          try {
+            await this.runAction(point, this.patrol);
+          } catch (error) {
+            logger.warn(`Patrol action "${point.action}" failed: ${error.message}`);
+          }
+        }
+        if (!isCurrent()) return;
+        await sleep(point.dwellMs);
+      }
+
+      if (!isCurrent()) return;
+      if (!this.advance(route.length)) {
+        logger.success(`Patrol of '${this.patrol.route}' finished`);
+        this.endPatrol(run, 'finished');
+        return;
+      }
+    }
   }
 
   /**
-   * Get next waypoint in current patrol
+   * Move the patrol to its next point
+   * @returns {boolean} False when a once patrol has passed its last point
+   */
+  advance(length) {
+    const patrol = this.patrol;
+
+    switch (patrol.mode) {
+    case 'once':
+      patrol.index++;
+      return patrol.index < length;
+    case 'pingpong': {
+      let next = patrol.index + patrol.direction;
+      if (next < 0 || next >= length) {
+        patrol.direction = -patrol.direction;
+        next = patrol.index + patrol.direction;
+        if (patrol.direction === 1) patrol.laps++;
+      }
+      patrol.index = Math.max(0, Math.min(length - 1, next));
+      return true;
+    }
+    default:
+      patrol.index = (patrol.index + 1) % length;
+      if (patrol.index === 0) patrol.laps++;
+      return true;
+    }
+  }
+
+  endPatrol(run, reason) {
+    if (this.patrolRun !== run || !this.patrol) return;
+
+    const patrol = this.patrol;
+    this.patrol = null;
+    this.patrolRun++;
+    this.lease?.release();
+    this.lease = null;
+    this.onPatrolEnd(patrol, reason);
+  }
+
+  /**
+   * Stop patrolling
+   */
+  stopPatrol() {
+    if (!this.patrol) return;
+
+    this.patrol = null;
+    this.patrolRun++;
+    this.lease?.release();
+    this.lease = null;
+  }
+
+  isPatrolling() {
+    return this.patrol !== null;
+  }
+
+  /**
+   * Get the running patrol: { route, mode, index, direction, laps, starter }
+   */
+  getPatrol() {
+    return this.patrol ? { ...this.patrol } : null;
+  }
+
+  /**
+   * Get the point the patrol is heading for
    */
   getNextWaypoint() {
-    if (!this.currentRoute) return null;
-    
-    const route = this.routes.get(this.currentRoute);
-    if (!route) return null;
+    if (!this.patrol) return null;
+
+    const point = this.getRoute(this.patrol.route)?.[this.patrol.index];
+    if (!point) return null;
+    try {
+      return this.resolvePoint(point);
+    } catch {
+      return null;
+    }
+  }
 
-    return route.waypoints[this.currentIndex];
+  /**
+   * Get patrol status
+   */
+  getStatus() {
+    const patrol = this.patrol;
+    return {
+      isPatrolling: patrol !== null,
+      currentRoute: patrol?.route || null,
+      mode: patrol?.mode || null,
+      currentIndex: patrol?.index ?? 0,
+      laps: patrol?.laps ?? 0,
+      totalRoutes: this.listRoutes().length
+    };
   }
 }
 